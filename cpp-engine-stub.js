@@ -0,0 +1,171 @@
+// Stand-in for the C++ media server, for trying the server's
+// cpp_media_server backend without the engine:
+//
+//   node cpp-engine-stub.js            # engine on http://127.0.0.1:8090
+//   AUDIO_BACKEND=cpp_media_server npm start
+//
+// It answers the audio routes the backend forwards, with the same reply
+// shapes, and pushes `levels` (10/s) and `state` (on every change) to
+// WebSocket clients. ENGINE_DELAY_MS delays every reply, to try timeouts.
+const express = require('express');
+const http = require('http');
+const WebSocket = require('ws');
+
+const port = Number(process.env.ENGINE_PORT) || 8090;
+const delayMs = Number(process.env.ENGINE_DELAY_MS) || 0;
+
+const app = express();
+const server = http.createServer(app);
+const wss = new WebSocket.Server({ server });
+
+app.use(express.json());
+
+const state = {
+    microphone: { enabled: false, gain: 70.0, device_id: null },
+    talkover: { enabled: false, active: false, duck_level: 25.0, fade_time: 0.1 },
+    master: { volume: 80.0 },
+    channels: {
+        a: { id: 'a', playing: false, volume: 75.0 },
+        b: { id: 'b', playing: false, volume: 75.0 }
+    },
+    stream: { status: 'disconnected', statusMessage: 'Not connected', bytesSent: 0, config: null }
+};
+
+function push(type, data) {
+    const message = JSON.stringify({ type, data });
+    wss.clients.forEach(ws => {
+        if (ws.readyState === WebSocket.OPEN) ws.send(message);
+    });
+}
+
+// Reply after the configured delay, then tell push clients what changed
+function reply(res, body, status = 200) {
+    setTimeout(() => {
+        res.status(status).json(body);
+        if (status < 400) push('state', state);
+    }, delayMs);
+}
+
+function fail(res, status, action, error) {
+    reply(res, { success: false, action, error }, status);
+}
+
+function isLevel(value) {
+    return typeof value === 'number' && value >= 0 && value <= 100;
+}
+
+app.get('/api/audio/system/status', (req, res) => {
+    reply(res, { success: true, audio_system: { ...state, backend_type: 'cpp_media_server' } });
+});
+
+app.post('/api/audio/microphone/start', (req, res) => {
+    const { gain = state.microphone.gain, device_id = null } = req.body;
+    Object.assign(state.microphone, { enabled: true, gain: Math.max(0, Math.min(100, gain)), device_id });
+    reply(res, { success: true, action: 'microphone_start', microphone: state.microphone });
+});
+
+app.post('/api/audio/microphone/stop', (req, res) => {
+    state.microphone.enabled = false;
+    Object.assign(state.talkover, { enabled: false, active: false });
+    reply(res, { success: true, action: 'microphone_stop', microphone: state.microphone, talkover_disabled: true });
+});
+
+app.post('/api/audio/microphone/gain', (req, res) => {
+    if (!isLevel(req.body.gain)) return fail(res, 400, 'microphone_gain_set', 'Gain must be a number between 0 and 100');
+    state.microphone.gain = req.body.gain;
+    reply(res, { success: true, action: 'microphone_gain_set', gain: state.microphone.gain });
+});
+
+app.post('/api/audio/talkover/enable', (req, res) => {
+    if (!state.microphone.enabled) {
+        return fail(res, 400, 'talkover_enable_failed', 'Cannot enable talkover - microphone is not enabled');
+    }
+    const { duck_level = 25.0, fade_time = 0.1 } = req.body;
+    Object.assign(state.talkover, { enabled: true, active: true, duck_level, fade_time });
+    reply(res, { success: true, action: 'talkover_enabled', talkover: state.talkover });
+});
+
+app.post('/api/audio/talkover/disable', (req, res) => {
+    Object.assign(state.talkover, { enabled: false, active: false });
+    reply(res, { success: true, action: 'talkover_disabled', talkover: state.talkover, master_volume: state.master.volume });
+});
+
+app.put('/api/audio/talkover', (req, res) => {
+    ['duck_level', 'fade_time'].forEach(key => {
+        if (typeof req.body[key] === 'number') state.talkover[key] = req.body[key];
+    });
+    reply(res, { success: true, action: 'talkover_updated', talkover: state.talkover });
+});
+
+app.post('/api/audio/channel/:channel/:command', (req, res) => {
+    const channel = state.channels[req.params.channel];
+    const { command } = req.params;
+    if (!channel) return fail(res, 404, `channel_${req.params.channel}_${command}`, `Channel "${req.params.channel}" not found`);
+
+    if (command === 'play' || command === 'stop') {
+        channel.playing = command === 'play';
+    } else if (command === 'volume') {
+        if (!isLevel(req.body.volume)) return fail(res, 400, 'channel_volume_set', 'Volume must be a number between 0 and 100');
+        channel.volume = req.body.volume;
+    } else {
+        return fail(res, 404, command, `Unknown channel command "${command}"`);
+    }
+    reply(res, { success: true, action: `channel_${channel.id}_${command}`, channel });
+});
+
+app.post('/api/audio/master/volume', (req, res) => {
+    if (!isLevel(req.body.volume)) return fail(res, 400, 'master_volume_set', 'Volume must be a number between 0 and 100');
+    state.master.volume = req.body.volume;
+    reply(res, { success: true, action: 'master_volume_set', master: state.master });
+});
+
+app.get('/api/audio/stream/status', (req, res) => {
+    reply(res, { success: true, stats: state.stream });
+});
+
+app.post('/api/audio/stream/connect', (req, res) => {
+    const { password, adminPassword, ...config } = req.body;
+    Object.assign(state.stream, { status: 'connected', statusMessage: `Connected to ${config.serverHost}:${config.serverPort}`, config });
+    reply(res, { success: true, action: 'stream_connect', status: state.stream.status });
+});
+
+app.post('/api/audio/stream/disconnect', (req, res) => {
+    Object.assign(state.stream, { status: 'disconnected', statusMessage: 'Disconnected', config: null });
+    reply(res, { success: true, action: 'stream_disconnect', status: state.stream.status });
+});
+
+app.post('/api/audio/stream/:command', (req, res) => {
+    const { command } = req.params;
+    const action = command === 'start' ? 'streaming_start' : 'streaming_stop';
+    if (!['start', 'stop'].includes(command)) return fail(res, 404, command, `Unknown stream command "${command}"`);
+    if (command === 'start' && state.stream.status !== 'connected') return fail(res, 400, action, 'Not connected');
+    if (command === 'stop' && state.stream.status !== 'streaming') return fail(res, 400, action, 'Not streaming');
+
+    state.stream.status = command === 'start' ? 'streaming' : 'connected';
+    state.stream.statusMessage = command === 'start' ? 'Streaming live' : 'Streaming stopped, still connected';
+    reply(res, { success: true, action, status: state.stream.status });
+});
+
+// Level pushes in dBFS: playing channels around -12, the mic around -9
+function meterReading(on, peakDb) {
+    const side = () => (on ? peakDb + Math.random() * 6 - 3 : -120);
+    const peak = { left: side(), right: side() };
+    return { peak_db: peak, rms_db: { left: peak.left - 10, right: peak.right - 10 } };
+}
+
+setInterval(() => {
+    const channels = {};
+    Object.values(state.channels).forEach(channel => {
+        channels[channel.id] = meterReading(channel.playing, -12 + 20 * Math.log10(Math.max(channel.volume, 1) / 100));
+    });
+    const anyPlaying = Object.values(state.channels).some(channel => channel.playing);
+    push('levels', {
+        master: meterReading(anyPlaying || state.microphone.enabled, -9),
+        mic: meterReading(state.microphone.enabled, -9),
+        channels
+    });
+}, 100);
+
+server.listen(port, '127.0.0.1', () => {
+    console.log(`🧪 C++ engine stub on http://127.0.0.1:${port}${delayMs ? ` (replies delayed ${delayMs} ms)` : ''}`);
+});
@@ -0,0 +1,88 @@
+// Splits an MP3 or ADTS AAC byte stream into whole frames, so packagers
+// can cut on frame boundaries and know exactly how much time each frame
+// covers. Bytes that aren't a frame (ID3 tags, junk between frames) are
+// skipped.
+
+const ADTS_SAMPLE_RATES = [96000, 88200, 64000, 48000, 44100, 32000, 24000, 22050, 16000, 12000, 11025, 8000, 7350];
+
+// Layer III bitrates (kbps) by [MPEG-1 ? 0 : 1][index]
+const MP3_BITRATES = [
+    [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+    [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+];
+const MP3_SAMPLE_RATES = {
+    3: [44100, 48000, 32000], // MPEG-1
+    2: [22050, 24000, 16000], // MPEG-2
+    0: [11025, 12000, 8000] // MPEG-2.5
+};
+
+// { length, samples, sampleRate } for the frame header at `offset`, or null
+function adtsHeader(buf, offset) {
+    if (buf[offset] !== 0xff || (buf[offset + 1] & 0xf6) !== 0xf0) return null;
+    const sampleRate = ADTS_SAMPLE_RATES[(buf[offset + 2] >> 2) & 0x0f];
+    const length = ((buf[offset + 3] & 0x03) << 11) | (buf[offset + 4] << 3) | (buf[offset + 5] >> 5);
+    if (!sampleRate || length < 7) return null;
+    return { length, samples: ((buf[offset + 6] & 0x03) + 1) * 1024, sampleRate };
+}
+
+function mp3Header(buf, offset) {
+    if (buf[offset] !== 0xff || (buf[offset + 1] & 0xe0) !== 0xe0) return null;
+    const version = (buf[offset + 1] >> 3) & 0x03;
+    const layer = (buf[offset + 1] >> 1) & 0x03;
+    if (version === 1 || layer !== 1) return null; // reserved version, or not Layer III
+
+    const mpeg1 = version === 3;
+    const bitrate = MP3_BITRATES[mpeg1 ? 0 : 1][buf[offset + 2] >> 4];
+    const sampleRate = MP3_SAMPLE_RATES[version][(buf[offset + 2] >> 2) & 0x03];
+    if (!bitrate || !sampleRate) return null;
+
+    const padding = (buf[offset + 2] >> 1) & 0x01;
+    const length = Math.floor((mpeg1 ? 144000 : 72000) * bitrate / sampleRate) + padding;
+    return { length, samples: mpeg1 ? 1152 : 576, sampleRate };
+}
+
+// Size of an ID3v2 tag starting at `offset`, 0 if there isn't one
+function id3Size(buf, offset) {
+    if (buf.toString('latin1', offset, offset + 3) !== 'ID3') return 0;
+    const size = (buf[offset + 6] << 21) | (buf[offset + 7] << 14) | (buf[offset + 8] << 7) | buf[offset + 9];
+    return 10 + size + ((buf[offset + 5] & 0x10) ? 10 : 0);
+}
+
+class FrameSplitter {
+    constructor(codec) {
+        this.readHeader = codec === 'aac' ? adtsHeader : mp3Header;
+        this.pending = Buffer.alloc(0);
+    }
+
+    // Returns the complete frames in `chunk`; a partial frame at the end is
+    // kept for the next call
+    push(chunk) {
+        const buf = this.pending.length ? Buffer.concat([this.pending, chunk]) : chunk;
+        const frames = [];
+        let offset = 0;
+
+        while (offset + 10 <= buf.length) {
+            const tag = id3Size(buf, offset);
+            if (tag) {
+                if (offset + tag > buf.length) break;
+                offset += tag;
+                continue;
+            }
+
+            const header = this.readHeader(buf, offset);
+            if (!header) {
+                offset += 1;
+                continue;
+            }
+            if (offset + header.length > buf.length) break;
+
+            frames.push({ data: buf.subarray(offset, offset + header.length), samples: header.samples, sampleRate: header.sampleRate });
+            offset += header.length;
+        }
+
+        this.pending = Buffer.from(buf.subarray(offset));
+        return frames;
+    }
+}
+
+module.exports = { FrameSplitter };
@@ -0,0 +1,173 @@
+// Beat sync between the decks of a DJ session. A follower deck is synced
+// to the other deck or to the session's master tempo
+// (`mixer.master_tempo`); its leader is the deck or tempo it follows.
+//
+// Tempo: a deck's `bpm` is its track's tempo at normal speed, so it
+// plays at bpm * rate (see deck-transport). Syncing sets the follower's
+// `pitch` so both tempos match, at half or double time when that's the
+// closer match (a 70 BPM track under a 140 BPM one). Changing the
+// leader's tempo re-pitches its followers.
+//
+// Phase: `beat_position` is where a beat falls in the track, in seconds
+// (0 if unknown). Syncing to a deck, or playing a synced deck, moves the
+// follower to the nearest position in phase with the leader. The phase
+// error after that is reported in sync_state.
+const { DECKS, deckRate } = require('./deck-transport');
+
+const MAX_SYNC_PITCH = 16; // percent, the usual wide pitch range on CDJs
+const TEMPO_MULTIPLES = [0.5, 1, 2];
+
+function syncError(code, message) {
+    const err = new Error(message);
+    err.code = code;
+    return err;
+}
+
+function isTempo(value) {
+    return typeof value === 'number' && Number.isFinite(value) && value > 0;
+}
+
+// mixer.master_tempo is a BPM, or null for none
+function checkMasterTempo(tempo) {
+    if (tempo !== null && !isTempo(tempo)) {
+        throw syncError('INVALID_SYNC', 'master_tempo must be a positive number of BPM, or null');
+    }
+}
+
+function otherDeck(deck) {
+    return deck === 'A' ? 'B' : 'A';
+}
+
+// Current tempo of a deck, or null without a BPM
+function deckTempo(state) {
+    return state.bpm > 0 ? state.bpm * deckRate(state) : null;
+}
+
+function leaderTempo(session, leader) {
+    if (leader === 'master') {
+        const tempo = session.mixer && session.mixer.master_tempo;
+        return isTempo(tempo) ? tempo : null;
+    }
+    return deckTempo(session[DECKS[leader]]);
+}
+
+// Beat phase, 0 to 1, at the deck's position
+function beatPhase(state) {
+    const beats = (state.position - (state.beat_position || 0)) * state.bpm / 60;
+    return beats - Math.floor(beats);
+}
+
+// Pitch (percent) that plays the follower at `tempo`, choosing half or
+// double time when closer
+function pitchFor(state, tempo) {
+    const speed = Number.isFinite(state.speed) && state.speed > 0 ? state.speed : 1;
+    const ratios = TEMPO_MULTIPLES.map(multiple => tempo * multiple / (state.bpm * speed));
+    const ratio = ratios.reduce((best, r) => (Math.abs(r - 1) < Math.abs(best - 1) ? r : best));
+    return (ratio - 1) * 100;
+}
+
+// Seconds until the deck's next beat, at its current tempo
+function untilNextBeat(state) {
+    return (1 - beatPhase(state)) * 60 / deckTempo(state);
+}
+
+// How far the follower's beats are ahead of its leader deck's, in
+// seconds, within half a beat of the faster deck; null without a leader
+// deck or tempos
+function phaseOffset(session, deck) {
+    const state = session[DECKS[deck]];
+    if (!state.sync_to || state.sync_to === 'master') return null;
+    const leader = session[DECKS[state.sync_to]];
+    const tempos = [deckTempo(state), deckTempo(leader)];
+    if (!tempos[0] || !tempos[1]) return null;
+    const beat = 60 / Math.max(...tempos);
+    const offset = untilNextBeat(leader) - untilNextBeat(state);
+    return offset - Math.round(offset / beat) * beat;
+}
+
+// Move a follower to the nearest in-phase position
+function alignPhase(session, deck) {
+    const state = session[DECKS[deck]];
+    const offset = phaseOffset(session, deck);
+    if (offset === null || !state.track) return;
+    let position = state.position - offset * deckRate(state);
+    if (position < 0) position += 60 / state.bpm;
+    state.position = position;
+}
+
+// Sync `deck` to `to` ('A', 'B' or 'master'; the other deck by default)
+function engageSync(session, deck, to = otherDeck(deck)) {
+    const state = session[DECKS[deck]];
+    if (to !== 'master' && !DECKS[to]) throw syncError('INVALID_SYNC', 'Sync target must be "A", "B" or "master"');
+    if (to === deck) throw syncError('INVALID_SYNC', 'A deck cannot sync to itself');
+    if (!(state.bpm > 0)) throw syncError('BPM_UNKNOWN', `Deck ${deck} has no BPM to sync`);
+
+    const tempo = leaderTempo(session, to);
+    if (tempo === null) {
+        throw syncError('BPM_UNKNOWN', to === 'master' ? 'Set mixer.master_tempo before syncing to it' : `Deck ${to} has no BPM to sync to`);
+    }
+    const pitch = pitchFor(state, tempo);
+    if (Math.abs(pitch) > MAX_SYNC_PITCH) {
+        throw syncError('TEMPO_OUT_OF_RANGE', `Deck ${deck} would need ${pitch.toFixed(1)}% pitch to reach ${tempo.toFixed(1)} BPM`);
+    }
+
+    // The leader can't follow its own follower
+    if (to !== 'master') {
+        const leader = session[DECKS[to]];
+        if (leader.sync_to === deck) disengageSync(session, to);
+    }
+    state.synced = true;
+    state.sync_to = to;
+    state.pitch = pitch;
+    alignPhase(session, deck);
+}
+
+function disengageSync(session, deck) {
+    const state = session[DECKS[deck]];
+    state.synced = false;
+    state.sync_to = null;
+}
+
+// Re-pitch followers after a tempo change. Pitch stays within the sync
+// range, so a leader moving too far leaves the follower at the limit.
+// Returns the decks whose pitch changed.
+function followLeaders(session) {
+    const changed = [];
+    // Decks following the master first, so they pass it on to theirs
+    const rank = deck => (session[DECKS[deck]].sync_to === 'master' ? 0 : 1);
+    const order = Object.keys(DECKS).sort((a, b) => rank(a) - rank(b));
+    order.forEach(deck => {
+        const state = session[DECKS[deck]];
+        if (!state.sync_to || !(state.bpm > 0)) return;
+        const tempo = leaderTempo(session, state.sync_to);
+        if (tempo === null) return;
+        const pitch = Math.max(-MAX_SYNC_PITCH, Math.min(MAX_SYNC_PITCH, pitchFor(state, tempo)));
+        if (Math.abs(pitch - (state.pitch || 0)) > 1e-9) {
+            state.pitch = pitch;
+            changed.push(deck);
+        }
+    });
+    return changed;
+}
+
+// Per deck: role ('leader', 'follower' or 'off'), what it follows, its
+// tempo and the phase error in ms (follower ahead is positive)
+function syncState(session) {
+    const sync = { master_tempo: (session.mixer && session.mixer.master_tempo) || null };
+    Object.keys(DECKS).forEach(deck => {
+        const state = session[DECKS[deck]];
+        const followed = Object.keys(DECKS).some(other => session[DECKS[other]].sync_to === deck);
+        const tempo = deckTempo(state);
+        const offset = phaseOffset(session, deck);
+        sync[deck] = {
+            role: state.sync_to ? 'follower' : (followed ? 'leader' : 'off'),
+            sync_to: state.sync_to || null,
+            tempo: tempo === null ? null : Math.round(tempo * 100) / 100,
+            pitch: Math.round((state.pitch || 0) * 1000) / 1000,
+            phase_error_ms: offset === null ? null : Math.round(offset * 10000) / 10
+        };
+    });
+    return sync;
+}
+
+module.exports = { engageSync, disengageSync, alignPhase, followLeaders, syncState, checkMasterTempo, isTempo, MAX_SYNC_PITCH };
@@ -0,0 +1,275 @@
+// Hot cues, loops and beat-jump for DJ session decks. Hot cues and saved
+// loops belong to the track: they're kept per `track.id` in a JSON file
+// and come back whenever the track is loaded again.
+//
+// Deck state this adds (positions in seconds into the track):
+//   hot_cues     [{ slot 1-8, position, label, color }], by slot
+//   saved_loops  [{ in, out, beats, label }], up to 8
+//   loop         { active, in, out, beats, roll, roll_position }
+//
+// While a loop is active the transport wraps the deck from `out` back to
+// `in`. A roll is a loop that, on exit, lands where the track would have
+// got to without it; `roll_position` keeps that place.
+const { readJsonFile, writeJsonFile } = require('./json-file');
+
+const HOT_CUE_SLOTS = 8;
+const MAX_SAVED_LOOPS = 8;
+const LOOP_BEATS = [0.25, 0.5, 1, 2, 4, 8, 16, 32];
+const MAX_BEAT_JUMP = 128;
+// Default slot colours, as on most controllers
+const HOT_CUE_COLORS = ['#e6194b', '#f58231', '#ffe119', '#3cb44b', '#42d4f4', '#4363d8', '#911eb4', '#f032e6'];
+
+function cueError(code, message) {
+    const err = new Error(message);
+    err.code = code;
+    return err;
+}
+
+// Key for a track's saved cues, or null without a usable id
+function trackKey(track) {
+    if (!track) return null;
+    if (typeof track.id === 'string' && track.id) return track.id;
+    return Number.isFinite(track.id) ? String(track.id) : null;
+}
+
+function emptyLoop() {
+    return { active: false, in: null, out: null, beats: null, roll: false, roll_position: null };
+}
+
+class DeckCues {
+    constructor(file) {
+        this.file = file;
+        // track id -> { hot_cues, loops }; a Map, as the ids come from clients
+        this.tracks = new Map(Object.entries(readJsonFile(file, { tracks: {} }).tracks || {}));
+    }
+
+    save() {
+        writeJsonFile(this.file, { tracks: Object.fromEntries(this.tracks) });
+    }
+
+    // Put the loaded track's saved cues and loops on the deck
+    load(state) {
+        const key = trackKey(state.track);
+        const saved = (key !== null && this.tracks.get(key)) || {};
+        state.hot_cues = (saved.hot_cues || []).map(cue => ({ ...cue }));
+        state.saved_loops = (saved.loops || []).map(loop => ({ ...loop }));
+        state.loop = emptyLoop();
+    }
+
+    // Write the deck's cues and loops back under its track
+    remember(state) {
+        const key = trackKey(state.track);
+        if (!state.hot_cues.length && !state.saved_loops.length) {
+            this.tracks.delete(key);
+        } else {
+            this.tracks.set(key, {
+                hot_cues: state.hot_cues.map(cue => ({ ...cue })),
+                loops: state.saved_loops.map(loop => ({ ...loop }))
+            });
+        }
+        this.save();
+    }
+
+    // { action: 'set'|'edit'|'jump'|'delete', slot, position?, label?, color? }
+    hotCue(state, command) {
+        this.requireTrack(state);
+        const { action, slot } = command;
+        if (!Number.isInteger(slot) || slot < 1 || slot > HOT_CUE_SLOTS) {
+            throw cueError('INVALID_CUE_COMMAND', `slot must be 1 to ${HOT_CUE_SLOTS}`);
+        }
+        const existing = state.hot_cues.find(cue => cue.slot === slot);
+
+        switch (action) {
+            case 'set': {
+                const position = command.position === undefined ? state.position : command.position;
+                this.checkPosition(state, position);
+                const cue = {
+                    slot: slot,
+                    position: position,
+                    label: command.label !== undefined ? this.checkLabel(command.label) : (existing ? existing.label : null),
+                    color: command.color !== undefined ? this.checkColor(command.color) : (existing ? existing.color : HOT_CUE_COLORS[slot - 1])
+                };
+                state.hot_cues = state.hot_cues.filter(c => c.slot !== slot).concat(cue).sort((a, b) => a.slot - b.slot);
+                this.remember(state);
+                return cue;
+            }
+            case 'edit':
+                if (!existing) throw cueError('CUE_NOT_FOUND', `No hot cue in slot ${slot}`);
+                if (command.label !== undefined) existing.label = this.checkLabel(command.label);
+                if (command.color !== undefined) existing.color = this.checkColor(command.color);
+                this.remember(state);
+                return existing;
+            case 'jump':
+                if (!existing) throw cueError('CUE_NOT_FOUND', `No hot cue in slot ${slot}`);
+                this.moveTo(state, existing.position);
+                return existing;
+            case 'delete':
+                if (!existing) throw cueError('CUE_NOT_FOUND', `No hot cue in slot ${slot}`);
+                state.hot_cues = state.hot_cues.filter(c => c.slot !== slot);
+                this.remember(state);
+                return existing;
+            default:
+                throw cueError('INVALID_CUE_COMMAND', 'Hot cue action must be one of: set, edit, jump, delete');
+        }
+    }
+
+    // { action: 'in'|'out'|'beat'|'roll'|'exit'|'reloop'|'save'|'load'|'delete', beats?, index?, label? }
+    loop(state, command) {
+        this.requireTrack(state);
+        const loop = state.loop || emptyLoop();
+        state.loop = loop;
+
+        switch (command.action) {
+            case 'in':
+                this.exitRoll(state);
+                Object.assign(loop, { active: false, in: state.position, out: null, beats: null });
+                break;
+            case 'out':
+                if (loop.in === null || state.position <= loop.in) {
+                    throw cueError('LOOP_NOT_SET', 'Set loop in before loop out');
+                }
+                Object.assign(loop, { active: true, out: state.position, beats: null });
+                break;
+            case 'beat':
+            case 'roll': {
+                const length = this.beatsToSeconds(state, this.checkLoopBeats(command.beats));
+                const rolling = command.action === 'roll';
+                // A new roll keeps the place of one already running
+                const rollPosition = loop.roll ? loop.roll_position : state.position;
+                Object.assign(loop, {
+                    active: true,
+                    in: state.position,
+                    out: state.position + length,
+                    beats: command.beats,
+                    roll: rolling,
+                    roll_position: rolling ? rollPosition : null
+                });
+                break;
+            }
+            case 'exit':
+                this.exitRoll(state);
+                loop.active = false;
+                break;
+            case 'reloop':
+                if (loop.in === null || loop.out === null) throw cueError('LOOP_NOT_SET', 'There is no loop to return to');
+                this.exitRoll(state);
+                loop.active = true;
+                state.position = loop.in;
+                break;
+            case 'save': {
+                if (loop.in === null || loop.out === null) throw cueError('LOOP_NOT_SET', 'Set a loop before saving it');
+                if (state.saved_loops.length >= MAX_SAVED_LOOPS) {
+                    throw cueError('INVALID_CUE_COMMAND', `A track can have at most ${MAX_SAVED_LOOPS} saved loops`);
+                }
+                const label = command.label !== undefined ? this.checkLabel(command.label) : null;
+                state.saved_loops.push({ in: loop.in, out: loop.out, beats: loop.beats, label });
+                this.remember(state);
+                break;
+            }
+            case 'load': {
+                const saved = this.savedLoop(state, command.index);
+                this.exitRoll(state);
+                Object.assign(loop, { active: true, in: saved.in, out: saved.out, beats: saved.beats });
+                state.position = saved.in;
+                break;
+            }
+            case 'delete':
+                this.savedLoop(state, command.index);
+                state.saved_loops.splice(command.index, 1);
+                this.remember(state);
+                break;
+            default:
+                throw cueError('INVALID_CUE_COMMAND', 'Loop action must be one of: in, out, beat, roll, exit, reloop, save, load, delete');
+        }
+        return loop;
+    }
+
+    // Move `beats` (negative is back) at the deck's BPM. An active loop
+    // moves along with the deck.
+    beatJump(state, beats) {
+        this.requireTrack(state);
+        if (typeof beats !== 'number' || !beats || Math.abs(beats) > MAX_BEAT_JUMP) {
+            throw cueError('INVALID_CUE_COMMAND', `beats must be a non-zero number up to ${MAX_BEAT_JUMP} either way`);
+        }
+        const distance = this.beatsToSeconds(state, beats);
+        const loop = state.loop;
+        if (loop && loop.active) {
+            loop.in += distance;
+            loop.out += distance;
+            if (loop.roll) loop.roll_position += distance;
+        }
+        state.position = this.clamp(state, state.position + distance);
+        return state.position;
+    }
+
+    // Jump the playhead; leaving an active loop's range ends the loop
+    moveTo(state, position) {
+        const loop = state.loop;
+        if (loop && loop.active && (position < loop.in || position >= loop.out)) {
+            loop.active = false;
+            loop.roll = false;
+            loop.roll_position = null;
+        }
+        state.position = position;
+    }
+
+    exitRoll(state) {
+        const loop = state.loop;
+        if (!loop || !loop.roll) return;
+        state.position = this.clamp(state, loop.roll_position);
+        Object.assign(loop, { active: false, roll: false, roll_position: null });
+    }
+
+    savedLoop(state, index) {
+        if (!Number.isInteger(index) || !state.saved_loops[index]) {
+            throw cueError('LOOP_NOT_FOUND', `No saved loop at index ${index}`);
+        }
+        return state.saved_loops[index];
+    }
+
+    beatsToSeconds(state, beats) {
+        if (!(state.bpm > 0)) throw cueError('BPM_UNKNOWN', 'The deck needs a BPM for beat loops and beat-jump');
+        return beats * 60 / state.bpm;
+    }
+
+    clamp(state, position) {
+        const duration = state.track.duration;
+        return Math.max(0, duration > 0 ? Math.min(duration, position) : position);
+    }
+
+    requireTrack(state) {
+        if (!state.track) throw cueError('NO_TRACK', 'No track loaded on this deck');
+        if (trackKey(state.track) === null) throw cueError('NO_TRACK', 'The loaded track has no id to keep its cues and loops under');
+        if (!state.hot_cues) this.load(state); // sessions from before hot cues
+    }
+
+    checkPosition(state, position) {
+        const duration = state.track.duration;
+        if (typeof position !== 'number' || position < 0 || (duration > 0 && position > duration)) {
+            throw cueError('INVALID_CUE_COMMAND', 'position must be a number of seconds within the track');
+        }
+    }
+
+    checkLoopBeats(beats) {
+        if (!LOOP_BEATS.includes(beats)) {
+            throw cueError('INVALID_CUE_COMMAND', `beats must be one of: ${LOOP_BEATS.join(', ')}`);
+        }
+        return beats;
+    }
+
+    checkLabel(label) {
+        if (label !== null && (typeof label !== 'string' || label.length > 40)) {
+            throw cueError('INVALID_CUE_COMMAND', 'label must be a string of up to 40 characters, or null');
+        }
+        return label;
+    }
+
+    checkColor(color) {
+        if (typeof color !== 'string' || !/^#[0-9a-fA-F]{6}$/.test(color)) {
+            throw cueError('INVALID_CUE_COMMAND', 'color must be a hex colour like "#ff8800"');
+        }
+        return color.toLowerCase();
+    }
+}
+
+module.exports = { DeckCues, emptyLoop, HOT_CUE_SLOTS, LOOP_BEATS };
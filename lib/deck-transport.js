@@ -0,0 +1,127 @@
+// Server-side transport for DJ session decks. A playing deck's position
+// (seconds into the track) advances at its rate: `speed` (1 = normal)
+// times the pitch fader (`pitch`, percent). Each deck keeps
+// `position_at`, the server time its position was measured, so clients
+// can extrapolate between ticks:
+//
+//   position + (Date.now() - position_at) / 1000 * rate
+//
+// Events:
+//   'tick'  session, time         positions advanced (throttled, only
+//                                 for sessions with a deck playing)
+//   'ended' session, deck, track  a deck reached the end of its track
+//
+// Time is wall-clock time, not the scenario clock: decks play in real
+// time even while a simulation is paused or fast-forwarded.
+const { EventEmitter } = require('events');
+
+const TICK_MS = 100;
+const BROADCAST_MS = 500;
+const DECKS = { A: 'deck_a', B: 'deck_b' };
+
+// Playback rate of a deck; missing or bad values count as neutral
+function deckRate(deck) {
+    const speed = Number.isFinite(deck.speed) && deck.speed >= 0 ? deck.speed : 1;
+    const pitch = Number.isFinite(deck.pitch) ? deck.pitch : 0;
+    return Math.max(0, speed * (1 + pitch / 100));
+}
+
+function remainingSeconds(deck) {
+    const duration = deck.track && deck.track.duration;
+    if (!(duration > 0)) return null;
+    const rate = deckRate(deck);
+    if (rate === 0) return null;
+    return Math.round(Math.max(0, (duration - deck.position) / rate) * 1000) / 1000;
+}
+
+class DeckTransport extends EventEmitter {
+    // `sessions` is the live id -> session Map
+    constructor(sessions) {
+        super();
+        this.sessions = sessions;
+        this.timer = null;
+        this.lastBroadcast = new Map(); // session id -> time
+    }
+
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.tick(Date.now()), TICK_MS);
+        this.timer.unref();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    // Bring both decks of a session up to `time`. Call before changing a
+    // deck's playing state or position, so the change starts from there.
+    settle(session, time = Date.now()) {
+        Object.keys(DECKS).forEach(deck => this.advance(session, deck, time));
+    }
+
+    advance(session, deck, time) {
+        const state = session[DECKS[deck]];
+        if (!state) return;
+        const since = state.position_at ? Math.max(0, time - state.position_at) : 0;
+        state.position_at = time;
+        if (!state.playing || !state.track || since === 0) return;
+
+        const previous = state.position || 0;
+        const distance = since / 1000 * deckRate(state);
+        state.position = previous + distance;
+
+        // An active loop (see deck-cues) wraps from its out point to its in
+        // point; a roll keeps counting where the track would be
+        const loop = state.loop;
+        if (loop && loop.active && loop.out > loop.in) {
+            if (loop.roll) loop.roll_position += distance;
+            if (previous <= loop.out && state.position >= loop.out) {
+                state.position = loop.in + (state.position - loop.in) % (loop.out - loop.in);
+            }
+        }
+
+        const duration = state.track.duration;
+        if (duration > 0 && state.position >= duration) {
+            state.position = duration;
+            state.playing = false;
+            state.tracks_played = (state.tracks_played || 0) + 1;
+            if (session.stats) session.stats.total_tracks_played++;
+            this.emit('ended', session, deck, state.track);
+        }
+    }
+
+    tick(time) {
+        this.sessions.forEach(session => {
+            const wasPlaying = Object.values(DECKS).some(key => session[key] && session[key].playing);
+            this.settle(session, time);
+            if (!wasPlaying) {
+                this.lastBroadcast.delete(session.id);
+                return;
+            }
+            const last = this.lastBroadcast.get(session.id) || 0;
+            if (time - last < BROADCAST_MS && time >= last) return;
+            this.lastBroadcast.set(session.id, time);
+            this.emit('tick', session, time);
+        });
+    }
+
+    // Transport state of both decks, as sent in position ticks
+    static positions(session) {
+        const positions = {};
+        Object.keys(DECKS).forEach(deck => {
+            const state = session[DECKS[deck]];
+            positions[deck] = {
+                playing: state.playing,
+                position: Math.round(state.position * 1000) / 1000,
+                position_at: state.position_at,
+                rate: deckRate(state),
+                duration: state.track ? state.track.duration : null,
+                remaining: remainingSeconds(state)
+            };
+        });
+        return positions;
+    }
+}
+
+module.exports = { DeckTransport, deckRate, DECKS };
@@ -0,0 +1,130 @@
+// Talkover ducking envelope. When talkover engages, the music bus ramps
+// down to `duck_level` over the attack time; when it disengages it ramps
+// back up over the release time. Attack and release default to
+// `fade_time`. In voice mode talkover engages only while the mic is above
+// `voice_threshold`, and holds for `voice_hold` seconds after it drops so
+// pauses between words don't pump the music.
+//
+// Settings and the current gain live on the talkover state object, so
+// every route that returns it shows them.
+
+const CURVES = ['linear', 'exponential', 's_curve'];
+const MODES = ['manual', 'voice'];
+const MAX_RAMP_SECONDS = 10;
+
+// Quietest gain the exponential curve ramps through (-60 dB)
+const GAIN_FLOOR = 0.001;
+
+function talkoverError(message) {
+    const err = new Error(message);
+    err.code = 'INVALID_TALKOVER';
+    return err;
+}
+
+function clamp(value, min, max) {
+    return Math.max(min, Math.min(max, value));
+}
+
+function toDb(gain) {
+    return 20 * Math.log10(Math.max(gain, GAIN_FLOOR));
+}
+
+// Gain `progress` (0-1) of the way from `from` to `to`
+function rampGain(curve, from, to, progress) {
+    if (progress >= 1) return to;
+    switch (curve) {
+        case 'exponential': {
+            // Straight line in dB, which sounds even to the ear
+            const db = toDb(from) + (toDb(to) - toDb(from)) * progress;
+            return Math.pow(10, db / 20);
+        }
+        case 's_curve':
+            return from + (to - from) * (1 - Math.cos(Math.PI * progress)) / 2;
+        default:
+            return from + (to - from) * progress;
+    }
+}
+
+// Apply settings from a request body. Levels and times are clamped like
+// the original talkover route; an unknown curve or mode is an error.
+function applyTalkoverSettings(talkover, changes) {
+    if (changes.curve !== undefined && !CURVES.includes(changes.curve)) {
+        throw talkoverError(`curve must be one of: ${CURVES.join(', ')}`);
+    }
+    if (changes.mode !== undefined && !MODES.includes(changes.mode)) {
+        throw talkoverError(`mode must be one of: ${MODES.join(', ')}`);
+    }
+    ['duck_level', 'fade_time', 'attack', 'release', 'voice_threshold', 'voice_hold'].forEach(key => {
+        if (changes[key] !== undefined && changes[key] !== null && typeof changes[key] !== 'number') {
+            throw talkoverError(`${key} must be a number`);
+        }
+    });
+
+    if (changes.curve !== undefined) talkover.curve = changes.curve;
+    if (changes.mode !== undefined) talkover.mode = changes.mode;
+    if (typeof changes.duck_level === 'number') talkover.duck_level = clamp(changes.duck_level, 0, 100);
+    if (typeof changes.fade_time === 'number') talkover.fade_time = clamp(changes.fade_time, 0, MAX_RAMP_SECONDS);
+    // null goes back to following fade_time
+    if (changes.attack !== undefined) talkover.attack = changes.attack === null ? null : clamp(changes.attack, 0, MAX_RAMP_SECONDS);
+    if (changes.release !== undefined) talkover.release = changes.release === null ? null : clamp(changes.release, 0, MAX_RAMP_SECONDS);
+    if (typeof changes.voice_threshold === 'number') talkover.voice_threshold = clamp(changes.voice_threshold, 0, 100);
+    if (typeof changes.voice_hold === 'number') talkover.voice_hold = clamp(changes.voice_hold, 0, MAX_RAMP_SECONDS);
+}
+
+class DuckingEnvelope {
+    constructor(talkover) {
+        this.talkover = talkover;
+        this.reset();
+    }
+
+    reset() {
+        this.gain = 1;
+        this.ramp = null; // { from, to, start, duration, curve }
+        this.voiceHeardAt = null;
+        this.talkover.gain = 100.0;
+        this.talkover.ducking = false;
+    }
+
+    get attack() {
+        return this.talkover.attack === null || this.talkover.attack === undefined ? this.talkover.fade_time : this.talkover.attack;
+    }
+
+    get release() {
+        return this.talkover.release === null || this.talkover.release === undefined ? this.talkover.fade_time : this.talkover.release;
+    }
+
+    // Should the music be ducked right now? `micLevel` is the linear mic peak.
+    engaged(time, micLevel) {
+        const talkover = this.talkover;
+        if (!talkover.enabled) return false;
+        if (talkover.mode !== 'voice') return talkover.active;
+
+        if (micLevel * 100 >= talkover.voice_threshold) {
+            this.voiceHeardAt = time;
+        }
+        talkover.active = this.voiceHeardAt !== null && time - this.voiceHeardAt <= talkover.voice_hold * 1000;
+        return talkover.active;
+    }
+
+    // Advance to `time` (ms) and return the music bus gain (0-1)
+    update(time, micLevel) {
+        const target = this.engaged(time, micLevel) ? this.talkover.duck_level / 100 : 1;
+
+        // A new target starts a fresh ramp from wherever the gain is now,
+        // so reversing mid-fade doesn't jump
+        if (!this.ramp || this.ramp.to !== target) {
+            const seconds = target < this.gain ? this.attack : this.release;
+            this.ramp = { from: this.gain, to: target, start: time, duration: seconds * 1000, curve: this.talkover.curve };
+        }
+
+        const { from, to, start, duration, curve } = this.ramp;
+        const progress = duration > 0 ? (time - start) / duration : 1;
+        this.gain = rampGain(curve, from, to, clamp(progress, 0, 1));
+
+        this.talkover.gain = this.gain * 100;
+        this.talkover.ducking = target < 1;
+        return this.gain;
+    }
+}
+
+module.exports = { DuckingEnvelope, applyTalkoverSettings, CURVES };
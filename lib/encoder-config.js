@@ -0,0 +1,266 @@
+// Encoder output configuration schema. The same description drives server
+// side validation and is served to the frontend (GET
+// /api/audio/config/schema) so the form can check values before sending.
+const { normalizeProtocol } = require('./sources');
+
+const PROTOCOLS = ['icecast2', 'shoutcast1', 'shoutcast2'];
+
+// What each codec can actually be encoded at. FLAC is lossless, so it has
+// no bitrate choice.
+const CODECS = {
+    mp3: {
+        bitrates: [32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+        sampleRates: [22050, 24000, 32000, 44100, 48000]
+    },
+    aac: {
+        bitrates: [24, 32, 48, 64, 96, 128, 160, 192, 256, 320],
+        sampleRates: [22050, 24000, 32000, 44100, 48000]
+    },
+    ogg: {
+        bitrates: [48, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+        sampleRates: [22050, 32000, 44100, 48000]
+    },
+    opus: {
+        bitrates: [24, 32, 48, 64, 96, 128, 160, 192, 256],
+        sampleRates: [48000]
+    },
+    flac: {
+        bitrates: null,
+        sampleRates: [44100, 48000, 88200, 96000]
+    }
+};
+
+// SHOUTcast servers only carry MPEG audio and AAC
+const PROTOCOL_CODECS = {
+    icecast2: Object.keys(CODECS),
+    shoutcast1: ['mp3', 'aac'],
+    shoutcast2: ['mp3', 'aac']
+};
+
+// One path segment: listener (/stream/:mount) and HLS routes take one
+const MOUNT_PATTERN = /^\/[A-Za-z0-9._~\-]+$/;
+const HOST_PATTERN = /^[A-Za-z0-9]([A-Za-z0-9\-.]*[A-Za-z0-9])?$|^\[?[0-9A-Fa-f:]+\]?$/;
+const URL_PATTERN = /^https?:\/\/\S+$/;
+
+const FIELDS = {
+    protocol: { type: 'string', enum: PROTOCOLS, default: 'icecast2', description: 'Server protocol' },
+    serverHost: { type: 'string', required: true, pattern: HOST_PATTERN, maxLength: 253, description: 'Server hostname or IP, without scheme or port' },
+    serverPort: { type: 'integer', required: true, min: 1, max: 65535, description: 'Server port (SHOUTcast v1 also uses port + 1)' },
+    mountPoint: { type: 'string', pattern: MOUNT_PATTERN, maxLength: 255, default: '/stream', protocols: ['icecast2'], description: 'Mount point: / and one path segment, such as /live' },
+    sid: { type: 'integer', min: 1, max: 2147483647, default: 1, protocols: ['shoutcast2'], description: 'SHOUTcast v2 stream ID' },
+    username: { type: 'string', maxLength: 255, singleLine: true, description: 'Source username (Icecast default: source)' },
+    password: { type: 'string', required: true, minLength: 1, maxLength: 255, secret: true, singleLine: true, description: 'Source password' },
+    adminPassword: { type: 'string', maxLength: 255, secret: true, singleLine: true, description: 'Admin password for metadata updates, if different' },
+    codec: { type: 'string', enum: Object.keys(CODECS), default: 'mp3', description: 'Audio codec' },
+    bitrate: { type: 'integer', default: 128, description: 'Bitrate in kbps; allowed values depend on codec' },
+    sampleRate: { type: 'integer', default: 44100, description: 'Sample rate in Hz; allowed values depend on codec' },
+    channels: { type: 'integer', enum: [1, 2], default: 2, description: '1 = mono, 2 = stereo' },
+    public: { type: 'boolean', default: false, description: 'List the stream in public directories' },
+    name: { type: 'string', maxLength: 255, singleLine: true, description: 'Stream name' },
+    genre: { type: 'string', maxLength: 255, singleLine: true, description: 'Stream genre' },
+    description: { type: 'string', maxLength: 1024, singleLine: true, description: 'Stream description' },
+    url: { type: 'string', pattern: URL_PATTERN, maxLength: 1024, singleLine: true, description: 'Station website (http or https)' },
+    live: { type: 'boolean', description: 'Open a real source connection instead of simulating one' },
+    reconnect: { type: 'object', description: 'Reconnect policy overrides' },
+    hls: { type: 'object', description: 'HLS packaging: { enabled, segmentSeconds, dvrSeconds }; mp3 and aac only' }
+};
+
+// Bounds for the `hls` object
+const HLS_LIMITS = {
+    segmentSeconds: { min: 1, max: 30, default: 6 },
+    dvrSeconds: { min: 10, max: 4 * 60 * 60, default: 600 }
+};
+const HLS_CODECS = ['mp3', 'aac'];
+
+// What responses show instead of a stored password
+const SECRET_MASK = '********';
+
+function fieldError(code, message) {
+    return { code, message };
+}
+
+// Forms send everything as strings; accept "128" and "true"
+function coerce(value, type) {
+    if (type === 'integer' && typeof value === 'string' && /^-?\d+$/.test(value.trim())) {
+        return Number(value);
+    }
+    if (type === 'boolean' && (value === 'true' || value === 'false')) {
+        return value === 'true';
+    }
+    return value;
+}
+
+function typeMatches(value, type) {
+    switch (type) {
+        case 'integer': return Number.isInteger(value);
+        case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+        default: return typeof value === type;
+    }
+}
+
+function checkField(name, value, field) {
+    if (!typeMatches(value, field.type)) {
+        return fieldError('INVALID_TYPE', `${name} must be ${field.type === 'integer' ? 'an integer' : `a ${field.type}`}`);
+    }
+    if (field.enum && !field.enum.includes(value)) {
+        return fieldError('INVALID_VALUE', `${name} must be one of: ${field.enum.join(', ')}`);
+    }
+    if (field.min !== undefined && (value < field.min || value > field.max)) {
+        return fieldError('OUT_OF_RANGE', `${name} must be between ${field.min} and ${field.max}`);
+    }
+    if (field.minLength !== undefined && value.length < field.minLength) {
+        return fieldError('REQUIRED', `${name} must not be empty`);
+    }
+    if (field.maxLength !== undefined && value.length > field.maxLength) {
+        return fieldError('TOO_LONG', `${name} must be at most ${field.maxLength} characters`);
+    }
+    // These go into source request headers or the SHOUTcast v1 password
+    // line; a line break would add headers or protocol lines
+    if (field.singleLine && /[\u0000-\u001f\u007f]/.test(value)) {
+        return fieldError('INVALID_FORMAT', `${name} must not contain line breaks or other control characters`);
+    }
+    if (field.pattern && value !== '' && !field.pattern.test(value)) {
+        return fieldError('INVALID_FORMAT', formatHint(name));
+    }
+    return null;
+}
+
+function formatHint(name) {
+    switch (name) {
+        case 'mountPoint': return 'mountPoint must be / followed by one name of letters, digits, . _ ~ and -, such as /live';
+        case 'serverHost': return 'serverHost must be a hostname or IP address, without http:// or a port';
+        case 'url': return 'url must start with http:// or https://';
+        default: return `${name} has an invalid format`;
+    }
+}
+
+// Rules that depend on more than one field
+function checkCombinations(config, fields) {
+    const codec = CODECS[config.codec];
+    if (!fields.codec && !PROTOCOL_CODECS[config.protocol].includes(config.codec)) {
+        fields.codec = fieldError('NOT_SUPPORTED_BY_PROTOCOL', `${config.protocol} does not support ${config.codec}; use ${PROTOCOL_CODECS[config.protocol].join(' or ')}`);
+    }
+    if (codec && !fields.bitrate && codec.bitrates && !codec.bitrates.includes(config.bitrate)) {
+        fields.bitrate = fieldError('NOT_ALLOWED_FOR_CODEC', `${config.codec} bitrate must be one of: ${codec.bitrates.join(', ')} kbps`);
+    }
+    if (codec && !fields.sampleRate && !codec.sampleRates.includes(config.sampleRate)) {
+        fields.sampleRate = fieldError('NOT_ALLOWED_FOR_CODEC', `${config.codec} sample rate must be one of: ${codec.sampleRates.join(', ')} Hz`);
+    }
+    if (!fields.hls && config.hls) {
+        const error = checkHls(config.hls, config.codec);
+        if (error) fields.hls = error;
+    }
+    if (!fields.serverPort && config.protocol === 'shoutcast1' && config.serverPort === 65535) {
+        fields.serverPort = fieldError('OUT_OF_RANGE', 'SHOUTcast v1 sources connect on port + 1, so serverPort must be at most 65534');
+    }
+}
+
+function checkHls(hls, codec) {
+    if (hls.enabled !== undefined && typeof hls.enabled !== 'boolean') {
+        return fieldError('INVALID_TYPE', 'hls.enabled must be a boolean');
+    }
+    for (const key of Object.keys(HLS_LIMITS)) {
+        const value = hls[key];
+        const { min, max } = HLS_LIMITS[key];
+        if (value !== undefined && !(typeof value === 'number' && value >= min && value <= max)) {
+            return fieldError('OUT_OF_RANGE', `hls.${key} must be a number between ${min} and ${max}`);
+        }
+    }
+    if (hls.enabled === true && !HLS_CODECS.includes(codec)) {
+        return fieldError('NOT_ALLOWED_FOR_CODEC', `HLS output needs ${HLS_CODECS.join(' or ')}, not ${codec}`);
+    }
+    return null;
+}
+
+// Returns { valid, config, fields }: `config` is normalised (defaults
+// filled in, protocol aliases resolved, numeric strings converted) and
+// `fields` maps each bad field to { code, message }. Unknown keys pass
+// through untouched.
+function validateEncoderConfig(input) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { valid: false, config: null, fields: { config: fieldError('INVALID_TYPE', 'config must be an object') } };
+    }
+
+    const config = { ...input };
+    const fields = {};
+
+    // Protocol first: it decides which other fields apply
+    const protocol = config.protocol === undefined ? FIELDS.protocol.default : normalizeProtocol(config.protocol);
+    if (!protocol) {
+        fields.protocol = fieldError('INVALID_VALUE', `protocol must be one of: ${PROTOCOLS.join(', ')}`);
+    }
+    config.protocol = protocol || FIELDS.protocol.default;
+
+    Object.keys(FIELDS).forEach(name => {
+        if (name === 'protocol') return;
+        const field = FIELDS[name];
+        const value = config[name];
+
+        if (value === undefined || value === null || value === '') {
+            if (field.required && (!field.protocols || field.protocols.includes(config.protocol))) {
+                fields[name] = fieldError('REQUIRED', `${name} is required`);
+            } else if (field.default !== undefined && (!field.protocols || field.protocols.includes(config.protocol))) {
+                config[name] = field.default;
+            }
+            return;
+        }
+
+        config[name] = coerce(value, field.type);
+        const error = checkField(name, config[name], field);
+        if (error) {
+            fields[name] = error;
+        }
+    });
+
+    // Opus is always 48 kHz; don't make the form say so
+    if (config.codec === 'opus' && input.sampleRate === undefined) {
+        config.sampleRate = 48000;
+    }
+    if (config.codec === 'flac' && input.bitrate === undefined) {
+        delete config.bitrate;
+    }
+
+    if (!fields.protocol) {
+        checkCombinations(config, fields);
+    }
+
+    return { valid: Object.keys(fields).length === 0, config, fields };
+}
+
+// Copy of a config that is safe to send to clients
+function maskSecrets(config) {
+    if (!config) return config;
+    const masked = { ...config };
+    Object.keys(FIELDS).forEach(name => {
+        if (FIELDS[name].secret && masked[name]) masked[name] = SECRET_MASK;
+    });
+    return masked;
+}
+
+// A config update from a client that received masked passwords: keep the
+// stored secret wherever the mask was sent back
+function mergeSecrets(stored, changes) {
+    const merged = { ...stored, ...changes };
+    Object.keys(changes).forEach(key => {
+        if (FIELDS[key] && FIELDS[key].secret && changes[key] === SECRET_MASK) merged[key] = stored[key];
+    });
+    return merged;
+}
+
+// JSON-friendly copy of the schema (regexes as strings)
+function encoderConfigSchema() {
+    const fields = {};
+    Object.keys(FIELDS).forEach(name => {
+        const { pattern, ...rest } = FIELDS[name];
+        fields[name] = pattern ? { ...rest, pattern: pattern.source } : rest;
+    });
+    return {
+        fields,
+        codecs: CODECS,
+        protocol_codecs: PROTOCOL_CODECS,
+        hls: { ...HLS_LIMITS, codecs: HLS_CODECS },
+        error_codes: ['REQUIRED', 'INVALID_TYPE', 'INVALID_VALUE', 'OUT_OF_RANGE', 'TOO_LONG', 'INVALID_FORMAT', 'NOT_ALLOWED_FOR_CODEC', 'NOT_SUPPORTED_BY_PROTOCOL']
+    };
+}
+
+module.exports = { validateEncoderConfig, encoderConfigSchema, maskSecrets, mergeSecrets, SECRET_MASK };
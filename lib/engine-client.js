@@ -0,0 +1,166 @@
+// Client for the C++ media server, used when backend_type is
+// 'cpp_media_server'. Commands go over HTTP to the same /api/audio/...
+// routes this mock serves; the engine pushes levels and state changes
+// over a WebSocket on the same host.
+//
+// Events:
+//   'levels' data     meter levels in dBFS (see README, C++ Media Server)
+//   'state'  data     { microphone, talkover, master, channels } changes
+//   'events' up       the push connection opened (true) or dropped (false)
+const http = require('http');
+const { EventEmitter } = require('events');
+const WebSocket = require('ws');
+
+const DEFAULT_TIMEOUT_MS = 2000;
+const RECONNECT_MIN_MS = 1000;
+const RECONNECT_MAX_MS = 10000;
+
+function engineError(code, message, extra = {}) {
+    const err = new Error(message);
+    err.code = code;
+    Object.assign(err, extra);
+    return err;
+}
+
+class EngineClient extends EventEmitter {
+    constructor({ url, timeoutMs = DEFAULT_TIMEOUT_MS }) {
+        super();
+        this.url = url;
+        this.timeoutMs = timeoutMs;
+        this.ws = null;
+        this.started = false;
+        this.reconnectDelay = RECONNECT_MIN_MS;
+        this.reconnectTimer = null;
+        this.lastError = null;
+        this.lastResponseAt = null;
+        this.lastPushAt = null;
+    }
+
+    get eventsConnected() {
+        return Boolean(this.ws && this.ws.readyState === WebSocket.OPEN);
+    }
+
+    // Send a command; resolves to the engine's JSON reply. Rejects with
+    // ENGINE_TIMEOUT, ENGINE_UNAVAILABLE, ENGINE_BAD_RESPONSE or, when the
+    // engine itself refuses, ENGINE_ERROR carrying its `status` and `body`.
+    request(method, route, body) {
+        return new Promise((resolve, reject) => {
+            const payload = body === undefined ? null : JSON.stringify(body);
+            const fail = (err) => {
+                this.lastError = { code: err.code, message: err.message, at: new Date().toISOString() };
+                reject(err);
+            };
+
+            const req = http.request(new URL(route, this.url), {
+                method,
+                headers: payload ? { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) } : {}
+            }, (res) => {
+                let data = '';
+                res.setEncoding('utf8');
+                res.on('data', chunk => { data += chunk; });
+                res.on('end', () => {
+                    clearTimeout(timer);
+                    let reply;
+                    try {
+                        reply = data ? JSON.parse(data) : {};
+                    } catch (err) {
+                        return fail(engineError('ENGINE_BAD_RESPONSE', `C++ engine sent invalid JSON for ${method} ${route}`));
+                    }
+                    if (reply === null || typeof reply !== 'object' || Array.isArray(reply)) {
+                        return fail(engineError('ENGINE_BAD_RESPONSE', `C++ engine sent a non-object reply for ${method} ${route}`));
+                    }
+                    this.lastResponseAt = new Date().toISOString();
+                    if (res.statusCode >= 400 || reply.success === false) {
+                        return fail(engineError('ENGINE_ERROR', reply.error || `C++ engine replied ${res.statusCode}`, {
+                            status: res.statusCode,
+                            body: reply
+                        }));
+                    }
+                    resolve(reply);
+                });
+            });
+
+            const timer = setTimeout(() => {
+                req.destroy(engineError('ENGINE_TIMEOUT', `C++ engine did not answer ${method} ${route} within ${this.timeoutMs} ms`));
+            }, this.timeoutMs);
+
+            req.on('error', (err) => {
+                clearTimeout(timer);
+                if (err.code && err.code.startsWith('ENGINE_')) return fail(err);
+                fail(engineError('ENGINE_UNAVAILABLE', `C++ engine unreachable at ${this.url}: ${err.message}`));
+            });
+            req.end(payload);
+        });
+    }
+
+    // Open the push connection and keep it open until stop()
+    start() {
+        if (this.started) return;
+        this.started = true;
+        this.openEvents();
+    }
+
+    stop() {
+        this.started = false;
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        if (this.ws) {
+            this.ws.removeAllListeners();
+            this.ws.on('error', () => {});
+            this.ws.terminate();
+            this.ws = null;
+        }
+    }
+
+    openEvents() {
+        const ws = new WebSocket(this.url.replace(/^http/, 'ws'));
+        this.ws = ws;
+
+        let opened = false;
+        ws.on('open', () => {
+            opened = true;
+            this.reconnectDelay = RECONNECT_MIN_MS;
+            console.log(`🔌 C++ engine push connection open (${this.url})`);
+            this.emit('events', true);
+        });
+        ws.on('message', (data) => {
+            let message;
+            try {
+                message = JSON.parse(data);
+            } catch (err) {
+                return;
+            }
+            this.lastPushAt = new Date().toISOString();
+            if (message.type === 'levels' || message.type === 'state') {
+                this.emit(message.type, message.data || {});
+            }
+        });
+        ws.on('error', (err) => {
+            this.lastError = { code: 'ENGINE_UNAVAILABLE', message: `Push connection: ${err.message}`, at: new Date().toISOString() };
+        });
+        ws.on('close', () => {
+            this.ws = null;
+            if (opened) {
+                console.log('🔌 C++ engine push connection closed');
+                this.emit('events', false);
+            }
+            if (!this.started) return;
+            // Keep retrying while the engine is down, backing off to 10 s
+            this.reconnectTimer = setTimeout(() => this.openEvents(), this.reconnectDelay);
+            this.reconnectDelay = Math.min(RECONNECT_MAX_MS, this.reconnectDelay * 2);
+        });
+    }
+
+    toJSON() {
+        return {
+            url: this.url,
+            timeout_ms: this.timeoutMs,
+            events_connected: this.eventsConnected,
+            last_response_at: this.lastResponseAt,
+            last_push_at: this.lastPushAt,
+            last_error: this.lastError
+        };
+    }
+}
+
+module.exports = { EngineClient };
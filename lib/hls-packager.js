@@ -0,0 +1,191 @@
+// Packs an output's MP3/AAC stream into HLS packed-audio segments (.aac /
+// .mp3, RFC 8216 section 3.4) and keeps a rolling live playlist. Segments
+// older than the DVR window are dropped.
+//
+// Every segment starts with an ID3 tag carrying the MPEG-TS timestamp HLS
+// requires for packed audio plus the current title (TIT2/TPE1). Track
+// changes are also listed as EXT-X-DATERANGE tags so players can show the
+// song at the right moment.
+const { FrameSplitter } = require('./audio-frames');
+
+const DEFAULT_SEGMENT_SECONDS = 6;
+const DEFAULT_DVR_SECONDS = 10 * 60;
+const HLS_CODECS = {
+    aac: { extension: 'aac', contentType: 'audio/aac' },
+    mp3: { extension: 'mp3', contentType: 'audio/mpeg' }
+};
+
+function syncsafe(size) {
+    return Buffer.from([(size >> 21) & 0x7f, (size >> 14) & 0x7f, (size >> 7) & 0x7f, size & 0x7f]);
+}
+
+function id3Frame(id, payload) {
+    return Buffer.concat([Buffer.from(id, 'latin1'), syncsafe(payload.length), Buffer.alloc(2), payload]);
+}
+
+function id3TextFrame(id, text) {
+    return id3Frame(id, Buffer.concat([Buffer.from([0x03]), Buffer.from(text, 'utf8')])); // 0x03 = UTF-8
+}
+
+// ID3v2.4 tag with the 33-bit 90 kHz timestamp of the segment's first sample
+function segmentId3(pts, track) {
+    const timestamp = Buffer.alloc(8);
+    timestamp.writeUInt32BE(Math.floor(pts / 0x100000000) & 0x1, 0);
+    timestamp.writeUInt32BE(pts % 0x100000000, 4);
+
+    const frames = [id3Frame('PRIV', Buffer.concat([
+        Buffer.from('com.apple.streaming.transportStreamTimestamp\0', 'latin1'),
+        timestamp
+    ]))];
+    if (track) {
+        frames.push(id3TextFrame('TIT2', track.title || ''), id3TextFrame('TPE1', track.artist || ''));
+    }
+
+    const body = Buffer.concat(frames);
+    return Buffer.concat([Buffer.from([0x49, 0x44, 0x33, 0x04, 0x00, 0x00]), syncsafe(body.length), body]);
+}
+
+function quoteAttribute(text) {
+    return String(text).replace(/["\r\n]/g, "'");
+}
+
+class HlsPackager {
+    constructor(codec, options = {}) {
+        this.codec = HLS_CODECS[codec];
+        this.segmentSeconds = options.segmentSeconds || DEFAULT_SEGMENT_SECONDS;
+        this.dvrSeconds = Math.max(options.dvrSeconds || DEFAULT_DVR_SECONDS, this.segmentSeconds * 3);
+        this.getTrack = options.getTrack || (() => null);
+        this.splitter = new FrameSplitter(codec);
+        this.segments = []; // { sequence, name, data, duration, startedAt }
+        this.trackMarkers = []; // { id, startedAt, artist, title }
+        this.sequence = 0;
+        this.mediaStart = null; // wall-clock ms of the first sample
+        this.mediaSeconds = 0; // audio packed so far
+        this.current = null;
+        this.nextMarkerId = 1;
+    }
+
+    static supports(codec) {
+        return Boolean(HLS_CODECS[codec]);
+    }
+
+    get contentType() {
+        return this.codec.contentType;
+    }
+
+    // Wall-clock time of the audio being packed right now
+    mediaTime() {
+        return this.mediaStart === null ? Date.now() : this.mediaStart + this.mediaSeconds * 1000;
+    }
+
+    write(chunk) {
+        this.splitter.push(chunk).forEach(frame => {
+            if (this.mediaStart === null) {
+                this.mediaStart = Date.now();
+            }
+            if (!this.current) {
+                this.openSegment();
+            }
+
+            this.current.frames.push(frame.data);
+            this.current.duration += frame.samples / frame.sampleRate;
+            this.mediaSeconds += frame.samples / frame.sampleRate;
+
+            if (this.current.duration >= this.segmentSeconds) {
+                this.closeSegment();
+            }
+        });
+    }
+
+    openSegment() {
+        const startedAt = this.mediaTime();
+        const pts = Math.round(this.mediaSeconds * 90000) % 0x200000000;
+        this.current = {
+            frames: [segmentId3(pts, this.getTrack())],
+            duration: 0,
+            startedAt
+        };
+    }
+
+    closeSegment() {
+        const sequence = this.sequence++;
+        this.segments.push({
+            sequence,
+            name: `segment-${sequence}.${this.codec.extension}`,
+            data: Buffer.concat(this.current.frames),
+            duration: this.current.duration,
+            startedAt: this.current.startedAt
+        });
+        this.current = null;
+
+        // Keep only what fits in the DVR window
+        let total = this.segments.reduce((sum, segment) => sum + segment.duration, 0);
+        while (this.segments.length > 1 && total - this.segments[0].duration >= this.dvrSeconds) {
+            total -= this.segments.shift().duration;
+        }
+        // ...and the track changes inside it, plus the track already playing
+        // when the window starts
+        const windowStart = this.segments[0].startedAt;
+        const firstInside = this.trackMarkers.findIndex(marker => marker.startedAt >= windowStart);
+        const keepFrom = firstInside === -1 ? this.trackMarkers.length - 1 : Math.max(0, firstInside - 1);
+        this.trackMarkers = this.trackMarkers.slice(Math.max(0, keepFrom));
+    }
+
+    // A track change, placed at the current media position
+    markTrack(track) {
+        this.trackMarkers.push({
+            id: this.nextMarkerId++,
+            startedAt: this.mediaTime(),
+            artist: track.artist,
+            title: track.title
+        });
+    }
+
+    segment(name) {
+        return this.segments.find(segment => segment.name === name) || null;
+    }
+
+    playlist() {
+        // RFC 8216: each EXTINF, rounded, must not exceed the target duration
+        const targetDuration = Math.max(Math.ceil(this.segmentSeconds), ...this.segments.map(segment => Math.round(segment.duration)));
+        const lines = [
+            '#EXTM3U',
+            '#EXT-X-VERSION:3',
+            `#EXT-X-TARGETDURATION:${targetDuration}`,
+            `#EXT-X-MEDIA-SEQUENCE:${this.segments.length ? this.segments[0].sequence : this.sequence}`
+        ];
+
+        this.trackMarkers.forEach((marker, i) => {
+            const next = this.trackMarkers[i + 1];
+            const attributes = [
+                `ID="track-${marker.id}"`,
+                'CLASS="com.onestopradio.track"',
+                `START-DATE="${new Date(marker.startedAt).toISOString()}"`
+            ];
+            if (next) {
+                attributes.push(`END-DATE="${new Date(next.startedAt).toISOString()}"`);
+            }
+            attributes.push(`X-TITLE="${quoteAttribute(marker.title)}"`, `X-ARTIST="${quoteAttribute(marker.artist)}"`);
+            lines.push(`#EXT-X-DATERANGE:${attributes.join(',')}`);
+        });
+
+        this.segments.forEach(segment => {
+            lines.push(`#EXT-X-PROGRAM-DATE-TIME:${new Date(segment.startedAt).toISOString()}`);
+            lines.push(`#EXTINF:${segment.duration.toFixed(3)},`);
+            lines.push(segment.name);
+        });
+        return lines.join('\n') + '\n';
+    }
+
+    toJSON() {
+        return {
+            segment_seconds: this.segmentSeconds,
+            dvr_seconds: this.dvrSeconds,
+            segments: this.segments.length,
+            window_seconds: Math.round(this.segments.reduce((sum, segment) => sum + segment.duration, 0)),
+            media_sequence: this.segments.length ? this.segments[0].sequence : this.sequence
+        };
+    }
+}
+
+module.exports = { HlsPackager };
@@ -0,0 +1,110 @@
+// Icecast 2.4 status/admin response formats, so tools written for Icecast
+// (BUTT, Mixxx, Liquidsoap, monitoring plugins) can read this server.
+// Callers describe each source as a plain object of Icecast stat names;
+// this module only handles layout, dates and auth parsing.
+
+const SERVER_ID = 'Icecast 2.4.4';
+
+// Icecast formats times as strftime "%a, %d %b %Y %H:%M:%S %z" in UTC
+function icecastDate(ms) {
+    return new Date(ms).toUTCString().replace('GMT', '+0000');
+}
+
+function icecastIsoDate(ms) {
+    return new Date(ms).toISOString().replace(/\.\d{3}Z$/, '+0000');
+}
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function xmlFields(fields) {
+    return Object.keys(fields)
+        .filter(key => fields[key] !== null && fields[key] !== undefined)
+        .map(key => `<${key}>${escapeXml(fields[key])}</${key}>`)
+        .join('');
+}
+
+function serverFields(server) {
+    return {
+        admin: server.admin,
+        host: server.host,
+        location: server.location,
+        server_id: SERVER_ID,
+        server_start: icecastDate(server.startedAt),
+        server_start_iso8601: icecastIsoDate(server.startedAt)
+    };
+}
+
+// `source` in status-json.xsl is an object for one mount and an array for
+// several (and missing when there are none), exactly like Icecast
+function statusJson(server, sources) {
+    const icestats = serverFields(server);
+    const entries = sources.map(({ mount, stats }) => ({ ...stats, listenurl: `${server.baseUrl}${mount.url}`, dummy: null }));
+    if (entries.length === 1) {
+        icestats.source = entries[0];
+    } else if (entries.length > 1) {
+        icestats.source = entries;
+    }
+    return { icestats };
+}
+
+function statsXml(server, sources, totals) {
+    const sourceXml = sources.map(({ mount, stats }) =>
+        `<source mount="${escapeXml(mount.name)}">${xmlFields({ ...stats, listenurl: `${server.baseUrl}${mount.url}` })}</source>`
+    ).join('');
+
+    return '<?xml version="1.0"?>\n<icestats>' + xmlFields({
+        ...serverFields(server),
+        clients: totals.listeners + sources.length,
+        listeners: totals.listeners,
+        sources: sources.length,
+        source_client_connections: sources.length,
+        listener_connections: totals.listeners
+    }) + sourceXml + '</icestats>\n';
+}
+
+function listClientsXml(mountName, clients) {
+    const listeners = clients.map(client =>
+        `<listener id="${client.id}">${xmlFields({
+            IP: client.ip,
+            UserAgent: client.userAgent,
+            Connected: client.connectedSeconds,
+            ID: client.id
+        })}</listener>`
+    ).join('');
+
+    return '<?xml version="1.0"?>\n<icestats>' +
+        `<source mount="${escapeXml(mountName)}"><Listeners>${clients.length}</Listeners>${listeners}</source>` +
+        '</icestats>\n';
+}
+
+// Admin command result, e.g. for /admin/metadata
+function iceResponse(message, ok) {
+    return `<?xml version="1.0"?>\n<iceresponse><message>${escapeXml(message)}</message><return>${ok ? 1 : 0}</return></iceresponse>\n`;
+}
+
+// Basic credentials from an Authorization header, or null
+function parseBasicAuth(header) {
+    const match = /^Basic\s+(\S+)$/i.exec(header || '');
+    if (!match) return null;
+    const decoded = Buffer.from(match[1], 'base64').toString('utf8');
+    const colon = decoded.indexOf(':');
+    if (colon === -1) return null;
+    return { username: decoded.slice(0, colon), password: decoded.slice(colon + 1) };
+}
+
+module.exports = {
+    SERVER_ID,
+    icecastDate,
+    icecastIsoDate,
+    statusJson,
+    statsXml,
+    listClientsXml,
+    iceResponse,
+    parseBasicAuth
+};
@@ -0,0 +1,27 @@
+// Small JSON files under data/ (presets, loudness log). Writes go to a
+// temp file first and are renamed into place, so a crash never leaves
+// half a file.
+const fs = require('fs');
+const path = require('path');
+
+// Parsed contents, or `fallback` if the file doesn't exist yet. A file
+// that exists but can't be read is logged and treated as missing.
+function readJsonFile(file, fallback) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+        if (err.code !== 'ENOENT') {
+            console.error(`❌ Could not read ${file}: ${err.message}`);
+        }
+        return fallback;
+    }
+}
+
+function writeJsonFile(file, data, { mode = 0o644 } = {}) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const temp = `${file}.tmp`;
+    fs.writeFileSync(temp, JSON.stringify(data, null, 2), { mode });
+    fs.renameSync(temp, file);
+}
+
+module.exports = { readJsonFile, writeJsonFile };
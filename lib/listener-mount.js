@@ -0,0 +1,150 @@
+// Icecast-style listener mount: relays the audio a source pushes in to
+// every connected HTTP client and, for clients that send `Icy-MetaData: 1`,
+// interleaves a StreamTitle block every `metaint` bytes.
+const { EventEmitter } = require('events');
+const { contentTypeForCodec } = require('./sources/source-client');
+
+const ICY_METAINT = 16000;
+const BURST_SIZE = 64 * 1024; // sent to new listeners so playback starts at once
+const MAX_CLIENT_BACKLOG = 512 * 1024; // slow clients beyond this are dropped
+
+// One metadata block: length byte (in 16-byte units) + zero-padded text
+function icyMetadataBlock(title) {
+    const text = Buffer.from(`StreamTitle='${title.replace(/'/g, '’')}';`, 'utf8').slice(0, 255 * 16);
+    const units = Math.ceil(text.length / 16);
+    const block = Buffer.alloc(1 + units * 16);
+    block[0] = units;
+    text.copy(block, 1);
+    return block;
+}
+
+class ListenerMount extends EventEmitter {
+    constructor(name, options = {}) {
+        super();
+        this.name = name;
+        this.getTitle = options.getTitle || (() => '');
+        this.metaint = options.metaint || ICY_METAINT;
+        this.clients = new Set();
+        this.burst = Buffer.alloc(0);
+        this.nextClientId = 1;
+    }
+
+    get clientCount() {
+        return this.clients.size;
+    }
+
+    // Attach an HTTP response as a listener; `info` carries the stream
+    // details advertised in the icy-* headers
+    attachListener(req, res, info = {}) {
+        const wantsMetadata = req.get('Icy-MetaData') === '1';
+        const headers = {
+            'Content-Type': contentTypeForCodec(info.codec),
+            'Cache-Control': 'no-cache, no-store',
+            'Connection': 'close',
+            'icy-name': info.name || 'OneStopRadio',
+            'icy-genre': info.genre || '',
+            'icy-br': String(info.bitrate || 128),
+            'icy-pub': info.public ? '1' : '0',
+            'icy-description': info.description || ''
+        };
+        if (wantsMetadata) {
+            headers['icy-metaint'] = String(this.metaint);
+        }
+
+        // Plain byte stream like Icecast, no chunked framing
+        res.useChunkedEncodingByDefault = false;
+        res.writeHead(200, headers);
+
+        const client = {
+            id: this.nextClientId++,
+            ip: req.ip,
+            userAgent: req.get('User-Agent') || '',
+            connectedAt: Date.now(),
+            res,
+            wantsMetadata,
+            untilMeta: this.metaint,
+            lastTitle: null
+        };
+        this.clients.add(client);
+        this.emit('listeners', this.clients.size);
+
+        res.on('close', () => this.removeClient(client));
+
+        if (this.burst.length > 0) {
+            this.sendTo(client, this.burst);
+        }
+        return client;
+    }
+
+    // Connected listeners, as reported by /admin/listclients
+    listClients() {
+        return Array.from(this.clients, client => ({
+            id: client.id,
+            ip: client.ip,
+            userAgent: client.userAgent,
+            connectedSeconds: Math.floor((Date.now() - client.connectedAt) / 1000)
+        }));
+    }
+
+    removeClient(client) {
+        if (this.clients.delete(client)) {
+            this.emit('listeners', this.clients.size);
+        }
+    }
+
+    // Relay a chunk of encoded audio to every listener
+    write(chunk) {
+        this.burst = Buffer.concat([this.burst, chunk]);
+        if (this.burst.length > BURST_SIZE) {
+            this.burst = this.burst.slice(this.burst.length - BURST_SIZE);
+        }
+
+        this.clients.forEach(client => this.sendTo(client, chunk));
+    }
+
+    sendTo(client, chunk) {
+        if (client.res.writableLength > MAX_CLIENT_BACKLOG) {
+            client.res.destroy();
+            this.removeClient(client);
+            return;
+        }
+
+        if (!client.wantsMetadata) {
+            client.res.write(chunk);
+            return;
+        }
+
+        let offset = 0;
+        while (offset < chunk.length) {
+            const size = Math.min(client.untilMeta, chunk.length - offset);
+            client.res.write(chunk.slice(offset, offset + size));
+            offset += size;
+            client.untilMeta -= size;
+
+            if (client.untilMeta === 0) {
+                client.res.write(this.metadataFor(client));
+                client.untilMeta = this.metaint;
+            }
+        }
+    }
+
+    // Full block when the title changed for this client, else a zero byte
+    metadataFor(client) {
+        const title = this.getTitle();
+        if (title === client.lastTitle) {
+            return Buffer.alloc(1);
+        }
+        client.lastTitle = title;
+        return icyMetadataBlock(title);
+    }
+
+    // Source went away: hang up on everyone
+    close() {
+        this.clients.forEach(client => client.res.end());
+        this.clients.clear();
+        this.burst = Buffer.alloc(0);
+        this.emit('listeners', 0);
+    }
+}
+
+module.exports = { ListenerMount };
@@ -0,0 +1,172 @@
+// Watches the program loudness meter against a target (EBU R128: -23
+// LUFS +/- 1 LU; streaming platforms often use -16 or -14) and keeps a
+// summary per show. A show runs from the first output going on air to
+// the last one leaving it; its summary is appended to a JSON log.
+//
+// Events:
+//   'warning' { type, ... }  integrated loudness left or re-entered the
+//                            target range, or the true peak went over
+//   'summary' show           a show ended and its summary was saved
+const { EventEmitter } = require('events');
+const { readJsonFile, writeJsonFile } = require('./json-file');
+
+const DEFAULT_SETTINGS = {
+    target_lufs: -23,
+    tolerance_lu: 1,
+    max_true_peak_dbtp: -1,
+    min_seconds: 10 // of gated audio before integrated loudness is judged
+};
+const MAX_SAVED_SHOWS = 200;
+const MAX_SHOW_WARNINGS = 100;
+
+function round(value, places = 1) {
+    if (value === null) return null;
+    const factor = Math.pow(10, places);
+    return Math.round(value * factor) / factor;
+}
+
+class LoudnessMonitor extends EventEmitter {
+    constructor({ meter, file }) {
+        super();
+        this.meter = meter;
+        this.file = file;
+        this.settings = { ...DEFAULT_SETTINGS };
+        this.shows = readJsonFile(file, { shows: [] }).shows || [];
+        this.show = null;
+        this.status = 'measuring';
+        this.truePeakWarned = false;
+    }
+
+    updateSettings(changes) {
+        const limits = {
+            target_lufs: [-40, -5],
+            tolerance_lu: [0.1, 10],
+            max_true_peak_dbtp: [-12, 0],
+            min_seconds: [0, 600]
+        };
+        Object.keys(limits).forEach(key => {
+            if (changes[key] === undefined) return;
+            const [min, max] = limits[key];
+            if (typeof changes[key] !== 'number' || changes[key] < min || changes[key] > max) {
+                const err = new Error(`${key} must be a number between ${min} and ${max}`);
+                err.code = 'INVALID_LOUDNESS_SETTINGS';
+                throw err;
+            }
+        });
+        Object.keys(limits).forEach(key => {
+            if (changes[key] !== undefined) this.settings[key] = changes[key];
+        });
+        this.status = 'measuring'; // re-judged against the new target
+    }
+
+    // Start measuring afresh; the show (if any) keeps running
+    reset() {
+        this.meter.reset();
+        this.status = 'measuring';
+        this.truePeakWarned = false;
+    }
+
+    startShow(time, outputs = []) {
+        if (this.show) return this.show;
+        this.reset();
+        this.meter.integrating = true;
+        this.show = {
+            id: `show_${time}`,
+            started_at: new Date(time).toISOString(),
+            outputs: outputs,
+            warnings: []
+        };
+        console.log(`📏 Loudness measurement started for ${this.show.id}`);
+        return this.show;
+    }
+
+    // Close the running show and save its summary
+    endShow(time) {
+        if (!this.show) return null;
+        const reading = this.meter.toJSON();
+        const summary = {
+            ...this.show,
+            ended_at: new Date(time).toISOString(),
+            duration_seconds: Math.round((time - Date.parse(this.show.started_at)) / 1000),
+            integrated_lufs: round(reading.integrated_lufs),
+            loudness_range_lu: round(reading.loudness_range_lu),
+            true_peak_dbtp: round(reading.true_peak_dbtp),
+            max_momentary_lufs: round(reading.max_momentary_lufs),
+            max_short_term_lufs: round(reading.max_short_term_lufs),
+            gated_seconds: reading.gated_seconds,
+            input: reading.input,
+            target_lufs: this.settings.target_lufs,
+            tolerance_lu: this.settings.tolerance_lu,
+            deviation_lu: reading.integrated_lufs === null ? null : round(reading.integrated_lufs - this.settings.target_lufs),
+            status: this.judge(reading)
+        };
+        this.show = null;
+
+        this.shows.push(summary);
+        if (this.shows.length > MAX_SAVED_SHOWS) this.shows.splice(0, this.shows.length - MAX_SAVED_SHOWS);
+        writeJsonFile(this.file, { shows: this.shows });
+
+        console.log(`📏 Show ${summary.id} ended at ${summary.integrated_lufs} LUFS (target ${summary.target_lufs})`);
+        this.emit('summary', summary);
+        return summary;
+    }
+
+    getShow(id) {
+        return this.shows.find(show => show.id === id) || null;
+    }
+
+    // 'measuring' until there's enough audio, then 'ok', 'too_loud' or 'too_quiet'
+    judge(reading) {
+        const { target_lufs, tolerance_lu, min_seconds } = this.settings;
+        if (reading.integrated_lufs === null || reading.gated_seconds < min_seconds) return 'measuring';
+        if (reading.integrated_lufs > target_lufs + tolerance_lu) return 'too_loud';
+        if (reading.integrated_lufs < target_lufs - tolerance_lu) return 'too_quiet';
+        return 'ok';
+    }
+
+    // Compare the meter with the target; warns on every change of status
+    // and the first time the true peak goes over the limit
+    check(time) {
+        const reading = this.meter.toJSON();
+        const status = this.judge(reading);
+        if (status !== this.status) {
+            const previous = this.status;
+            this.status = status;
+            if (status !== 'measuring' && !(previous === 'measuring' && status === 'ok')) {
+                this.warn(time, {
+                    type: status === 'ok' ? 'back_in_range' : status,
+                    integrated_lufs: round(reading.integrated_lufs),
+                    target_lufs: this.settings.target_lufs,
+                    tolerance_lu: this.settings.tolerance_lu
+                });
+            }
+        }
+
+        if (!this.truePeakWarned && reading.true_peak_dbtp > this.settings.max_true_peak_dbtp) {
+            this.truePeakWarned = true;
+            this.warn(time, {
+                type: 'true_peak',
+                true_peak_dbtp: round(reading.true_peak_dbtp),
+                max_true_peak_dbtp: this.settings.max_true_peak_dbtp
+            });
+        }
+    }
+
+    warn(time, warning) {
+        const entry = { ...warning, show_id: this.show ? this.show.id : null, timestamp: new Date(time).toISOString() };
+        if (this.show && this.show.warnings.length < MAX_SHOW_WARNINGS) this.show.warnings.push(entry);
+        console.log(`⚠️ Loudness warning: ${entry.type}`);
+        this.emit('warning', entry);
+    }
+
+    toJSON() {
+        return {
+            ...this.meter.toJSON(),
+            status: this.status,
+            settings: this.settings,
+            show: this.show ? { id: this.show.id, started_at: this.show.started_at, warnings: this.show.warnings.length } : null
+        };
+    }
+}
+
+module.exports = { LoudnessMonitor };
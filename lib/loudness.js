@@ -0,0 +1,250 @@
+// Program loudness per ITU-R BS.1770-4 / EBU R128: momentary (400 ms),
+// short-term (3 s) and integrated loudness in LUFS, loudness range (EBU
+// Tech 3342) and true peak.
+//
+// Audio is K-weighted and summed into 100 ms sub-blocks. Gating blocks
+// (400 ms, 75% overlap) and short-term values go into 0.1 LU histograms,
+// so memory stays flat however long the show runs.
+const { TruePeakDetector, toDb, METER_FLOOR_DB } = require('./metering');
+
+const SUB_BLOCK_MS = 100;
+const MOMENTARY_SUB_BLOCKS = 4;
+const SHORT_TERM_SUB_BLOCKS = 30;
+const ABSOLUTE_GATE_LUFS = -70;
+const INTEGRATED_RELATIVE_GATE_LU = -10;
+const LRA_RELATIVE_GATE_LU = -20;
+
+const HISTOGRAM_MIN = ABSOLUTE_GATE_LUFS;
+const HISTOGRAM_STEP = 0.1;
+const HISTOGRAM_BINS = 750; // -70 .. +5 LUFS
+
+function energyToLufs(energy) {
+    return energy > 0 ? -0.691 + 10 * Math.log10(energy) : -Infinity;
+}
+
+function lufsToEnergy(lufs) {
+    return Math.pow(10, (lufs + 0.691) / 10);
+}
+
+// The two K-weighting biquads for `sampleRate`: a high shelf modelling
+// the head, then the RLB high-pass (coefficients as in libebur128)
+function kWeightingFilters(sampleRate) {
+    let f0 = 1681.974450955533;
+    const G = 3.999843853973347;
+    let Q = 0.7071752369554196;
+    let K = Math.tan(Math.PI * f0 / sampleRate);
+    const Vh = Math.pow(10, G / 20);
+    const Vb = Math.pow(Vh, 0.4996667741545416);
+    let a0 = 1 + K / Q + K * K;
+    const shelf = {
+        b: [(Vh + Vb * K / Q + K * K) / a0, 2 * (K * K - Vh) / a0, (Vh - Vb * K / Q + K * K) / a0],
+        a: [2 * (K * K - 1) / a0, (1 - K / Q + K * K) / a0]
+    };
+
+    f0 = 38.13547087602444;
+    Q = 0.5003270373238773;
+    K = Math.tan(Math.PI * f0 / sampleRate);
+    a0 = 1 + K / Q + K * K;
+    const highPass = {
+        b: [1, -2, 1],
+        a: [2 * (K * K - 1) / a0, (1 - K / Q + K * K) / a0]
+    };
+    return [shelf, highPass];
+}
+
+class Histogram {
+    constructor() {
+        this.counts = new Uint32Array(HISTOGRAM_BINS);
+        this.energies = new Float64Array(HISTOGRAM_BINS); // exact sums, so means aren't quantised
+        this.total = 0;
+    }
+
+    add(lufs) {
+        const bin = Math.min(HISTOGRAM_BINS - 1, Math.floor((lufs - HISTOGRAM_MIN) / HISTOGRAM_STEP));
+        this.counts[bin]++;
+        this.energies[bin] += lufsToEnergy(lufs);
+        this.total++;
+    }
+
+    binLufs(bin) {
+        return HISTOGRAM_MIN + (bin + 0.5) * HISTOGRAM_STEP;
+    }
+
+    // Mean energy of the blocks at or above `gate` LUFS, as LUFS
+    gatedMean(gate) {
+        let energy = 0;
+        let count = 0;
+        this.counts.forEach((n, bin) => {
+            if (n && this.binLufs(bin) >= gate) {
+                energy += this.energies[bin];
+                count += n;
+            }
+        });
+        return count ? energyToLufs(energy / count) : null;
+    }
+
+    // Loudness at `fraction` (0-1) of the blocks at or above `gate`
+    percentile(gate, fraction) {
+        const first = Math.max(0, Math.ceil((gate - HISTOGRAM_MIN) / HISTOGRAM_STEP - 0.5));
+        let count = 0;
+        for (let bin = first; bin < HISTOGRAM_BINS; bin++) count += this.counts[bin];
+        if (!count) return null;
+
+        const target = fraction * (count - 1);
+        let seen = 0;
+        for (let bin = first; bin < HISTOGRAM_BINS; bin++) {
+            seen += this.counts[bin];
+            if (seen > target) return this.binLufs(bin);
+        }
+        return this.binLufs(HISTOGRAM_BINS - 1);
+    }
+}
+
+class LoudnessMeter {
+    constructor({ sampleRate = 48000, channels = 2 } = {}) {
+        this.configure(sampleRate, channels);
+        this.integrating = true; // false pauses integrated loudness and LRA
+        this.reset();
+    }
+
+    // Input format; changing it restarts the filters, not the measurement
+    configure(sampleRate, channels) {
+        if (this.sampleRate === sampleRate && this.channels === channels) return;
+        this.sampleRate = sampleRate;
+        this.channels = channels;
+        this.filters = kWeightingFilters(sampleRate);
+        this.filterState = Array.from({ length: channels }, () => this.filters.map(() => [0, 0, 0, 0]));
+        this.truePeakDetectors = Array.from({ length: channels }, () => new TruePeakDetector());
+        this.subBlockLength = Math.round(sampleRate * SUB_BLOCK_MS / 1000);
+        this.pending = { sum: 0, samples: 0 };
+    }
+
+    // Start a new measurement (e.g. a new show)
+    reset() {
+        this.subBlocks = []; // mean-square energy of recent 100 ms sub-blocks
+        this.pending = { sum: 0, samples: 0 };
+        this.gatingBlocks = new Histogram();
+        this.shortTermBlocks = new Histogram();
+        this.truePeakMax = METER_FLOOR_DB;
+        this.maxMomentary = null;
+        this.maxShortTerm = null;
+        this.measuredSubBlocks = 0;
+        this.input = null; // 'pcm' or 'simulated'
+    }
+
+    // `channels`: one Float32Array per channel (left, right, ...)
+    processPcm(channels) {
+        const frames = channels[0].length;
+        channels.slice(0, this.channels).forEach((samples, c) => {
+            this.truePeakMax = Math.max(this.truePeakMax, toDb(this.truePeakDetectors[c].process(samples)));
+        });
+
+        // K-weight each channel, then feed the summed squares sample by
+        // sample so sub-blocks end exactly every 100 ms
+        const weighted = channels.slice(0, this.channels).map((samples, c) => this.kWeight(samples, c));
+        for (let i = 0; i < frames; i++) {
+            for (let c = 0; c < weighted.length; c++) {
+                this.pending.sum += weighted[c][i] * weighted[c][i];
+            }
+            this.pending.samples++;
+            if (this.pending.samples === this.subBlockLength) {
+                this.addSubBlock(this.pending.sum / this.subBlockLength);
+                this.pending = { sum: 0, samples: 0 };
+            }
+        }
+        this.input = 'pcm';
+    }
+
+    kWeight(samples, channel) {
+        const out = new Float32Array(samples.length);
+        out.set(samples);
+        this.filters.forEach((filter, f) => {
+            const state = this.filterState[channel][f]; // x1, x2, y1, y2
+            const [b0, b1, b2] = filter.b;
+            const [a1, a2] = filter.a;
+            for (let i = 0; i < out.length; i++) {
+                const x = out[i];
+                const y = b0 * x + b1 * state[0] + b2 * state[1] - a1 * state[2] - a2 * state[3];
+                state[1] = state[0];
+                state[0] = x;
+                state[3] = state[2];
+                state[2] = y;
+                out[i] = y;
+            }
+        });
+        return out;
+    }
+
+    // One simulated 100 ms sub-block at `lufs`, for when no PCM arrives
+    addSimulatedBlock(lufs, truePeakDb) {
+        this.truePeakMax = Math.max(this.truePeakMax, truePeakDb);
+        this.addSubBlock(lufs > -Infinity ? lufsToEnergy(lufs) : 0);
+        this.input = 'simulated';
+    }
+
+    addSubBlock(energy) {
+        this.subBlocks.push(energy);
+        if (this.subBlocks.length > SHORT_TERM_SUB_BLOCKS) this.subBlocks.shift();
+        this.measuredSubBlocks++;
+
+        const momentary = this.windowLufs(MOMENTARY_SUB_BLOCKS);
+        const shortTerm = this.windowLufs(SHORT_TERM_SUB_BLOCKS);
+        const audibleMomentary = momentary !== null && momentary >= ABSOLUTE_GATE_LUFS;
+        const audibleShortTerm = shortTerm !== null && shortTerm >= ABSOLUTE_GATE_LUFS;
+        if (audibleMomentary) this.maxMomentary = Math.max(this.maxMomentary === null ? -Infinity : this.maxMomentary, momentary);
+        if (audibleShortTerm) this.maxShortTerm = Math.max(this.maxShortTerm === null ? -Infinity : this.maxShortTerm, shortTerm);
+
+        if (!this.integrating) return;
+        if (audibleMomentary) this.gatingBlocks.add(momentary);
+        if (audibleShortTerm) this.shortTermBlocks.add(shortTerm);
+    }
+
+    // Loudness of the last `count` sub-blocks, or null until there are that many
+    windowLufs(count) {
+        if (this.subBlocks.length < count) return null;
+        const recent = this.subBlocks.slice(-count);
+        return energyToLufs(recent.reduce((sum, energy) => sum + energy, 0) / count);
+    }
+
+    get integrated() {
+        const ungated = this.gatingBlocks.gatedMean(ABSOLUTE_GATE_LUFS);
+        if (ungated === null) return null;
+        return this.gatingBlocks.gatedMean(ungated + INTEGRATED_RELATIVE_GATE_LU);
+    }
+
+    get loudnessRange() {
+        const ungated = this.shortTermBlocks.gatedMean(ABSOLUTE_GATE_LUFS);
+        if (ungated === null) return null;
+        const gate = ungated + LRA_RELATIVE_GATE_LU;
+        const low = this.shortTermBlocks.percentile(gate, 0.10);
+        const high = this.shortTermBlocks.percentile(gate, 0.95);
+        return low === null ? null : high - low;
+    }
+
+    // Seconds of audio in the integrated measurement
+    get gatedSeconds() {
+        return this.gatingBlocks.total * SUB_BLOCK_MS / 1000;
+    }
+
+    // Silence (below the absolute gate) reads as null
+    toJSON() {
+        const audible = (lufs) => (lufs === null || lufs < ABSOLUTE_GATE_LUFS ? null : lufs);
+        return {
+            momentary_lufs: audible(this.windowLufs(MOMENTARY_SUB_BLOCKS)),
+            short_term_lufs: audible(this.windowLufs(SHORT_TERM_SUB_BLOCKS)),
+            integrated_lufs: this.integrated,
+            loudness_range_lu: this.loudnessRange,
+            true_peak_dbtp: this.truePeakMax,
+            max_momentary_lufs: this.maxMomentary,
+            max_short_term_lufs: this.maxShortTerm,
+            integrating: this.integrating,
+            measured_seconds: this.measuredSubBlocks * SUB_BLOCK_MS / 1000,
+            gated_seconds: this.gatedSeconds,
+            input: this.input,
+            sample_rate: this.sampleRate,
+            channels: this.channels
+        };
+    }
+}
+
+module.exports = { LoudnessMeter, energyToLufs, lufsToEnergy };
@@ -0,0 +1,301 @@
+// Level meters for mixer channels, the mic and the master: dBFS sample
+// peak, RMS, peak hold with decay, true peak (4x oversampled, as in ITU-R
+// BS.1770) and clip/over counters.
+//
+// A meter is fed real PCM (measurePcm), levels from the C++ engine
+// (measureLevels) or simulated levels in dB (simulate). A source fed PCM
+// or engine levels recently counts as live and the simulation leaves it
+// alone.
+
+const METER_FLOOR_DB = -120; // silence, since JSON has no -Infinity
+const CLIP_LINEAR = 32767 / 32768; // full scale for 16-bit sources
+const OVER_SAMPLES = 3; // consecutive full-scale samples that make an "over"
+const LIVE_TIMEOUT_MS = 1000;
+const SIDES = ['left', 'right'];
+
+const DEFAULT_SETTINGS = {
+    hold_seconds: 1.5,
+    decay_db_per_second: 20,
+    true_peak_limit_db: -1.0
+};
+
+function toDb(linear) {
+    return linear > 0 ? Math.max(METER_FLOOR_DB, 20 * Math.log10(linear)) : METER_FLOOR_DB;
+}
+
+function dbToLinear(db) {
+    return db <= METER_FLOOR_DB ? 0 : Math.pow(10, db / 20);
+}
+
+// 4x oversampling filter: three interpolation phases of a Hann-windowed
+// sinc, 12 taps each (samples n-5 .. n+6), normalised to unity gain
+const OVERSAMPLE = 4;
+const TAP_OFFSET = 5;
+const TAPS = 12;
+const TRUE_PEAK_PHASES = [1, 2, 3].map(phase => {
+    const position = phase / OVERSAMPLE;
+    const taps = [];
+    for (let k = 0; k < TAPS; k++) {
+        const x = position - (k - TAP_OFFSET);
+        const sinc = x === 0 ? 1 : Math.sin(Math.PI * x) / (Math.PI * x);
+        const window = 0.5 + 0.5 * Math.cos(Math.PI * x / (TAPS / 2));
+        taps.push(sinc * window);
+    }
+    const sum = taps.reduce((a, b) => a + b, 0);
+    return taps.map(tap => tap / sum);
+});
+
+// Highest interpolated value between samples, fed block by block. The
+// last TAPS samples are kept so peaks across block boundaries are found.
+class TruePeakDetector {
+    constructor() {
+        this.history = new Float32Array(TAPS);
+    }
+
+    // Linear true peak of `samples` (at least the sample peak)
+    process(samples) {
+        const buffer = new Float32Array(TAPS + samples.length);
+        buffer.set(this.history);
+        buffer.set(samples, TAPS);
+
+        let peak = 0;
+        for (let i = 0; i < samples.length; i++) {
+            peak = Math.max(peak, Math.abs(samples[i]));
+        }
+        for (let n = TAP_OFFSET; n + TAPS - TAP_OFFSET <= buffer.length; n++) {
+            TRUE_PEAK_PHASES.forEach(taps => {
+                let value = 0;
+                for (let k = 0; k < TAPS; k++) {
+                    value += buffer[n - TAP_OFFSET + k] * taps[k];
+                }
+                peak = Math.max(peak, Math.abs(value));
+            });
+        }
+
+        this.history = buffer.slice(buffer.length - TAPS);
+        return peak;
+    }
+}
+
+// Interleaved PCM body -> one Float32Array per channel
+function decodePcm(buffer, { format = 's16le', channels = 2 } = {}) {
+    const bytes = format === 'f32le' ? 4 : 2;
+    const frames = Math.floor(buffer.length / (bytes * channels));
+    const out = Array.from({ length: channels }, () => new Float32Array(frames));
+    for (let i = 0; i < frames; i++) {
+        for (let c = 0; c < channels; c++) {
+            const offset = (i * channels + c) * bytes;
+            out[c][i] = format === 'f32le' ? buffer.readFloatLE(offset) : buffer.readInt16LE(offset) / 32768;
+        }
+    }
+    return out;
+}
+
+// Per-side levels for record() from dBFS readings
+function levelsFromDb(peakDb, rmsDb, truePeakDb) {
+    const levels = {};
+    SIDES.forEach(side => {
+        const hot = peakDb[side] >= 0;
+        levels[side] = {
+            peak: Math.max(METER_FLOOR_DB, peakDb[side]),
+            rms: Math.max(METER_FLOOR_DB, rmsDb[side]),
+            truePeak: Math.max(METER_FLOOR_DB, truePeakDb[side]),
+            clips: hot ? 1 : 0,
+            overs: hot ? 1 : 0
+        };
+    });
+    return levels;
+}
+
+class Meter {
+    constructor(settings) {
+        this.settings = settings;
+        this.truePeakDetectors = { left: new TruePeakDetector(), right: new TruePeakDetector() };
+        this.fedAt = null; // last PCM block
+        this.input = 'simulated';
+        this.reset();
+        this.clearLevels();
+    }
+
+    // Counters and holds; what the reset endpoint clears
+    reset() {
+        this.clips = 0;
+        this.overs = 0;
+        this.truePeakOvers = 0;
+        this.truePeakMax = METER_FLOOR_DB;
+        this.hold = { left: METER_FLOOR_DB, right: METER_FLOOR_DB };
+        this.heldAt = { left: 0, right: 0 };
+        this.run = { left: 0, right: 0 }; // full-scale samples in a row
+    }
+
+    clearLevels() {
+        this.peak = { left: METER_FLOOR_DB, right: METER_FLOOR_DB };
+        this.rms = { left: METER_FLOOR_DB, right: METER_FLOOR_DB };
+        this.truePeak = { left: METER_FLOOR_DB, right: METER_FLOOR_DB };
+        this.truePeakOver = false;
+        this.updatedAt = null;
+    }
+
+    isLive(time) {
+        return this.fedAt !== null && time - this.fedAt < LIVE_TIMEOUT_MS;
+    }
+
+    // Mono sources are metered as two identical sides
+    measurePcm(channels, time) {
+        const left = channels[0];
+        const right = channels[1] || channels[0];
+        const levels = {};
+        [['left', left], ['right', right]].forEach(([side, samples]) => {
+            levels[side] = this.measureSide(side, samples);
+        });
+        this.fedAt = time;
+        this.input = 'pcm';
+        this.record(levels, time);
+    }
+
+    measureSide(side, samples) {
+        let peak = 0;
+        let sumSquares = 0;
+        let run = this.run[side];
+        const counts = { clips: 0, overs: 0 };
+        for (let i = 0; i < samples.length; i++) {
+            const value = Math.abs(samples[i]);
+            peak = Math.max(peak, value);
+            sumSquares += samples[i] * samples[i];
+
+            if (value >= CLIP_LINEAR) {
+                run++;
+                if (run === 1) counts.clips++;
+                if (run === OVER_SAMPLES) counts.overs++;
+            } else {
+                run = 0;
+            }
+        }
+        this.run[side] = run;
+
+        return {
+            peak: toDb(peak),
+            rms: toDb(samples.length ? Math.sqrt(sumSquares / samples.length) : 0),
+            truePeak: toDb(this.truePeakDetectors[side].process(samples)),
+            clips: counts.clips,
+            overs: counts.overs
+        };
+    }
+
+    // Simulated levels: `peakDb`/`rmsDb` are { left, right } in dBFS. A
+    // simulated peak at or above 0 dBFS counts as a clip and an over.
+    simulate(peakDb, rmsDb, truePeakDb, time) {
+        this.input = 'simulated';
+        this.record(levelsFromDb(peakDb, rmsDb, truePeakDb), time);
+    }
+
+    // Levels measured by the C++ engine, which pushes peak and RMS (and
+    // true peak if it has it). Live like PCM while pushes keep coming.
+    measureLevels(peakDb, rmsDb, truePeakDb, time) {
+        this.fedAt = time;
+        this.input = 'engine';
+        this.record(levelsFromDb(peakDb, rmsDb, truePeakDb || peakDb), time);
+    }
+
+    record(levels, time) {
+        const elapsed = this.updatedAt === null ? 0 : Math.max(0, time - this.updatedAt);
+        const { hold_seconds, decay_db_per_second, true_peak_limit_db } = this.settings;
+        let truePeakOver = false;
+
+        SIDES.forEach(side => {
+            const level = levels[side];
+            this.peak[side] = level.peak;
+            this.rms[side] = level.rms;
+            this.truePeak[side] = level.truePeak;
+            this.clips += level.clips;
+            this.overs += level.overs;
+            this.truePeakMax = Math.max(this.truePeakMax, level.truePeak);
+            if (level.truePeak > true_peak_limit_db) truePeakOver = true;
+
+            // Hold the highest peak, then let it fall at the decay rate
+            if (level.peak >= this.hold[side]) {
+                this.hold[side] = level.peak;
+                this.heldAt[side] = time;
+            } else if (time - this.heldAt[side] > hold_seconds * 1000) {
+                const decayed = this.hold[side] - decay_db_per_second * elapsed / 1000;
+                this.hold[side] = Math.max(level.peak, decayed);
+            }
+        });
+
+        if (truePeakOver) this.truePeakOvers++;
+        this.truePeakOver = truePeakOver;
+        this.updatedAt = time;
+    }
+
+    // Linear sample peak, for code that mixes levels
+    linearPeak(side) {
+        return dbToLinear(this.peak[side]);
+    }
+
+    toJSON() {
+        return {
+            source: this.input,
+            peak_db: this.peak,
+            rms_db: this.rms,
+            peak_hold_db: this.hold,
+            true_peak_db: this.truePeak,
+            true_peak_max_db: this.truePeakMax,
+            true_peak_over: this.truePeakOver,
+            true_peak_overs: this.truePeakOvers,
+            clips: this.clips,
+            overs: this.overs,
+            updated_at: this.updatedAt === null ? null : new Date(this.updatedAt).toISOString()
+        };
+    }
+}
+
+// One meter per source: 'master', 'mic' and each mixer channel id
+class MeterBank {
+    constructor(settings = {}) {
+        this.settings = { ...DEFAULT_SETTINGS, ...settings };
+        this.meters = new Map();
+    }
+
+    get(source) {
+        if (!this.meters.has(source)) {
+            this.meters.set(source, new Meter(this.settings));
+        }
+        return this.meters.get(source);
+    }
+
+    remove(source) {
+        this.meters.delete(source);
+    }
+
+    // Clear counters and holds for one source, or all of them
+    reset(source = null) {
+        if (source) {
+            this.get(source).reset();
+        } else {
+            this.meters.forEach(meter => meter.reset());
+        }
+    }
+
+    updateSettings(changes) {
+        const limits = {
+            hold_seconds: [0, 10],
+            decay_db_per_second: [1, 120],
+            true_peak_limit_db: [-12, 0]
+        };
+        Object.keys(limits).forEach(key => {
+            if (changes[key] === undefined) return;
+            const [min, max] = limits[key];
+            if (typeof changes[key] !== 'number' || changes[key] < min || changes[key] > max) {
+                const err = new Error(`${key} must be a number between ${min} and ${max}`);
+                err.code = 'INVALID_METER_SETTINGS';
+                throw err;
+            }
+        });
+        // Meters share the settings object, so this applies to all of them
+        Object.keys(limits).forEach(key => {
+            if (changes[key] !== undefined) this.settings[key] = changes[key];
+        });
+    }
+}
+
+module.exports = { MeterBank, TruePeakDetector, decodePcm, toDb, dbToLinear, METER_FLOOR_DB };
@@ -0,0 +1,277 @@
+// Channel mixer for the audio system: any number of channels (decks, aux
+// line-ins, samplers, extra mics), each with a fader, trim gain, mute,
+// solo and a crossfader assignment, summed into the master meters.
+//
+// Levels are linear peaks (0-1). Solo is solo-in-place: while any channel
+// is soloed, only soloed channels reach the master.
+//
+// Channels with PFL (pre-fader listen) on feed the cue bus, which only
+// goes to the DJ's headphones: the next track can be previewed with its
+// fader down and nothing reaches the air.
+
+const CHANNEL_TYPES = ['deck', 'aux', 'sampler', 'mic'];
+const CROSSFADER_SIDES = ['A', 'B', 'thru'];
+const MAX_CHANNELS = 16;
+const GAIN_RANGE_DB = { min: -24, max: 12 };
+const ID_PATTERN = /^[a-z0-9_-]{1,32}$/;
+const RESERVED_IDS = ['master', 'mic', 'cue']; // the audio system's own buses
+
+function mixerError(code, message) {
+    const err = new Error(message);
+    err.code = code;
+    return err;
+}
+
+function dbToGain(db) {
+    return Math.pow(10, db / 20);
+}
+
+// Linear crossfader curve (-1 = full A, 1 = full B): each side is at
+// full level up to the centre
+function crossfaderGain(position, side) {
+    if (side === 'A') return Math.min(1, 1 - position);
+    if (side === 'B') return Math.min(1, 1 + position);
+    return 1;
+}
+
+// Check and copy the settable fields in `changes`
+function channelSettings(changes) {
+    const settings = {};
+    if (changes.type !== undefined) {
+        if (!CHANNEL_TYPES.includes(changes.type)) {
+            throw mixerError('INVALID_CHANNEL', `type must be one of: ${CHANNEL_TYPES.join(', ')}`);
+        }
+        settings.type = changes.type;
+    }
+    if (changes.label !== undefined) {
+        if (typeof changes.label !== 'string' || changes.label.length > 64) {
+            throw mixerError('INVALID_CHANNEL', 'label must be a string of at most 64 characters');
+        }
+        settings.label = changes.label;
+    }
+    if (changes.volume !== undefined) {
+        if (typeof changes.volume !== 'number' || changes.volume < 0 || changes.volume > 100) {
+            throw mixerError('INVALID_CHANNEL', 'volume must be a number between 0 and 100');
+        }
+        settings.volume = changes.volume;
+    }
+    if (changes.gain !== undefined) {
+        if (typeof changes.gain !== 'number' || changes.gain < GAIN_RANGE_DB.min || changes.gain > GAIN_RANGE_DB.max) {
+            throw mixerError('INVALID_CHANNEL', `gain must be between ${GAIN_RANGE_DB.min} and ${GAIN_RANGE_DB.max} dB`);
+        }
+        settings.gain = changes.gain;
+    }
+    ['muted', 'solo', 'playing', 'pfl'].forEach(flag => {
+        if (changes[flag] === undefined) return;
+        if (typeof changes[flag] !== 'boolean') {
+            throw mixerError('INVALID_CHANNEL', `${flag} must be true or false`);
+        }
+        settings[flag] = changes[flag];
+    });
+    if (changes.crossfader !== undefined) {
+        if (!CROSSFADER_SIDES.includes(changes.crossfader)) {
+            throw mixerError('INVALID_CHANNEL', `crossfader must be one of: ${CROSSFADER_SIDES.join(', ')}`);
+        }
+        settings.crossfader = changes.crossfader;
+    }
+    return settings;
+}
+
+class Mixer {
+    constructor() {
+        this.channels = {}; // id -> channel, in creation order
+        this.crossfader = 0.0; // -1 = full A, 0 = centre, 1 = full B
+        this.cue = {
+            mix: 0.0, // headphone blend: 0 = cue only, 1 = master only
+            split: false, // cue in the left ear, master in the right
+            volume: 80.0, // headphone volume (0-100)
+            peak_left: 0.0, // cue bus
+            peak_right: 0.0,
+            headphones_left: 0.0,
+            headphones_right: 0.0
+        };
+    }
+
+    get(id) {
+        return Object.prototype.hasOwnProperty.call(this.channels, id) ? this.channels[id] : null;
+    }
+
+    list() {
+        return Object.values(this.channels);
+    }
+
+    get soloActive() {
+        return this.list().some(channel => channel.solo);
+    }
+
+    // First unused letter, so new decks continue a, b, c, d... (there are
+    // fewer channels than letters, so one is always free)
+    nextId() {
+        let code = 97;
+        while (this.get(String.fromCharCode(code))) code++;
+        return String.fromCharCode(code);
+    }
+
+    addChannel(options = {}) {
+        if (this.list().length >= MAX_CHANNELS) {
+            throw mixerError('TOO_MANY_CHANNELS', `The mixer has at most ${MAX_CHANNELS} channels`);
+        }
+        const id = options.id === undefined ? this.nextId() : options.id;
+        if (typeof id !== 'string' || !ID_PATTERN.test(id)) {
+            throw mixerError('INVALID_CHANNEL', 'id must be 1-32 lowercase letters, digits, _ or -');
+        }
+        if (RESERVED_IDS.includes(id)) {
+            throw mixerError('INVALID_CHANNEL', `"${id}" is reserved; pick another id`);
+        }
+        if (this.get(id)) {
+            throw mixerError('CHANNEL_EXISTS', `Channel "${id}" already exists`);
+        }
+
+        const settings = channelSettings(options);
+        const type = settings.type || 'deck';
+        const channel = {
+            id,
+            type,
+            label: `${type.charAt(0).toUpperCase() + type.slice(1)} ${id.length === 1 ? id.toUpperCase() : id}`,
+            playing: false,
+            volume: 75.0,
+            gain: 0.0,
+            muted: false,
+            solo: false,
+            pfl: false,
+            // Decks default to the side they'd sit on in a two-deck layout
+            crossfader: type === 'deck' ? (Object.keys(this.channels).length % 2 === 0 ? 'A' : 'B') : 'thru',
+            ...settings,
+            peak_left: 0.0,
+            peak_right: 0.0
+        };
+        this.channels[id] = channel;
+        return channel;
+    }
+
+    updateChannel(id, changes) {
+        const channel = this.get(id);
+        Object.assign(channel, channelSettings(changes));
+        if (changes.playing === false) {
+            channel.peak_left = 0.0;
+            channel.peak_right = 0.0;
+        }
+        return channel;
+    }
+
+    removeChannel(id) {
+        const channel = this.get(id);
+        delete this.channels[id];
+        return channel;
+    }
+
+    setCrossfader(value) {
+        if (typeof value !== 'number' || value < -1 || value > 1) {
+            throw mixerError('INVALID_CROSSFADER', 'crossfader must be a number between -1 (A) and 1 (B)');
+        }
+        this.crossfader = value;
+    }
+
+    crossfaderGain(side) {
+        return crossfaderGain(this.crossfader, side);
+    }
+
+    // How much of a channel reaches the master: fader x trim x crossfader,
+    // or 0 when muted or soloed out
+    channelGain(channel) {
+        if (channel.muted || (this.soloActive && !channel.solo)) return 0;
+        return (channel.volume / 100) * dbToGain(channel.gain) * this.crossfaderGain(channel.crossfader);
+    }
+
+    // Check and apply cue settings: { mix, split, volume, channels: { id: pfl } }.
+    // Nothing changes unless all of it is valid.
+    setCue(changes) {
+        if (changes.mix !== undefined && (typeof changes.mix !== 'number' || changes.mix < 0 || changes.mix > 1)) {
+            throw mixerError('INVALID_CUE', 'mix must be a number between 0 (cue) and 1 (master)');
+        }
+        if (changes.split !== undefined && typeof changes.split !== 'boolean') {
+            throw mixerError('INVALID_CUE', 'split must be true or false');
+        }
+        if (changes.volume !== undefined && (typeof changes.volume !== 'number' || changes.volume < 0 || changes.volume > 100)) {
+            throw mixerError('INVALID_CUE', 'volume must be a number between 0 and 100');
+        }
+        const channels = changes.channels || {};
+        if (typeof channels !== 'object' || Array.isArray(channels)) {
+            throw mixerError('INVALID_CUE', 'channels must map channel ids to true or false');
+        }
+        Object.entries(channels).forEach(([id, pfl]) => {
+            if (!this.get(id)) throw mixerError('CHANNEL_NOT_FOUND', `Channel "${id}" not found`);
+            if (typeof pfl !== 'boolean') throw mixerError('INVALID_CUE', `channels.${id} must be true or false`);
+        });
+
+        ['mix', 'split', 'volume'].forEach(key => {
+            if (changes[key] !== undefined) this.cue[key] = changes[key];
+        });
+        Object.entries(channels).forEach(([id, pfl]) => {
+            this.channels[id].pfl = pfl;
+        });
+    }
+
+    // Ids of the channels with PFL on
+    cueChannels() {
+        return this.list().filter(channel => channel.pfl).map(channel => channel.id);
+    }
+
+    // Cue bus peak: PFL channels after trim only, so fader, crossfader,
+    // mute and solo don't affect what the DJ hears in the headphones
+    cueLevels() {
+        return this.list().reduce((cue, channel) => {
+            if (!channel.pfl) return cue;
+            const gain = dbToGain(channel.gain);
+            return {
+                left: Math.max(cue.left, channel.peak_left * gain),
+                right: Math.max(cue.right, channel.peak_right * gain)
+            };
+        }, { left: 0, right: 0 });
+    }
+
+    // Headphone peaks from the cue bus and `master` peaks. Split cue sums
+    // each to mono, cue left and master right.
+    headphoneLevels(cue, master) {
+        const volume = this.cue.volume / 100;
+        if (this.cue.split) {
+            return {
+                left: Math.max(cue.left, cue.right) * volume,
+                right: Math.max(master.left, master.right) * volume
+            };
+        }
+        const { mix } = this.cue;
+        return {
+            left: (cue.left * (1 - mix) + master.left * mix) * volume,
+            right: (cue.right * (1 - mix) + master.right * mix) * volume
+        };
+    }
+
+    cueState() {
+        return { ...this.cue, channels: this.cueChannels() };
+    }
+
+    // Master peak is the loudest channel after its gain stage.
+    // `musicGain` (talkover ducking) applies to every channel but mics.
+    masterLevels(musicGain = 1) {
+        return this.list().reduce((master, channel) => {
+            const gain = this.channelGain(channel) * (channel.type === 'mic' ? 1 : musicGain);
+            return {
+                left: Math.max(master.left, channel.peak_left * gain),
+                right: Math.max(master.right, channel.peak_right * gain)
+            };
+        }, { left: 0, right: 0 });
+    }
+
+    toJSON() {
+        return {
+            crossfader: this.crossfader,
+            solo_active: this.soloActive,
+            max_channels: MAX_CHANNELS,
+            cue: this.cueState(),
+            channels: this.list()
+        };
+    }
+}
+
+module.exports = { Mixer, crossfaderGain, CHANNEL_TYPES, CROSSFADER_SIDES };
@@ -0,0 +1,116 @@
+// Bounded now-playing history. Each metadata change closes the previous
+// entry and opens a new one; the oldest entries fall off past `maxEntries`.
+const { now } = require('./simulation/clock');
+
+const DEFAULT_MAX_ENTRIES = 500;
+const PLAY_SOURCES = ['manual', 'dj_deck', 'automation'];
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+class PlayHistory {
+    constructor(options = {}) {
+        this.maxEntries = options.maxEntries || DEFAULT_MAX_ENTRIES;
+        this.entries = []; // oldest first
+        this.nextId = 1;
+    }
+
+    get current() {
+        const last = this.entries[this.entries.length - 1];
+        return last && !last.ended_at ? last : null;
+    }
+
+    get total() {
+        return this.entries.length;
+    }
+
+    // Encoders and decks often resend the same title; that is not a new play
+    record(track, { source = 'manual', listeners = 0 } = {}) {
+        const current = this.current;
+        if (current && current.artist === track.artist && current.title === track.title) {
+            return current;
+        }
+
+        const startedAt = new Date(now()).toISOString();
+        if (current) {
+            current.ended_at = startedAt;
+        }
+
+        const entry = {
+            id: this.nextId++,
+            artist: track.artist,
+            title: track.title,
+            source,
+            started_at: startedAt,
+            ended_at: null,
+            listeners_at_start: listeners
+        };
+        this.entries.push(entry);
+        if (this.entries.length > this.maxEntries) {
+            this.entries.splice(0, this.entries.length - this.maxEntries);
+        }
+        return entry;
+    }
+
+    // Newest first
+    page(offset = 0, limit = 20) {
+        const newestFirst = this.entries.slice().reverse();
+        return newestFirst.slice(offset, offset + limit).map(entry => this.describe(entry));
+    }
+
+    recent(count) {
+        return this.page(0, count);
+    }
+
+    describe(entry) {
+        const end = entry.ended_at ? Date.parse(entry.ended_at) : now();
+        return {
+            ...entry,
+            duration_seconds: Math.max(0, Math.round((end - Date.parse(entry.started_at)) / 1000))
+        };
+    }
+
+    clear() {
+        this.entries = [];
+    }
+
+    // RSS 2.0 "recently played" feed
+    toRss({ title, link, selfUrl, description, count = 20 }) {
+        const items = this.recent(count).map(entry => {
+            const song = `${entry.artist} - ${entry.title}`;
+            return [
+                '    <item>',
+                `      <title>${escapeXml(song)}</title>`,
+                `      <description>${escapeXml(`${song}, played ${entry.started_at}`)}</description>`,
+                `      <guid isPermaLink="false">play-${entry.id}-${escapeXml(entry.started_at)}</guid>`,
+                `      <pubDate>${new Date(entry.started_at).toUTCString()}</pubDate>`,
+                `      <category>${entry.source}</category>`,
+                '    </item>'
+            ].join('\n');
+        });
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+            '  <channel>',
+            `    <title>${escapeXml(title)}</title>`,
+            `    <link>${escapeXml(link)}</link>`,
+            `    <description>${escapeXml(description)}</description>`,
+            `    <atom:link href="${escapeXml(selfUrl)}" rel="self" type="application/rss+xml"/>`,
+            `    <lastBuildDate>${new Date(now()).toUTCString()}</lastBuildDate>`,
+            '    <ttl>1</ttl>',
+            ...items,
+            '  </channel>',
+            '</rss>',
+            ''
+        ].join('\n');
+    }
+}
+
+module.exports = { PlayHistory, PLAY_SOURCES };
@@ -0,0 +1,100 @@
+// Named encoder presets ("Main Icecast MP3 128", "Backup SHOUTcast"),
+// kept in a JSON file so they survive restarts. The file holds source
+// passwords, so it is written owner-only; API responses go through
+// toJSON(), which masks them.
+const { readJsonFile, writeJsonFile } = require('./json-file');
+const { maskSecrets, mergeSecrets } = require('./encoder-config');
+
+function presetError(code, message) {
+    const err = new Error(message);
+    err.code = code;
+    return err;
+}
+
+class PresetStore {
+    constructor(file) {
+        this.file = file;
+        this.presets = new Map();
+        this.load();
+    }
+
+    load() {
+        const saved = readJsonFile(this.file, null);
+        if (!saved) return;
+        (saved.presets || []).forEach(preset => this.presets.set(preset.id, preset));
+        console.log(`💾 Loaded ${this.presets.size} encoder preset(s)`);
+    }
+
+    save() {
+        writeJsonFile(this.file, { presets: this.list() }, { mode: 0o600 });
+    }
+
+    list() {
+        return Array.from(this.presets.values());
+    }
+
+    get(id) {
+        return this.presets.get(id) || null;
+    }
+
+    findByName(name) {
+        const wanted = name.trim().toLowerCase();
+        return this.list().find(preset => preset.name.toLowerCase() === wanted) || null;
+    }
+
+    // `config` must already be validated
+    create({ name, description = '', config }) {
+        this.checkName(name);
+
+        let id = `preset_${Date.now()}`;
+        for (let n = 2; this.presets.has(id); n++) {
+            id = `preset_${Date.now()}_${n}`;
+        }
+
+        const timestamp = new Date().toISOString();
+        const preset = { id, name: name.trim(), description, config, created_at: timestamp, updated_at: timestamp };
+        this.presets.set(id, preset);
+        this.save();
+        return preset;
+    }
+
+    update(id, { name, description, config }) {
+        const preset = this.get(id);
+        if (name !== undefined) {
+            this.checkName(name, id);
+            preset.name = name.trim();
+        }
+        if (description !== undefined) preset.description = description;
+        if (config) preset.config = config;
+        preset.updated_at = new Date().toISOString();
+        this.save();
+        return preset;
+    }
+
+    delete(id) {
+        const removed = this.presets.delete(id);
+        if (removed) this.save();
+        return removed;
+    }
+
+    checkName(name, ownId = null) {
+        if (typeof name !== 'string' || !name.trim()) {
+            throw presetError('INVALID_NAME', 'name is required');
+        }
+        const existing = this.findByName(name);
+        if (existing && existing.id !== ownId) {
+            throw presetError('NAME_TAKEN', `A preset named "${existing.name}" already exists`);
+        }
+    }
+
+    // Overrides on top of the preset's config, keeping its stored secrets
+    mergeConfig(id, changes) {
+        return mergeSecrets(this.get(id).config, changes);
+    }
+
+    static toJSON(preset) {
+        return { ...preset, config: maskSecrets(preset.config) };
+    }
+}
+
+module.exports = { PresetStore };
@@ -0,0 +1,159 @@
+// Records the audio an output relays to its mount into segment files.
+// A recording is one start/stop run; it rolls over to a new segment file
+// once the current one reaches `segmentSeconds` or `segmentBytes`.
+// Files are named <output>-<YYYYMMDD-HHMMSS>-<segment>.<ext>, so every
+// segment of a recording shares a prefix (the recording id); a second
+// recording started within the same second gets a ".2" suffix.
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+
+const DEFAULT_SEGMENT_SECONDS = 60 * 60;
+const FILE_PATTERN = /^([\w-]+)-(\d{8}-\d{6}(?:\.\d+)?)-(\d{3})\.(mp3|aac|ogg|opus|flac)$/;
+
+const EXTENSIONS = {
+    mp3: 'mp3',
+    aac: 'aac',
+    ogg: 'ogg',
+    opus: 'opus',
+    flac: 'flac'
+};
+
+function timestampLabel(ms) {
+    return new Date(ms).toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+}
+
+class Recorder extends EventEmitter {
+    constructor(dir, output, options = {}) {
+        super();
+        this.dir = dir;
+        this.output = output;
+        this.trigger = options.trigger || 'manual'; // manual, auto, dj_session
+        this.segmentSeconds = options.segmentSeconds || (options.segmentBytes ? null : DEFAULT_SEGMENT_SECONDS);
+        this.segmentBytes = options.segmentBytes || null;
+        this.startedAt = Date.now();
+        this.id = `${output.id.replace(/[^\w-]/g, '_')}-${timestampLabel(this.startedAt)}`;
+        this.extension = EXTENSIONS[(output.config && output.config.codec) || 'mp3'] || 'mp3';
+        this.segments = [];
+        this.file = null;
+        this.bytesWritten = 0;
+        this.onAudio = (chunk) => this.write(chunk);
+    }
+
+    start() {
+        fs.mkdirSync(this.dir, { recursive: true });
+        const taken = new Set(fs.readdirSync(this.dir).map(name => name.replace(/-\d{3}\.\w+$/, '')));
+        const baseId = this.id;
+        for (let n = 2; taken.has(this.id); n++) {
+            this.id = `${baseId}.${n}`;
+        }
+        this.openSegment();
+        this.output.on('audio', this.onAudio);
+        console.log(`⏺️ [${this.output.id}] Recording ${this.id} started (${this.describePolicy()})`);
+    }
+
+    openSegment() {
+        const name = `${this.id}-${String(this.segments.length + 1).padStart(3, '0')}.${this.extension}`;
+        const stream = fs.createWriteStream(path.join(this.dir, name), { flags: 'wx' });
+        stream.on('error', (err) => {
+            console.error(`❌ [${this.output.id}] Recording write failed: ${err.message}`);
+            this.stop();
+        });
+        this.file = { name, stream, bytes: 0, openedAt: Date.now() };
+        this.segments.push(name);
+    }
+
+    // Segments roll over between chunks, never inside one
+    write(chunk) {
+        if (!this.file) return;
+        if (this.segmentFull(chunk.length)) {
+            this.file.stream.end();
+            this.openSegment();
+            this.emit('segment', this.file.name);
+        }
+        this.file.stream.write(chunk);
+        this.file.bytes += chunk.length;
+        this.bytesWritten += chunk.length;
+    }
+
+    segmentFull(incoming) {
+        if (this.file.bytes === 0) return false;
+        if (this.segmentBytes && this.file.bytes + incoming > this.segmentBytes) return true;
+        return Boolean(this.segmentSeconds) && Date.now() - this.file.openedAt >= this.segmentSeconds * 1000;
+    }
+
+    stop() {
+        if (!this.file) return;
+        this.output.off('audio', this.onAudio);
+        this.file.stream.end();
+        this.file = null;
+        this.stoppedAt = Date.now();
+        console.log(`⏹️ [${this.output.id}] Recording ${this.id} stopped: ${this.segments.length} segment(s), ${this.bytesWritten} bytes`);
+        this.emit('stopped', this.toJSON());
+    }
+
+    get active() {
+        return Boolean(this.file);
+    }
+
+    get currentSegment() {
+        return this.file ? this.file.name : null;
+    }
+
+    describePolicy() {
+        const parts = [];
+        if (this.segmentSeconds) parts.push(`${this.segmentSeconds}s`);
+        if (this.segmentBytes) parts.push(`${this.segmentBytes} bytes`);
+        return `segments of ${parts.join(' or ')}`;
+    }
+
+    toJSON() {
+        return {
+            id: this.id,
+            output_id: this.output.id,
+            trigger: this.trigger,
+            active: this.active,
+            started_at: new Date(this.startedAt).toISOString(),
+            stopped_at: this.stoppedAt ? new Date(this.stoppedAt).toISOString() : null,
+            segment_seconds: this.segmentSeconds,
+            segment_bytes: this.segmentBytes,
+            segments: this.segments,
+            current_segment: this.currentSegment,
+            bytes_written: this.bytesWritten
+        };
+    }
+}
+
+// Recording files on disk; `activeFiles` are still being written
+function listRecordingFiles(dir, activeFiles = new Set()) {
+    if (!fs.existsSync(dir)) return [];
+
+    return fs.readdirSync(dir)
+        .map(name => ({ name, match: FILE_PATTERN.exec(name) }))
+        .filter(({ match }) => match)
+        .map(({ name, match }) => {
+            const stats = fs.statSync(path.join(dir, name));
+            return {
+                id: name,
+                recording_id: `${match[1]}-${match[2]}`,
+                output_id: match[1],
+                segment: Number(match[3]),
+                format: match[4],
+                size: stats.size,
+                created_at: stats.birthtime.toISOString(),
+                modified_at: stats.mtime.toISOString(),
+                recording: activeFiles.has(name),
+                download_url: `/api/recordings/${name}`
+            };
+        })
+        .sort((a, b) => b.recording_id.localeCompare(a.recording_id) || a.segment - b.segment);
+}
+
+// Absolute path of a recording file, or null if the id isn't one
+function recordingFilePath(dir, id) {
+    if (!FILE_PATTERN.test(id)) return null;
+    const file = path.join(dir, id);
+    return fs.existsSync(file) ? file : null;
+}
+
+module.exports = { Recorder, listRecordingFiles, recordingFilePath };
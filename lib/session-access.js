@@ -0,0 +1,122 @@
+// Who may do what in a DJ session. Each session has bearer tokens, each
+// granting one role:
+//
+//   owner       everything, including ending the session and managing tokens
+//   controller  a co-host: decks, mixer, cue and levels
+//   viewer      read-only; follows the session's updates
+//
+// The owner token is issued when the session is created and shown once.
+// Only a SHA-256 of each token is kept, in an owner-only JSON file, so
+// grants survive restarts like the sessions themselves.
+const crypto = require('crypto');
+const { readJsonFile, writeJsonFile } = require('./json-file');
+
+const ROLES = ['viewer', 'controller', 'owner']; // least to most
+
+function accessError(code, message) {
+    const err = new Error(message);
+    err.code = code;
+    return err;
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+class SessionAccess {
+    // `adminToken` (optional) acts as owner of every session
+    constructor(file, { adminToken = null } = {}) {
+        this.file = file;
+        this.adminHash = adminToken ? hashToken(adminToken) : null;
+        this.grants = new Map(); // token hash -> grant
+        (readJsonFile(file, { grants: [] }).grants || []).forEach(grant => this.grants.set(grant.hash, grant));
+    }
+
+    save() {
+        writeJsonFile(this.file, { grants: Array.from(this.grants.values()) }, { mode: 0o600 });
+    }
+
+    static isRole(role) {
+        return ROLES.includes(role);
+    }
+
+    // True if `role` includes everything `required` may do
+    static allows(role, required) {
+        return ROLES.indexOf(role) >= ROLES.indexOf(required);
+    }
+
+    // Returns the grant with its token; the token isn't stored
+    issue(sessionId, role, label = null) {
+        if (!SessionAccess.isRole(role)) {
+            throw accessError('INVALID_ROLE', `role must be one of: ${ROLES.join(', ')}`);
+        }
+        const token = crypto.randomBytes(24).toString('base64url');
+        const grant = {
+            id: `tok_${crypto.randomBytes(6).toString('hex')}`,
+            hash: hashToken(token),
+            session_id: sessionId,
+            role: role,
+            label: label,
+            issued_at: new Date().toISOString()
+        };
+        this.grants.set(grant.hash, grant);
+        this.save();
+        return { ...SessionAccess.toJSON(grant), token };
+    }
+
+    // What `token` grants: { session_id, role, grant_id }, or null if it
+    // isn't known. The admin token has no session_id.
+    lookup(token) {
+        if (!token) return null;
+        const hash = hashToken(token);
+        if (hash === this.adminHash) return { session_id: null, role: 'owner', grant_id: 'admin' };
+        const grant = this.grants.get(hash);
+        return grant ? { session_id: grant.session_id, role: grant.role, grant_id: grant.id } : null;
+    }
+
+    // The role `token` has in `sessionId`. Throws UNAUTHORIZED for a
+    // missing or unknown token, FORBIDDEN for another session's token.
+    roleFor(sessionId, token) {
+        if (!token) throw accessError('UNAUTHORIZED', 'A session token is required');
+        const access = this.lookup(token);
+        if (!access) throw accessError('UNAUTHORIZED', 'Unknown or revoked session token');
+        if (access.session_id !== null && access.session_id !== sessionId) {
+            throw accessError('FORBIDDEN', 'This token belongs to another session');
+        }
+        return { role: access.role, grant_id: access.grant_id };
+    }
+
+    list(sessionId) {
+        return Array.from(this.grants.values())
+            .filter(grant => grant.session_id === sessionId)
+            .map(SessionAccess.toJSON);
+    }
+
+    revoke(sessionId, grantId) {
+        const grant = Array.from(this.grants.values()).find(g => g.id === grantId && g.session_id === sessionId);
+        if (!grant) return null;
+        this.grants.delete(grant.hash);
+        this.save();
+        return SessionAccess.toJSON(grant);
+    }
+
+    // Drop every token of an ended session
+    dropSession(sessionId) {
+        let dropped = 0;
+        this.grants.forEach((grant, hash) => {
+            if (grant.session_id === sessionId) {
+                this.grants.delete(hash);
+                dropped++;
+            }
+        });
+        if (dropped) this.save();
+        return dropped;
+    }
+
+    static toJSON(grant) {
+        const { hash, ...rest } = grant;
+        return rest;
+    }
+}
+
+module.exports = { SessionAccess, ROLES };
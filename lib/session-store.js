@@ -0,0 +1,121 @@
+// Durable DJ sessions: a snapshot of every session plus a write-ahead log
+// with one JSON line per change since that snapshot. On boot the snapshot
+// is loaded and the log replayed, so a crash or restart loses nothing
+// that was acknowledged.
+//
+// Log lines are appended synchronously before the change is broadcast;
+// they reach the OS straight away, which is enough to survive the
+// process dying. A torn last line (killed mid-write) is skipped.
+const fs = require('fs');
+const path = require('path');
+const { readJsonFile, writeJsonFile } = require('./json-file');
+
+const SNAPSHOT_EVERY = 500; // log entries
+const SNAPSHOT_INTERVAL_MS = 60000;
+
+class SessionStore {
+    // `sessions` is the live id -> session Map; restore() fills it
+    constructor(dir, sessions) {
+        this.snapshotFile = path.join(dir, 'snapshot.json');
+        this.logFile = path.join(dir, 'wal.jsonl');
+        this.sessions = sessions;
+        this.seq = 0;
+        this.pending = 0; // log entries since the last snapshot
+        this.timer = null;
+    }
+
+    // Load the snapshot, replay the log on top and start snapshotting.
+    // Returns the number of sessions recovered.
+    restore() {
+        const snapshot = readJsonFile(this.snapshotFile, { seq: 0, sessions: [] });
+        this.seq = snapshot.seq || 0;
+        (snapshot.sessions || []).forEach(session => this.sessions.set(session.id, session));
+
+        let log = '';
+        try {
+            log = fs.readFileSync(this.logFile, 'utf8');
+        } catch (err) {
+            if (err.code !== 'ENOENT') console.error(`❌ Could not read ${this.logFile}: ${err.message}`);
+        }
+        let replayed = 0;
+        log.split('\n').forEach((line, index, lines) => {
+            if (!line) return;
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (err) {
+                if (index < lines.length - 1) console.warn(`⚠️ Skipping bad session log line ${index + 1}`);
+                return;
+            }
+            // Entries already in the snapshot (it was written, the log not yet cleared)
+            if (entry.seq <= this.seq) return;
+            this.apply(entry);
+            this.seq = entry.seq;
+            replayed++;
+        });
+        this.pending = replayed;
+
+        // Fold the log into a fresh snapshot. Also when nothing was replayed,
+        // so a torn line isn't left for the next append to run into.
+        if (log) this.snapshot();
+        this.timer = setInterval(() => {
+            if (this.pending > 0) this.snapshot();
+        }, SNAPSHOT_INTERVAL_MS);
+        this.timer.unref();
+        return this.sessions.size;
+    }
+
+    apply(entry) {
+        if (entry.op === 'put') {
+            this.sessions.set(entry.session.id, entry.session);
+        } else if (entry.op === 'delete') {
+            this.sessions.delete(entry.id);
+        }
+    }
+
+    append(entry) {
+        this.seq++;
+        fs.mkdirSync(path.dirname(this.logFile), { recursive: true });
+        fs.appendFileSync(this.logFile, JSON.stringify({ seq: this.seq, at: new Date().toISOString(), ...entry }) + '\n');
+        this.pending++;
+        if (this.pending >= SNAPSHOT_EVERY) this.snapshot();
+    }
+
+    // Record a new or changed session
+    put(session) {
+        this.append({ op: 'put', session });
+    }
+
+    delete(id) {
+        this.append({ op: 'delete', id });
+    }
+
+    // Write every session and start an empty log
+    snapshot() {
+        writeJsonFile(this.snapshotFile, {
+            seq: this.seq,
+            saved_at: new Date().toISOString(),
+            sessions: Array.from(this.sessions.values())
+        });
+        fs.writeFileSync(this.logFile, '');
+        this.pending = 0;
+    }
+
+    // Final snapshot on shutdown
+    close() {
+        clearInterval(this.timer);
+        this.snapshot();
+    }
+
+    toJSON() {
+        return {
+            sessions: this.sessions.size,
+            seq: this.seq,
+            log_entries: this.pending,
+            snapshot_file: this.snapshotFile,
+            log_file: this.logFile
+        };
+    }
+}
+
+module.exports = { SessionStore };
@@ -0,0 +1,33 @@
+// Time source for simulated behaviour (reconnect backoff, connected time).
+// Real time by default; a loaded scenario swaps in its virtual clock so
+// pausing and fast-forwarding move these timers too.
+let virtualClock = null;
+
+function now() {
+    return virtualClock ? virtualClock.now() : Date.now();
+}
+
+function setTimer(fn, ms) {
+    const handle = {};
+    if (virtualClock) {
+        virtualClock.schedule(fn, ms, handle);
+    } else {
+        handle.real = setTimeout(fn, ms);
+    }
+    return handle;
+}
+
+function clearTimer(handle) {
+    if (!handle) return;
+    if (handle.real) {
+        clearTimeout(handle.real);
+    } else if (virtualClock) {
+        virtualClock.cancel(handle);
+    }
+}
+
+function useVirtualClock(clock) {
+    virtualClock = clock;
+}
+
+module.exports = { now, setTimer, clearTimer, useVirtualClock };
@@ -0,0 +1,36 @@
+// Shared source of randomness for everything simulated. Seeding it makes
+// runs reproducible; unseeded it is plain Math.random.
+let generator = Math.random;
+
+// mulberry32: tiny, fast and good enough for fake stats
+function mulberry32(seed) {
+    let a = seed >>> 0;
+    return function () {
+        a = (a + 0x6d2b79f5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// String seeds are hashed (FNV-1a) so "demo-run" works as well as 42
+function seedToInt(seed) {
+    if (typeof seed === 'number') return seed;
+    let hash = 0x811c9dc5;
+    for (const char of String(seed)) {
+        hash ^= char.charCodeAt(0);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+function seedRandom(seed) {
+    generator = seed === null || seed === undefined ? Math.random : mulberry32(seedToInt(seed));
+}
+
+function random() {
+    return generator();
+}
+
+module.exports = { random, seedRandom };
@@ -0,0 +1,264 @@
+// Runs a scenario timeline on a virtual clock with a fixed seed, so every
+// run produces the same numbers. The engine owns time; what each event
+// does to the server state is up to the `onEvent` callback.
+//
+// Scenario shape:
+//   {
+//     "name": "Evening peak",
+//     "seed": 42,
+//     "duration": 600,                 // seconds, optional
+//     "events": [
+//       { "at": 0, "type": "stream_start" },
+//       { "at": 0, "duration": 300, "type": "listeners", "from": 10, "to": 300 },
+//       { "at": 120, "type": "connection_lost", "fail_attempts": 2 }
+//     ]
+//   }
+// Events without `duration` fire once; events with one get a `progress`
+// call every tick (0..1) and an `end` call when the window closes.
+const { EventEmitter } = require('events');
+const { seedRandom } = require('./random');
+const { useVirtualClock } = require('./clock');
+
+const TICK_MS = 100;
+const MAX_FAST_FORWARD_SECONDS = 24 * 60 * 60;
+
+function scenarioError(message) {
+    const err = new Error(message);
+    err.code = 'INVALID_SCENARIO';
+    return err;
+}
+
+function normalizeScenario(scenario, knownTypes) {
+    if (!scenario || typeof scenario !== 'object' || !Array.isArray(scenario.events)) {
+        throw scenarioError('Scenario must be an object with an events array');
+    }
+
+    const events = scenario.events.map((event, index) => {
+        if (typeof event.at !== 'number' || event.at < 0) {
+            throw scenarioError(`events[${index}].at must be a number of seconds >= 0`);
+        }
+        if (knownTypes && !knownTypes.includes(event.type)) {
+            throw scenarioError(`events[${index}].type "${event.type}" is not one of: ${knownTypes.join(', ')}`);
+        }
+        if (event.duration !== undefined && !(typeof event.duration === 'number' && event.duration > 0)) {
+            throw scenarioError(`events[${index}].duration must be a positive number of seconds`);
+        }
+        return { ...event, index };
+    });
+
+    // Stable order: by start time, then as written
+    events.sort((a, b) => a.at - b.at || a.index - b.index);
+
+    const lastEventEnd = events.reduce((max, event) => Math.max(max, event.at + (event.duration || 0)), 0);
+
+    return {
+        name: scenario.name || 'Unnamed scenario',
+        description: scenario.description || '',
+        seed: scenario.seed !== undefined ? scenario.seed : 1,
+        duration: typeof scenario.duration === 'number' ? scenario.duration : lastEventEnd,
+        events
+    };
+}
+
+class ScenarioEngine extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.eventTypes = options.eventTypes || null;
+        this.onReset = options.onReset || (() => {});
+        this.onTick = options.onTick || (() => {});
+        this.onEvent = options.onEvent || (() => {});
+        this.status = 'idle'; // idle, loaded, running, paused, finished
+        this.scenario = null;
+        this.seed = null;
+        this.speed = 1;
+        this.time = 0;
+        this.timers = [];
+        this.eventState = new Map();
+        this.interval = null;
+        this.queue = Promise.resolve();
+        this.generation = 0;
+    }
+
+    get active() {
+        return this.status !== 'idle';
+    }
+
+    load(scenario, seed) {
+        const normalized = normalizeScenario(scenario, this.eventTypes);
+        this.stopInterval();
+        this.scenario = normalized;
+        this.seed = seed !== undefined && seed !== null ? seed : normalized.seed;
+        this.epoch = Date.now(); // virtual t=0; kept across resets so timestamps repeat too
+        this.reset();
+    }
+
+    // Rewind to t=0 with the same seed
+    reset() {
+        if (!this.scenario) return;
+        this.stopInterval();
+        this.generation += 1;
+        this.time = 0;
+        this.timers = [];
+        this.eventState = new Map();
+        seedRandom(this.seed);
+        useVirtualClock(this);
+        this.onReset(this.scenario);
+        this.setStatus('loaded');
+    }
+
+    start(speed) {
+        if (!this.scenario) return;
+        if (typeof speed === 'number' && speed > 0) {
+            this.speed = speed;
+        }
+        if (this.status === 'finished') return;
+
+        this.stopInterval();
+        let last = Date.now();
+        let carry = 0;
+        this.interval = setInterval(() => {
+            const nowMs = Date.now();
+            carry += (nowMs - last) * this.speed;
+            last = nowMs;
+            const ticks = Math.floor(carry / TICK_MS);
+            carry -= ticks * TICK_MS;
+            if (ticks > 0) {
+                this.advance(ticks);
+            }
+        }, TICK_MS);
+        this.setStatus('running');
+    }
+
+    pause() {
+        if (this.status !== 'running') return;
+        this.stopInterval();
+        this.setStatus('paused');
+    }
+
+    // Skip ahead; stats come out exactly as if the scenario had run that
+    // long in real time
+    fastForward(seconds) {
+        if (!this.scenario) return Promise.resolve();
+        const ticks = Math.round(Math.min(seconds, MAX_FAST_FORWARD_SECONDS) * 1000 / TICK_MS);
+        return this.advance(ticks);
+    }
+
+    // Ticks run one at a time with pending callbacks flushed in between, so
+    // async work an event starts (e.g. a mock connect) settles in the same
+    // tick whether we run in real time or fast-forward
+    advance(ticks) {
+        const generation = this.generation;
+        this.queue = this.queue.then(async () => {
+            for (let i = 0; i < ticks; i++) {
+                if (generation !== this.generation || !this.scenario || this.status === 'finished') return;
+                this.step();
+                await new Promise(resolve => setImmediate(resolve));
+            }
+        });
+        return this.queue;
+    }
+
+    // Back to free-running simulation; pending virtual timers become real ones
+    unload() {
+        this.stopInterval();
+        this.generation += 1;
+        const pending = this.timers;
+        this.timers = [];
+        useVirtualClock(null);
+        pending.forEach(timer => {
+            timer.handle.real = setTimeout(timer.fn, Math.max(0, timer.at - this.time));
+        });
+        seedRandom(null);
+        this.scenario = null;
+        this.seed = null;
+        this.time = 0;
+        this.setStatus('idle');
+    }
+
+    step() {
+        this.fireTimers();
+        this.applyEvents();
+        this.onTick(this.time, TICK_MS);
+        this.time += TICK_MS;
+
+        if (this.scenario.duration > 0 && this.time >= this.scenario.duration * 1000) {
+            this.stopInterval();
+            this.setStatus('finished');
+        }
+    }
+
+    applyEvents() {
+        this.scenario.events.forEach(event => {
+            const state = this.eventState.get(event.index) || 'pending';
+            const startMs = event.at * 1000;
+            if (state === 'done' || this.time < startMs) return;
+
+            if (state === 'pending') {
+                this.onEvent(event, 'start', 0);
+                this.emit('scenario_event', { type: event.type, at: event.at, phase: 'start' });
+                this.eventState.set(event.index, event.duration ? 'active' : 'done');
+                if (!event.duration) return;
+            }
+
+            const endMs = startMs + event.duration * 1000;
+            const progress = Math.min(1, (this.time - startMs) / (endMs - startMs));
+            this.onEvent(event, 'progress', progress);
+
+            if (this.time >= endMs) {
+                this.onEvent(event, 'end', 1);
+                this.emit('scenario_event', { type: event.type, at: event.at, phase: 'end' });
+                this.eventState.set(event.index, 'done');
+            }
+        });
+    }
+
+    // Virtual clock interface used by lib/simulation/clock.js
+    now() {
+        return this.epoch + this.time;
+    }
+
+    schedule(fn, ms, handle) {
+        this.timers.push({ at: this.time + ms, fn, handle });
+        this.timers.sort((a, b) => a.at - b.at);
+    }
+
+    cancel(handle) {
+        this.timers = this.timers.filter(timer => timer.handle !== handle);
+    }
+
+    fireTimers() {
+        while (this.timers.length > 0 && this.timers[0].at <= this.time) {
+            this.timers.shift().fn();
+        }
+    }
+
+    stopInterval() {
+        if (this.interval) {
+            clearInterval(this.interval);
+            this.interval = null;
+        }
+    }
+
+    setStatus(status) {
+        this.status = status;
+        this.emit('status', this.toJSON());
+    }
+
+    toJSON() {
+        return {
+            status: this.status,
+            scenario: this.scenario ? {
+                name: this.scenario.name,
+                description: this.scenario.description,
+                duration: this.scenario.duration,
+                event_count: this.scenario.events.length
+            } : null,
+            seed: this.seed,
+            speed: this.speed,
+            time_seconds: this.time / 1000,
+            pending_timers: this.timers.length
+        };
+    }
+}
+
+module.exports = { ScenarioEngine };
@@ -0,0 +1,123 @@
+// Icecast2 source client: HTTP PUT (Icecast 2.4+) or legacy SOURCE
+// request with Basic auth, then raw encoded audio on the same socket.
+const { SourceClient, sourceError, contentTypeForCodec, formatSong } = require('./source-client');
+
+const USER_AGENT = 'OneStopRadio/1.0';
+
+function headerEnd(text) {
+    return text.indexOf('\r\n\r\n') !== -1;
+}
+
+function stripHtml(body) {
+    return body.replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+// Icecast puts the useful reason in the HTML body, not the status line
+function extractReason(reply) {
+    const statusLine = reply.split('\r\n')[0];
+    const reason = statusLine.replace(/^HTTP\/\d\.\d\s+\d+\s*/, '');
+    return stripHtml(reply.slice(reply.indexOf('\r\n\r\n') + 4)) || reason;
+}
+
+class Icecast2Source extends SourceClient {
+    constructor(config) {
+        super(config);
+        this.protocol = 'icecast2';
+        this.username = config.username || 'source';
+        this.method = (config.sourceMethod || 'PUT').toUpperCase();
+    }
+
+    authHeader() {
+        return `Basic ${Buffer.from(`${this.username}:${this.config.password}`).toString('base64')}`;
+    }
+
+    buildRequest() {
+        const config = this.config;
+        const audioInfo = [
+            `ice-samplerate=${config.sampleRate || 44100}`,
+            `ice-bitrate=${config.bitrate || 128}`,
+            `ice-channels=${config.channels || 2}`
+        ].join(';');
+
+        const lines = [
+            this.method === 'SOURCE' ? `SOURCE ${this.mount} HTTP/1.0` : `PUT ${this.mount} HTTP/1.1`,
+            `Host: ${this.host}:${this.port}`,
+            `Authorization: ${this.authHeader()}`,
+            `User-Agent: ${USER_AGENT}`,
+            `Content-Type: ${contentTypeForCodec(config.codec)}`,
+            `Ice-Public: ${config.public ? 1 : 0}`,
+            `Ice-Name: ${config.name || 'OneStopRadio'}`,
+            `Ice-Description: ${config.description || ''}`,
+            `Ice-Genre: ${config.genre || ''}`,
+            `Ice-Url: ${config.url || ''}`,
+            `Ice-Bitrate: ${config.bitrate || 128}`,
+            `Ice-Audio-Info: ${audioInfo}`
+        ];
+        if (this.method !== 'SOURCE') {
+            lines.push('Expect: 100-continue');
+        }
+        return lines.join('\r\n') + '\r\n\r\n';
+    }
+
+    async connect() {
+        const socket = await this.openSocket();
+        socket.write(this.buildRequest());
+
+        let reply;
+        try {
+            reply = await this.readReply(socket, headerEnd);
+        } catch (err) {
+            socket.destroy();
+            throw err;
+        }
+
+        const match = reply.match(/^HTTP\/\d\.\d\s+(\d{3})/);
+        const status = match ? Number(match[1]) : 0;
+
+        if (status === 100 || status === 200) {
+            const server = reply.match(/^Server:\s*(.+)$/im);
+            this.serverVersion = server ? server[1].trim() : null;
+            this.attach(socket);
+            return { serverStatus: status };
+        }
+
+        socket.destroy();
+        const reason = extractReason(reply);
+
+        switch (status) {
+            case 401:
+                throw sourceError('AUTH_FAILED', `Authentication failed for ${this.username}@${this.host}:${this.port} - check the source password`);
+            case 403:
+                throw sourceError('MOUNT_REJECTED', `Mount ${this.mount} rejected: ${reason || 'forbidden'}`);
+            case 404:
+                throw sourceError('MOUNT_NOT_FOUND', `Mount ${this.mount} does not exist on ${this.host}:${this.port}`);
+            case 0:
+                throw sourceError('BAD_RESPONSE', `${this.host}:${this.port} did not answer like an Icecast server`);
+            default:
+                throw sourceError('UNEXPECTED_RESPONSE', `Server returned ${status}: ${reason}`);
+        }
+    }
+
+    info() {
+        return { ...super.info(), mount: this.mount };
+    }
+
+    // Icecast's /admin/metadata accepts the source credentials for its own mount
+    async updateMetadata(track) {
+        const query = new URLSearchParams({ mount: this.mount, mode: 'updinfo', song: formatSong(track) });
+        const res = await this.adminRequest(`/admin/metadata?${query}`, {
+            Authorization: this.authHeader(),
+            'User-Agent': USER_AGENT
+        });
+
+        if (res.status === 401) {
+            throw sourceError('AUTH_FAILED', 'Metadata update rejected - check the source password');
+        }
+        if (res.status !== 200 || /<return>0<\/return>/.test(res.body)) {
+            throw sourceError('METADATA_FAILED', `Metadata update failed (${res.status}): ${stripHtml(res.body)}`);
+        }
+        return { admin: '/admin/metadata' };
+    }
+}
+
+module.exports = { Icecast2Source };
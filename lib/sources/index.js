@@ -0,0 +1,36 @@
+// Live source clients, keyed by `config.protocol`
+const { Icecast2Source } = require('./icecast2');
+const { Shoutcast1Source } = require('./shoutcast1');
+const { Shoutcast2Source } = require('./shoutcast2');
+const { sourceError } = require('./source-client');
+
+const SOURCE_CLIENTS = {
+    icecast2: Icecast2Source,
+    shoutcast1: Shoutcast1Source,
+    shoutcast2: Shoutcast2Source
+};
+
+// The frontend has sent several spellings over time
+const PROTOCOL_ALIASES = {
+    icecast: 'icecast2',
+    icecast2: 'icecast2',
+    shoutcast: 'shoutcast1',
+    shoutcast1: 'shoutcast1',
+    shoutcast_v1: 'shoutcast1',
+    shoutcast2: 'shoutcast2',
+    shoutcast_v2: 'shoutcast2'
+};
+
+function normalizeProtocol(protocol) {
+    return PROTOCOL_ALIASES[String(protocol || 'icecast2').toLowerCase()] || null;
+}
+
+function createSourceClient(config) {
+    const protocol = normalizeProtocol(config.protocol);
+    if (!protocol) {
+        throw sourceError('UNSUPPORTED_PROTOCOL', `Live mode does not support protocol "${config.protocol}"`);
+    }
+    return new SOURCE_CLIENTS[protocol](config);
+}
+
+module.exports = { createSourceClient, normalizeProtocol };
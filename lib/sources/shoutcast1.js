@@ -0,0 +1,89 @@
+// SHOUTcast v1 source client: the password goes as a bare line to the
+// source port (listener port + 1), then icy-* headers, then raw audio.
+const { SourceClient, sourceError, contentTypeForCodec, formatSong } = require('./source-client');
+
+// SHOUTcast v1 refuses admin.cgi requests that don't look like a browser
+const ADMIN_USER_AGENT = 'Mozilla/5.0 (compatible; OneStopRadio/1.0)';
+
+function handshakeComplete(text) {
+    return text.indexOf('\r\n\r\n') !== -1 || (/\r?\n/.test(text) && !/^OK/.test(text));
+}
+
+class Shoutcast1Source extends SourceClient {
+    constructor(config) {
+        super(config);
+        this.protocol = 'shoutcast1';
+        this.sourcePort = Number(config.sourcePort) || this.port + 1;
+        this.icyCaps = null;
+    }
+
+    buildHeaders() {
+        const config = this.config;
+        return [
+            `content-type:${contentTypeForCodec(config.codec)}`,
+            `icy-name:${config.name || 'OneStopRadio'}`,
+            `icy-genre:${config.genre || ''}`,
+            `icy-url:${config.url || ''}`,
+            `icy-pub:${config.public ? 1 : 0}`,
+            `icy-br:${config.bitrate || 128}`
+        ].join('\r\n') + '\r\n\r\n';
+    }
+
+    async connect() {
+        const socket = await this.openSocket(this.sourcePort);
+        socket.write(`${this.config.password}\r\n`);
+
+        let reply;
+        try {
+            reply = await this.readReply(socket, handshakeComplete);
+        } catch (err) {
+            socket.destroy();
+            throw err;
+        }
+
+        const firstLine = reply.split(/\r?\n/)[0].trim();
+        if (!/^OK/.test(firstLine)) {
+            socket.destroy();
+            if (/invalid password/i.test(firstLine)) {
+                throw sourceError('AUTH_FAILED', `Invalid password for ${this.host}:${this.sourcePort}`);
+            }
+            throw sourceError('UNEXPECTED_RESPONSE', `Server replied "${firstLine || 'nothing'}"`);
+        }
+
+        const caps = reply.match(/^icy-caps:\s*(\d+)/im);
+        this.icyCaps = caps ? Number(caps[1]) : null;
+
+        socket.write(this.buildHeaders());
+        this.attach(socket);
+        this.serverVersion = await this.fetchServerVersion();
+        return { serverStatus: firstLine };
+    }
+
+    // Best effort: the version is only available from the admin XML
+    async fetchServerVersion() {
+        const query = new URLSearchParams({ pass: this.config.password, mode: 'viewxml' });
+        try {
+            const res = await this.adminRequest(`/admin.cgi?${query}`, { 'User-Agent': ADMIN_USER_AGENT });
+            const version = res.body.match(/<VERSION>([^<]+)<\/VERSION>/i);
+            return version ? `SHOUTcast ${version[1].trim()}` : 'SHOUTcast v1';
+        } catch (err) {
+            return 'SHOUTcast v1';
+        }
+    }
+
+    info() {
+        return { ...super.info(), sourcePort: this.sourcePort, icyCaps: this.icyCaps };
+    }
+
+    async updateMetadata(track) {
+        const query = new URLSearchParams({ pass: this.config.password, mode: 'updinfo', song: formatSong(track) });
+        const res = await this.adminRequest(`/admin.cgi?${query}`, { 'User-Agent': ADMIN_USER_AGENT });
+
+        if (res.status !== 200 || /invalid password|unauthorized/i.test(res.body)) {
+            throw sourceError('METADATA_FAILED', `admin.cgi updinfo failed (${res.status})`);
+        }
+        return { admin: '/admin.cgi' };
+    }
+}
+
+module.exports = { Shoutcast1Source };
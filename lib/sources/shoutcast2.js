@@ -0,0 +1,211 @@
+// SHOUTcast v2 source client speaking Ultravox 2.1 on the listener port.
+// Every message is a frame: 0x5A sync, QoS, 16-bit class/type, 16-bit
+// length, payload, 0x00. Credentials are XTEA-encrypted with a cipher key
+// the server hands out, and each stream is addressed by its `sid`.
+const { SourceClient, sourceError, formatSong } = require('./source-client');
+
+const UVOX_SYNC = 0x5a;
+const MAX_PAYLOAD = 16377;
+const ADMIN_USER_AGENT = 'Mozilla/5.0 (compatible; OneStopRadio/1.0)';
+
+const MSG = {
+    AUTHENTICATE: 0x1001,
+    SETUP_BROADCAST: 0x1002,
+    NEGOTIATE_BUFFER: 0x1003,
+    STANDBY: 0x1004,
+    TERMINATE: 0x1005,
+    MAX_PAYLOAD: 0x1008,
+    CIPHER_KEY: 0x1009,
+    MIME_TYPE: 0x1040,
+    DATA_MP3: 0x7000,
+    DATA_AAC: 0x8001,
+    DATA_AACP: 0x8003
+};
+
+const DATA_TYPES = {
+    mp3: MSG.DATA_MP3,
+    aac: MSG.DATA_AAC,
+    aacp: MSG.DATA_AACP
+};
+
+const MIME_TYPES = {
+    mp3: 'audio/mpeg',
+    aac: 'audio/aac',
+    aacp: 'audio/aacp'
+};
+
+function uvoxFrame(type, payload) {
+    const body = Buffer.isBuffer(payload) ? payload : Buffer.from(String(payload), 'latin1');
+    const frame = Buffer.alloc(body.length + 7);
+    frame[0] = UVOX_SYNC;
+    frame[1] = 0x00;
+    frame.writeUInt16BE(type, 2);
+    frame.writeUInt16BE(body.length, 4);
+    body.copy(frame, 6);
+    frame[frame.length - 1] = 0x00;
+    return frame;
+}
+
+function frameComplete(text) {
+    if (text.length < 6) return false;
+    const header = Buffer.from(text.slice(0, 6), 'latin1');
+    return text.length >= header.readUInt16BE(4) + 7;
+}
+
+function parseFrame(text) {
+    const frame = Buffer.from(text, 'latin1');
+    if (frame[0] !== UVOX_SYNC) {
+        throw sourceError('BAD_RESPONSE', 'Server did not answer with an Ultravox frame - is this a SHOUTcast v2 server?');
+    }
+    const length = frame.readUInt16BE(4);
+    return {
+        type: frame.readUInt16BE(2),
+        payload: frame.slice(6, 6 + length).toString('latin1')
+    };
+}
+
+// XTEA in the form the DNAS expects: 8-byte blocks, big-endian words,
+// key is the cipher string zero-padded to 16 bytes, output is hex
+function xteaEncrypt(text, cipherKey) {
+    const key = Buffer.alloc(16);
+    Buffer.from(cipherKey, 'latin1').copy(key, 0, 0, 16);
+    const k = [0, 4, 8, 12].map(offset => key.readUInt32BE(offset));
+
+    const input = Buffer.from(text, 'latin1');
+    const data = Buffer.alloc(Math.max(8, Math.ceil(input.length / 8) * 8));
+    input.copy(data);
+
+    let out = '';
+    for (let offset = 0; offset < data.length; offset += 8) {
+        let v0 = data.readUInt32BE(offset);
+        let v1 = data.readUInt32BE(offset + 4);
+        let sum = 0;
+        for (let round = 0; round < 32; round++) {
+            v0 = (v0 + ((((v1 << 4) ^ (v1 >>> 5)) + v1) ^ (sum + k[sum & 3]))) >>> 0;
+            sum = (sum + 0x9e3779b9) >>> 0;
+            v1 = (v1 + ((((v0 << 4) ^ (v0 >>> 5)) + v0) ^ (sum + k[(sum >>> 11) & 3]))) >>> 0;
+        }
+        out += v0.toString(16).padStart(8, '0') + v1.toString(16).padStart(8, '0');
+    }
+    return out;
+}
+
+class Shoutcast2Source extends SourceClient {
+    constructor(config) {
+        super(config);
+        this.protocol = 'shoutcast2';
+        this.sid = Number(config.sid || config.streamId) || 1;
+        this.userId = config.username || '';
+        this.codec = String(config.codec || 'mp3').toLowerCase();
+        this.dataType = DATA_TYPES[this.codec];
+    }
+
+    // Send one request frame and wait for the matching reply
+    async request(socket, type, payload) {
+        socket.write(uvoxFrame(type, payload));
+        const reply = parseFrame(await this.readReply(socket, frameComplete));
+        if (!/^ACK/.test(reply.payload)) {
+            throw this.describeNak(type, reply.payload);
+        }
+        return reply.payload.replace(/^ACK:?/, '');
+    }
+
+    describeNak(type, payload) {
+        const reason = payload.replace(/^NAK:?/, '') || 'rejected';
+        if (type === MSG.AUTHENTICATE) {
+            if (/stream id|sid/i.test(reason)) {
+                return sourceError('INVALID_SID', `Stream ID ${this.sid} is not configured on ${this.host}:${this.port}`);
+            }
+            if (/in use|already/i.test(reason)) {
+                return sourceError('MOUNT_REJECTED', `Stream ID ${this.sid} already has a source connected`);
+            }
+            return sourceError('AUTH_FAILED', `Authentication failed for stream ID ${this.sid} - check the password`);
+        }
+        return sourceError('HANDSHAKE_FAILED', `Server rejected handshake step 0x${type.toString(16)}: ${reason}`);
+    }
+
+    async connect() {
+        if (!this.dataType) {
+            throw sourceError('UNSUPPORTED_CODEC', `SHOUTcast v2 only carries mp3, aac or aacp, not "${this.codec}"`);
+        }
+
+        const socket = await this.openSocket();
+        const bitrate = Number(this.config.bitrate) || 128;
+
+        try {
+            const cipherKey = await this.request(socket, MSG.CIPHER_KEY, '2.1');
+            const user = xteaEncrypt(this.userId, cipherKey);
+            const pass = xteaEncrypt(this.config.password, cipherKey);
+
+            await this.request(socket, MSG.AUTHENTICATE, `2.1:${this.sid}:${user}:${pass}`);
+            await this.request(socket, MSG.MIME_TYPE, MIME_TYPES[this.codec]);
+            await this.request(socket, MSG.SETUP_BROADCAST, `${bitrate}:${bitrate}`);
+            await this.request(socket, MSG.NEGOTIATE_BUFFER, '0:0');
+            await this.request(socket, MSG.MAX_PAYLOAD, `${MAX_PAYLOAD}:${MAX_PAYLOAD}`);
+            await this.request(socket, MSG.STANDBY, '0');
+        } catch (err) {
+            socket.destroy();
+            throw err;
+        }
+
+        this.attach(socket);
+        this.serverVersion = await this.fetchServerVersion();
+        return { serverStatus: 'Data transfer mode' };
+    }
+
+    // Audio has to be wrapped in data frames no bigger than MAX_PAYLOAD
+    write(chunk) {
+        let ok = true;
+        for (let offset = 0; offset < chunk.length; offset += MAX_PAYLOAD) {
+            ok = super.write(uvoxFrame(this.dataType, chunk.slice(offset, offset + MAX_PAYLOAD)));
+        }
+        return ok;
+    }
+
+    // The per-stream stats XML is public and carries the DNAS version
+    async fetchServerVersion() {
+        try {
+            const res = await this.adminRequest(`/stats?sid=${this.sid}`, { 'User-Agent': ADMIN_USER_AGENT });
+            const version = res.body.match(/<VERSION>([^<]+)<\/VERSION>/i);
+            return version ? `SHOUTcast ${version[1].trim()}` : 'SHOUTcast v2';
+        } catch (err) {
+            return 'SHOUTcast v2';
+        }
+    }
+
+    info() {
+        return { ...super.info(), sid: this.sid };
+    }
+
+    async updateMetadata(track) {
+        const query = new URLSearchParams({
+            sid: String(this.sid),
+            pass: this.config.adminPassword || this.config.password,
+            mode: 'updinfo',
+            song: formatSong(track)
+        });
+        const res = await this.adminRequest(`/admin.cgi?${query}`, { 'User-Agent': ADMIN_USER_AGENT });
+
+        if (res.status === 401 || res.status === 403) {
+            throw sourceError('AUTH_FAILED', 'Metadata update rejected - check the admin password');
+        }
+        if (res.status !== 200) {
+            throw sourceError('METADATA_FAILED', `admin.cgi updinfo failed (${res.status})`);
+        }
+        return { admin: '/admin.cgi', sid: this.sid };
+    }
+
+    // Say goodbye properly so the DNAS frees the stream ID straight away
+    close() {
+        if (!this.socket || !this.connected) {
+            super.close();
+            return;
+        }
+        this.closing = true;
+        this.connected = false;
+        this.socket.end(uvoxFrame(MSG.TERMINATE, ''));
+        this.socket = null;
+    }
+}
+
+module.exports = { Shoutcast2Source };
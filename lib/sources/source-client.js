@@ -0,0 +1,221 @@
+// Base class for live source connections to a streaming server.
+// Owns the TCP socket, counts bytes actually written and turns socket
+// failures into errors with a stable `code` the API can report.
+const net = require('net');
+const http = require('http');
+const { EventEmitter } = require('events');
+
+const CONNECT_TIMEOUT_MS = 10000;
+const ADMIN_TIMEOUT_MS = 5000;
+
+const CONTENT_TYPES = {
+    mp3: 'audio/mpeg',
+    aac: 'audio/aac',
+    ogg: 'application/ogg',
+    opus: 'audio/ogg',
+    flac: 'audio/flac'
+};
+
+function contentTypeForCodec(codec) {
+    return CONTENT_TYPES[String(codec || 'mp3').toLowerCase()] || 'audio/mpeg';
+}
+
+// "Artist - Title", the format every server's updinfo call expects
+function formatSong(track) {
+    return `${track.artist} - ${track.title}`;
+}
+
+function sourceError(code, message) {
+    const err = new Error(message);
+    err.code = code;
+    return err;
+}
+
+// Map Node socket errors onto something an operator can act on
+function describeSocketError(err, host, port) {
+    switch (err.code) {
+        case 'ECONNREFUSED':
+            return sourceError('CONNECTION_REFUSED', `Connection refused by ${host}:${port} - is the server running?`);
+        case 'ENOTFOUND':
+        case 'EAI_AGAIN':
+            return sourceError('HOST_NOT_FOUND', `Host not found: ${host}`);
+        case 'ETIMEDOUT':
+            return sourceError('TIMEOUT', `Timed out connecting to ${host}:${port}`);
+        case 'ECONNRESET':
+        case 'EPIPE':
+            return sourceError('CONNECTION_LOST', `Connection to ${host}:${port} was reset`);
+        default:
+            return sourceError(err.code || 'SOCKET_ERROR', err.message);
+    }
+}
+
+class SourceClient extends EventEmitter {
+    constructor(config) {
+        super();
+        this.config = config;
+        this.protocol = 'unknown';
+        this.host = config.serverHost;
+        this.port = Number(config.serverPort);
+        this.mount = config.mountPoint || '/stream';
+        this.socket = null;
+        this.connected = false;
+        this.bytesSent = 0;
+        this.closing = false;
+        this.serverVersion = null;
+    }
+
+    // Protocol-specific details reported to the frontend
+    info() {
+        return {
+            protocol: this.protocol,
+            host: this.host,
+            port: this.port,
+            serverVersion: this.serverVersion
+        };
+    }
+
+    // Subclasses implement the protocol handshake and resolve once the
+    // server has accepted the source
+    connect() {
+        return Promise.reject(sourceError('NOT_IMPLEMENTED', 'connect() not implemented'));
+    }
+
+    // Open a TCP socket and resolve when it is connected
+    openSocket(port = this.port) {
+        return new Promise((resolve, reject) => {
+            const socket = net.createConnection({ host: this.host, port });
+            const timer = setTimeout(() => {
+                socket.destroy();
+                reject(sourceError('TIMEOUT', `Timed out connecting to ${this.host}:${port}`));
+            }, CONNECT_TIMEOUT_MS);
+
+            socket.once('connect', () => {
+                clearTimeout(timer);
+                resolve(socket);
+            });
+            socket.once('error', (err) => {
+                clearTimeout(timer);
+                reject(describeSocketError(err, this.host, port));
+            });
+        });
+    }
+
+    // Collect a server reply until `isComplete(text)` says it is whole
+    readReply(socket, isComplete) {
+        return new Promise((resolve, reject) => {
+            let buffer = '';
+            const timer = setTimeout(() => {
+                cleanup();
+                reject(sourceError('TIMEOUT', `No response from ${this.host}:${this.port}`));
+            }, CONNECT_TIMEOUT_MS);
+
+            const onData = (chunk) => {
+                buffer += chunk.toString('latin1');
+                if (isComplete(buffer)) {
+                    cleanup();
+                    resolve(buffer);
+                }
+            };
+            const onError = (err) => {
+                cleanup();
+                reject(describeSocketError(err, this.host, this.port));
+            };
+            const onClose = () => {
+                cleanup();
+                if (buffer) {
+                    resolve(buffer);
+                } else {
+                    reject(sourceError('CONNECTION_LOST', `${this.host}:${this.port} closed the connection during handshake`));
+                }
+            };
+            function cleanup() {
+                clearTimeout(timer);
+                socket.off('data', onData);
+                socket.off('error', onError);
+                socket.off('close', onClose);
+            }
+
+            socket.on('data', onData);
+            socket.on('error', onError);
+            socket.on('close', onClose);
+        });
+    }
+
+    // Hand over a handshaken socket for streaming
+    attach(socket) {
+        this.socket = socket;
+        this.connected = true;
+
+        socket.on('drain', () => this.emit('drain'));
+        socket.on('error', (err) => {
+            this.lastError = describeSocketError(err, this.host, this.port);
+        });
+        socket.on('close', () => {
+            const wasConnected = this.connected;
+            this.connected = false;
+            this.socket = null;
+            if (wasConnected && !this.closing) {
+                this.emit('lost', this.lastError || sourceError('CONNECTION_LOST', `Server ${this.host}:${this.port} closed the connection`));
+            }
+            this.emit('close');
+        });
+    }
+
+    // Send encoded audio; returns false when the caller should wait for 'drain'
+    write(chunk) {
+        if (!this.connected || !this.socket) {
+            return true;
+        }
+        return this.socket.write(chunk, (err) => {
+            if (!err) {
+                this.bytesSent += chunk.length;
+            }
+        });
+    }
+
+    // Plain HTTP request against the server's admin interface
+    adminRequest(requestPath, headers = {}) {
+        return new Promise((resolve, reject) => {
+            const req = http.get({
+                host: this.host,
+                port: this.port,
+                path: requestPath,
+                headers,
+                timeout: ADMIN_TIMEOUT_MS
+            }, (res) => {
+                let body = '';
+                res.setEncoding('utf8');
+                res.on('data', (chunk) => { body += chunk; });
+                res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body }));
+            });
+            req.on('timeout', () => {
+                req.destroy(sourceError('TIMEOUT', `Admin request to ${this.host}:${this.port} timed out`));
+            });
+            req.on('error', (err) => {
+                reject(err.code === 'TIMEOUT' ? err : describeSocketError(err, this.host, this.port));
+            });
+        });
+    }
+
+    // Overridden by each protocol with its own admin call
+    updateMetadata() {
+        return Promise.reject(sourceError('NOT_SUPPORTED', `${this.protocol} does not support metadata updates`));
+    }
+
+    close() {
+        this.closing = true;
+        this.connected = false;
+        if (this.socket) {
+            this.socket.destroy();
+            this.socket = null;
+        }
+    }
+}
+
+module.exports = {
+    SourceClient,
+    sourceError,
+    describeSocketError,
+    contentTypeForCodec,
+    formatSong
+};
@@ -0,0 +1,518 @@
+// One encoder output: a named target (protocol, host, mount, codec,
+// bitrate) with its own connection state, stats and listener mount.
+// Several outputs can run side by side, e.g. MP3 128k and AAC 64k.
+const { EventEmitter } = require('events');
+const { createSourceClient, normalizeProtocol } = require('./sources');
+const { sourceError, formatSong } = require('./sources/source-client');
+const { ListenerMount } = require('./listener-mount');
+const { HlsPackager } = require('./hls-packager');
+const { validateEncoderConfig, maskSecrets } = require('./encoder-config');
+const { random } = require('./simulation/random');
+const { now, setTimer, clearTimer } = require('./simulation/clock');
+
+function mountNameFor(config) {
+    return ((config && config.mountPoint) || '/stream').replace(/^\/+/, '');
+}
+
+// Simulated server details so mock mode still answers per protocol
+function simulatedServerInfo(config) {
+    const protocol = normalizeProtocol(config.protocol) || 'icecast2';
+    const info = {
+        protocol,
+        host: config.serverHost,
+        port: Number(config.serverPort),
+        simulated: true
+    };
+
+    switch (protocol) {
+        case 'shoutcast1':
+            return { ...info, serverVersion: 'SHOUTcast 1.9.8', sourcePort: Number(config.serverPort) + 1, icyCaps: 11 };
+        case 'shoutcast2':
+            return { ...info, serverVersion: 'SHOUTcast 2.6.1.777', sid: Number(config.sid) || 1 };
+        default:
+            return { ...info, serverVersion: 'Icecast 2.4.4', mount: config.mountPoint || '/stream' };
+    }
+}
+
+// Icecast addresses streams by mount, SHOUTcast v2 by stream ID
+function describeTarget(client) {
+    const base = `${client.host}:${client.port}`;
+    if (client.protocol === 'shoutcast2') return `${base} (sid ${client.sid})`;
+    if (client.protocol === 'shoutcast1') return base;
+    return `${base}${client.mount}`;
+}
+
+const DEFAULT_RECONNECT_POLICY = {
+    enabled: true,
+    initialDelayMs: 1000,
+    maxDelayMs: 30000,
+    multiplier: 2,
+    jitter: 0.25, // ± fraction of the delay
+    maxAttempts: 10 // 0 retries forever
+};
+
+// Retrying will not fix these
+const FATAL_ERROR_CODES = new Set([
+    'AUTH_FAILED',
+    'INVALID_SID',
+    'UNSUPPORTED_PROTOCOL',
+    'UNSUPPORTED_CODEC'
+]);
+
+// Exponential backoff with jitter so several outputs don't retry in lockstep
+function backoffDelay(policy, attempt) {
+    const base = Math.min(policy.maxDelayMs, policy.initialDelayMs * Math.pow(policy.multiplier, attempt - 1));
+    const spread = base * policy.jitter * (random() * 2 - 1);
+    return Math.max(0, Math.round(base + spread));
+}
+
+function initialState() {
+    return {
+        status: 'disconnected', // disconnected, connecting, connected, streaming, error
+        statusMessage: 'Not connected',
+        connectedTime: 0,
+        bytesSent: 0,
+        currentBitrate: 0.0,
+        peakLevelLeft: 0.0,
+        peakLevelRight: 0.0,
+        currentListeners: 0,
+        listenerPeak: 0,
+        reconnectCount: 0,
+        nextReconnectAt: null,
+        startTime: null,
+        live: false, // true when a real source connection is open
+        server: null // protocol-specific server details (version, sid, ...)
+    };
+}
+
+class StreamOutput extends EventEmitter {
+    constructor(id, options = {}) {
+        super();
+        this.id = id;
+        this.name = options.name || id;
+        this.config = options.config || null;
+        this.mounts = options.mounts; // listener mounts shared by all outputs
+        this.getTrack = options.getTrack;
+        this.state = initialState();
+        this.sourceClient = null;
+        this.hls = null;
+        this.mount = null;
+        this.lastBytesSample = { bytes: 0, time: Date.now() };
+        this.reconnectTimer = null;
+        this.connectToken = 0; // bumped by every live connect and disconnect
+        this.retryAttempt = 0;
+        this.resumeStreaming = false;
+        this.simulatedFailures = 0;
+        this.simulated = { listeners: 0, bitrate: null };
+    }
+
+    get mountName() {
+        return mountNameFor(this.config);
+    }
+
+    toJSON() {
+        return {
+            id: this.id,
+            name: this.name,
+            ...this.state,
+            config: maskSecrets(this.config),
+            mountUrl: this.mount ? `/stream/${this.mount.name}` : null,
+            hlsUrl: this.hls ? `/hls/${this.mountName}/index.m3u8` : null,
+            hls: this.hls,
+            currentTrack: this.getTrack()
+        };
+    }
+
+    get reconnectPolicy() {
+        return { ...DEFAULT_RECONNECT_POLICY, ...(this.config && this.config.reconnect) };
+    }
+
+    // Every status change goes through here so clients see each transition
+    setStatus(status, message, details = {}) {
+        const from = this.state.status;
+        this.state.status = status;
+        this.state.statusMessage = message;
+
+        this.emit('transition', {
+            output_id: this.id,
+            from,
+            to: status,
+            statusMessage: message,
+            reconnectCount: this.state.reconnectCount,
+            nextReconnectAt: this.state.nextReconnectAt,
+            timestamp: new Date().toISOString(),
+            ...details
+        });
+    }
+
+    async connect(requestedConfig = this.config) {
+        const { valid, config, fields } = validateEncoderConfig(requestedConfig);
+        if (!valid) {
+            const err = sourceError('INVALID_CONFIG', `Invalid encoder configuration: ${Object.keys(fields).join(', ')}`);
+            err.fields = fields;
+            throw err;
+        }
+
+        // Another output already relays this mount
+        const holder = this.mounts.get(mountNameFor(config));
+        if (holder && holder !== this.mount) {
+            throw sourceError('MOUNT_IN_USE', `Mount /${mountNameFor(config)} is already used by another output`);
+        }
+
+        // Drop any previous connection before reconnecting
+        this.cancelReconnect();
+        this.closeSourceClient();
+        this.closeListenerMount();
+        this.config = config;
+        this.retryAttempt = 0;
+        this.resumeStreaming = false;
+        this.state.reconnectCount = 0;
+        this.state.listenerPeak = 0;
+
+        this.openListenerMount();
+        this.setStatus('connecting', `Connecting to ${config.serverHost}:${config.serverPort}${config.mountPoint || ''}`);
+
+        try {
+            await this.openConnection(config);
+        } catch (err) {
+            // A disconnect or newer connect took over; it owns the state now
+            if (err.code === 'CONNECT_CANCELLED') throw err;
+            console.error(`❌ [${this.id}] Connect failed (${err.code}): ${err.message}`);
+            err.retrying = this.scheduleReconnect(`Connect failed: ${err.message}`, err);
+            if (!err.retrying) {
+                this.closeListenerMount();
+            }
+            throw err;
+        }
+        return this.state;
+    }
+
+    // Handshake with the server (or pretend to, in mock mode)
+    async openConnection(config) {
+        Object.assign(this.state, {
+            server: null,
+            bytesSent: 0,
+            currentBitrate: 0.0,
+            startTime: null,
+            connectedTime: 0
+        });
+
+        // Live mode opens a real source connection instead of simulating one
+        if (config.live === true || process.env.STREAM_MODE === 'live') {
+            return this.openLiveConnection(config);
+        }
+
+        if (this.simulatedFailures > 0) {
+            this.simulatedFailures -= 1;
+            throw sourceError('CONNECTION_REFUSED', `Connection refused by ${config.serverHost}:${config.serverPort} (simulated)`);
+        }
+
+        this.state.live = false;
+        this.state.server = simulatedServerInfo(config);
+        this.state.startTime = now();
+        this.setStatus('connected', `Connected to ${config.serverHost}:${config.serverPort}`);
+
+        console.log(`✅ [${this.id}] Connected to ${config.protocol} server: ${config.serverHost}:${config.serverPort}`);
+        console.log(`🎵 [${this.id}] Mount: ${config.mountPoint}, Codec: ${config.codec}, Bitrate: ${config.bitrate}kbps`);
+    }
+
+    async openLiveConnection(config) {
+        this.state.live = true;
+
+        const token = ++this.connectToken;
+        const client = createSourceClient(config);
+        // Listen before the handshake ends: some protocols attach the
+        // socket and then still wait on the admin interface
+        let lostEarly = null;
+        client.on('drain', () => this.emit('drain'));
+        client.on('lost', (err) => {
+            if (this.sourceClient !== client) {
+                lostEarly = err;
+                return;
+            }
+            console.error(`❌ [${this.id}] Live source connection lost: ${err.message}`);
+            this.handleConnectionLost(err);
+        });
+
+        try {
+            await client.connect();
+        } catch (err) {
+            client.removeAllListeners();
+            client.close();
+            throw err;
+        }
+
+        if (token !== this.connectToken) {
+            client.removeAllListeners();
+            client.close();
+            throw sourceError('CONNECT_CANCELLED', 'Connect cancelled by a disconnect or another connect');
+        }
+        if (lostEarly) {
+            client.removeAllListeners();
+            client.close();
+            throw lostEarly;
+        }
+
+        this.sourceClient = client;
+        this.lastBytesSample = { bytes: 0, time: Date.now() };
+
+        this.state.startTime = Date.now();
+        this.state.server = client.info();
+        this.setStatus('connected', `Connected to ${describeTarget(client)}`);
+
+        console.log(`✅ [${this.id}] Live ${client.protocol} source connected: ${describeTarget(client)} (${client.serverVersion || 'unknown version'})`);
+    }
+
+    handleConnectionLost(err) {
+        if (this.state.live) {
+            this.updateLiveStats();
+        }
+        this.closeSourceClient();
+        this.resumeStreaming = this.state.status === 'streaming';
+        this.retryAttempt = 0;
+        this.scheduleReconnect(`Connection lost: ${err.message}`, err);
+    }
+
+    // Move to `error` and, if the policy allows, arm the next retry.
+    // Returns true when a retry is scheduled.
+    scheduleReconnect(reason, err) {
+        const policy = this.reconnectPolicy;
+        const attempt = this.retryAttempt + 1;
+        const maxLabel = policy.maxAttempts > 0 ? policy.maxAttempts : '∞';
+
+        if (!policy.enabled || FATAL_ERROR_CODES.has(err.code)) {
+            this.setStatus('error', reason, { code: err.code });
+            return false;
+        }
+        if (policy.maxAttempts > 0 && this.retryAttempt >= policy.maxAttempts) {
+            this.setStatus('error', `${reason} - gave up after ${this.retryAttempt} attempts`, { code: err.code });
+            return false;
+        }
+
+        const delay = backoffDelay(policy, attempt);
+        this.state.nextReconnectAt = now() + delay;
+        this.setStatus('error', `${reason} - retrying in ${(delay / 1000).toFixed(1)}s (attempt ${attempt}/${maxLabel})`, {
+            code: err.code,
+            attempt,
+            retryInMs: delay
+        });
+
+        this.reconnectTimer = setTimer(() => this.attemptReconnect(), delay);
+        return true;
+    }
+
+    async attemptReconnect() {
+        const policy = this.reconnectPolicy;
+        this.reconnectTimer = null;
+        this.retryAttempt += 1;
+        this.state.reconnectCount += 1;
+        this.state.nextReconnectAt = null;
+
+        const maxLabel = policy.maxAttempts > 0 ? policy.maxAttempts : '∞';
+        this.setStatus('connecting', `Reconnecting to ${this.config.serverHost}:${this.config.serverPort} (attempt ${this.retryAttempt}/${maxLabel})`, {
+            attempt: this.retryAttempt
+        });
+
+        try {
+            await this.openConnection(this.config);
+        } catch (err) {
+            if (err.code === 'CONNECT_CANCELLED') return;
+            console.error(`❌ [${this.id}] Reconnect attempt ${this.retryAttempt} failed: ${err.message}`);
+            this.scheduleReconnect(`Reconnect failed: ${err.message}`, err);
+            return;
+        }
+
+        console.log(`🔁 [${this.id}] Reconnected after ${this.retryAttempt} attempt(s)`);
+        this.retryAttempt = 0;
+        if (this.resumeStreaming) {
+            this.resumeStreaming = false;
+            this.setStatus('streaming', 'Streaming live (reconnected)');
+        }
+    }
+
+    cancelReconnect() {
+        if (this.reconnectTimer) {
+            clearTimer(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+        this.state.nextReconnectAt = null;
+    }
+
+    // Drop the connection on purpose so the reconnect UI can be exercised.
+    // `failAttempts` makes that many mock reconnects fail first.
+    simulateDrop(reason = 'Simulated connection drop', failAttempts = 0) {
+        if (!['connected', 'streaming'].includes(this.state.status)) {
+            throw sourceError('NOT_CONNECTED', 'Not connected to server');
+        }
+        this.simulatedFailures = Math.max(0, Number(failAttempts) || 0);
+        this.handleConnectionLost(sourceError('CONNECTION_LOST', reason));
+    }
+
+    disconnect() {
+        this.connectToken++; // a connect still handshaking gives up
+        this.cancelReconnect();
+        this.closeSourceClient();
+        this.closeListenerMount();
+        this.resumeStreaming = false;
+        const { reconnectCount } = this.state;
+        this.state = { ...initialState(), status: this.state.status, reconnectCount };
+        this.setStatus('disconnected', 'Disconnected');
+        console.log(`🔌 [${this.id}] Disconnected from stream server`);
+    }
+
+    start() {
+        if (this.state.status !== 'connected') {
+            throw sourceError('NOT_CONNECTED', 'Not connected to server');
+        }
+        this.setStatus('streaming', 'Streaming live');
+        console.log(`🔴 [${this.id}] Started live streaming! Listeners on /stream/${this.mountName}: ${this.state.currentListeners}`);
+    }
+
+    stop() {
+        if (this.state.status !== 'streaming') {
+            throw sourceError('NOT_STREAMING', 'Not currently streaming');
+        }
+        this.setStatus('connected', 'Streaming stopped, still connected');
+        console.log(`⏹️ [${this.id}] Stopped streaming`);
+    }
+
+    // Relay encoded audio to listeners and, in live mode, the server
+    // ('audio' lets recorders tap in). Returns false when the caller should
+    // wait for 'drain'.
+    write(chunk) {
+        if (this.mount) {
+            this.mount.write(chunk);
+        }
+        if (this.hls) {
+            this.hls.write(chunk);
+        }
+        this.emit('audio', chunk);
+        return this.sourceClient ? this.sourceClient.write(chunk) : true;
+    }
+
+    get bytesWritten() {
+        return this.sourceClient ? this.sourceClient.bytesSent : this.state.bytesSent;
+    }
+
+    // Push the current track through the protocol's admin call
+    async updateMetadata(track) {
+        if (this.hls) {
+            this.hls.markTrack(track);
+        }
+        if (this.sourceClient) {
+            const client = this.sourceClient;
+            try {
+                return { updated: true, ...(await client.updateMetadata(track)) };
+            } catch (err) {
+                console.error(`❌ [${this.id}] ${client.protocol} metadata update failed: ${err.message}`);
+                return { updated: false, code: err.code, error: err.message };
+            }
+        }
+        if (this.state.server) {
+            return { updated: true, simulated: true, protocol: this.state.server.protocol };
+        }
+        return null;
+    }
+
+    // Periodic stats: real byte counts in live mode, simulated otherwise
+    tick() {
+        if (this.state.live) {
+            this.updateLiveStats();
+            return;
+        }
+
+        if (this.state.status === 'streaming') {
+            const bitrate = this.simulated.bitrate !== null ? this.simulated.bitrate : (Number(this.config.bitrate) || 128);
+            this.state.bytesSent += Math.floor(random() * 2048) + 1024; // 1-3KB per update
+            this.state.currentBitrate = Math.max(0, bitrate + random() * 10 - 5); // bitrate ±5 kbps
+            this.state.peakLevelLeft = random() * 0.4 + 0.3; // 0.3-0.7
+            this.state.peakLevelRight = random() * 0.4 + 0.3; // 0.3-0.7
+
+            if (this.state.startTime) {
+                this.state.connectedTime = now() - this.state.startTime;
+            }
+        }
+    }
+
+    // Scenario overrides: extra listeners on top of real clients and a
+    // forced bitrate (null restores the configured one)
+    setSimulatedListeners(count) {
+        this.simulated.listeners = Math.max(0, Math.round(count));
+        this.refreshListenerCount();
+    }
+
+    setSimulatedBitrate(kbps) {
+        this.simulated.bitrate = kbps === null ? null : Math.max(0, kbps);
+    }
+
+    clearSimulation() {
+        this.simulated = { listeners: 0, bitrate: null };
+        this.simulatedFailures = 0;
+        this.state.reconnectCount = 0;
+        this.refreshListenerCount();
+    }
+
+    updateLiveStats() {
+        const now = Date.now();
+        const bytes = this.bytesWritten;
+        const elapsed = (now - this.lastBytesSample.time) / 1000;
+
+        if (elapsed > 0) {
+            this.state.currentBitrate = ((bytes - this.lastBytesSample.bytes) * 8) / 1000 / elapsed;
+        }
+        this.state.bytesSent = bytes;
+        this.lastBytesSample = { bytes, time: now };
+
+        if (this.state.startTime) {
+            this.state.connectedTime = now - this.state.startTime;
+        }
+    }
+
+    // Listeners count real clients on the built-in mount, not a simulation
+    openListenerMount() {
+        const mount = new ListenerMount(this.mountName, {
+            getTitle: () => formatSong(this.getTrack())
+        });
+        mount.on('listeners', () => this.refreshListenerCount());
+        this.mounts.set(mount.name, mount);
+        this.mount = mount;
+
+        // HLS alongside the Icecast-style mount, unless turned off
+        const codec = this.config.codec;
+        const hls = this.config.hls || {};
+        if (hls.enabled !== false && HlsPackager.supports(codec)) {
+            this.hls = new HlsPackager(codec, {
+                segmentSeconds: hls.segmentSeconds,
+                dvrSeconds: hls.dvrSeconds,
+                getTrack: () => this.getTrack()
+            });
+        }
+    }
+
+    closeListenerMount() {
+        if (this.mount) {
+            this.mount.close();
+            this.mount.removeAllListeners();
+            this.mounts.delete(this.mount.name);
+            this.mount = null;
+        }
+        this.hls = null;
+        this.refreshListenerCount();
+    }
+
+    // Real clients on the built-in mount plus any scenario-simulated ones
+    refreshListenerCount() {
+        this.state.currentListeners = (this.mount ? this.mount.clientCount : 0) + this.simulated.listeners;
+        this.state.listenerPeak = Math.max(this.state.listenerPeak, this.state.currentListeners);
+    }
+
+    closeSourceClient() {
+        if (this.sourceClient) {
+            this.sourceClient.removeAllListeners();
+            this.sourceClient.close();
+            this.sourceClient = null;
+        }
+    }
+}
+
+module.exports = { StreamOutput };
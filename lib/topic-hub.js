@@ -0,0 +1,180 @@
+// WebSocket topic subscriptions. Each topic is a function returning the
+// current state; while a topic has subscribers it is sampled every
+// `intervalMs` and each client gets only what changed since the last
+// message it was sent. A client may ask for a lower rate than the topic's
+// maximum (level meters don't need 10 updates a second on every tab).
+const WebSocket = require('ws');
+
+// Skip clients that aren't keeping up rather than queueing stale state
+const MAX_BUFFERED_BYTES = 256 * 1024;
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Changed keys of `next` relative to `prev`, recursively; removed keys are
+// reported as null. Arrays are compared (and replaced) whole. Returns null
+// when nothing changed.
+function diffState(prev, next) {
+    const changes = {};
+    Object.keys(next).forEach(key => {
+        const a = prev[key];
+        const b = next[key];
+        if (isPlainObject(a) && isPlainObject(b)) {
+            const nested = diffState(a, b);
+            if (nested) changes[key] = nested;
+        } else if (JSON.stringify(a) !== JSON.stringify(b)) {
+            changes[key] = b;
+        }
+    });
+    Object.keys(prev).forEach(key => {
+        if (!(key in next)) changes[key] = null;
+    });
+    return Object.keys(changes).length ? changes : null;
+}
+
+class TopicHub {
+    // topics: { name: { snapshot: () => state, intervalMs, maxRate } },
+    // maxRate in messages per second
+    constructor(topics) {
+        this.topics = topics;
+        this.clients = new Map(); // ws -> Map(topic -> subscription)
+        this.timers = new Map(); // topic -> interval
+    }
+
+    get topicNames() {
+        return Object.keys(this.topics);
+    }
+
+    // Returns { subscribed, unknown, rates }. Call sendSnapshots() next so
+    // new subscriptions get their full state; diffs follow from there.
+    subscribe(ws, names, rates = {}) {
+        const subscribed = [];
+        const unknown = [];
+        const appliedRates = {};
+        if (!this.clients.has(ws)) {
+            this.clients.set(ws, new Map());
+        }
+        const subscriptions = this.clients.get(ws);
+
+        names.forEach(name => {
+            const topic = this.topics[name];
+            if (!topic) {
+                unknown.push(name);
+                return;
+            }
+
+            const requested = Number(rates[name]);
+            const rate = requested > 0 ? Math.min(requested, topic.maxRate) : topic.maxRate;
+            const existing = subscriptions.get(name);
+            if (existing) {
+                existing.minIntervalMs = 1000 / rate;
+            } else {
+                subscriptions.set(name, { state: null, seq: 0, sentAt: 0, minIntervalMs: 1000 / rate });
+                this.startTopic(name);
+            }
+            subscribed.push(name);
+            appliedRates[name] = rate;
+        });
+
+        return { subscribed, unknown, rates: appliedRates };
+    }
+
+    sendSnapshots(ws) {
+        const subscriptions = this.clients.get(ws);
+        if (!subscriptions) return;
+        subscriptions.forEach((subscription, name) => {
+            if (subscription.state === null) {
+                this.send(ws, name, subscription, this.sample(name));
+            }
+        });
+    }
+
+    unsubscribe(ws, names) {
+        const subscriptions = this.clients.get(ws);
+        if (!subscriptions) return [];
+
+        const removed = names.filter(name => subscriptions.delete(name));
+        if (subscriptions.size === 0) {
+            this.clients.delete(ws);
+        }
+        removed.forEach(name => this.stopTopicIfIdle(name));
+        return removed;
+    }
+
+    // Drop a closed connection
+    remove(ws) {
+        const subscriptions = this.clients.get(ws);
+        if (!subscriptions) return;
+        this.clients.delete(ws);
+        subscriptions.forEach((_, name) => this.stopTopicIfIdle(name));
+    }
+
+    subscriptionsOf(ws) {
+        const subscriptions = this.clients.get(ws);
+        return subscriptions ? Array.from(subscriptions.keys()) : [];
+    }
+
+    subscriberCount(name) {
+        let count = 0;
+        this.clients.forEach(subscriptions => {
+            if (subscriptions.has(name)) count++;
+        });
+        return count;
+    }
+
+    startTopic(name) {
+        if (this.timers.has(name)) return;
+        this.timers.set(name, setInterval(() => this.publish(name), this.topics[name].intervalMs));
+    }
+
+    stopTopicIfIdle(name) {
+        if (this.subscriberCount(name) > 0 || !this.timers.has(name)) return;
+        clearInterval(this.timers.get(name));
+        this.timers.delete(name);
+    }
+
+    // Sample a topic and send each due subscriber its diff. Clients held
+    // back by their rate cap catch up on a later sample, since diffs are
+    // taken against what they were last sent.
+    publish(name) {
+        const time = Date.now();
+        // Timers drift; don't let a sample landing a few ms early skip a beat
+        const slack = this.topics[name].intervalMs / 5;
+        let state = null;
+
+        this.clients.forEach((subscriptions, ws) => {
+            const subscription = subscriptions.get(name);
+            if (!subscription || time - subscription.sentAt < subscription.minIntervalMs - slack) return;
+            if (ws.readyState !== WebSocket.OPEN || ws.bufferedAmount > MAX_BUFFERED_BYTES) return;
+
+            state = state || this.sample(name);
+            this.send(ws, name, subscription, state);
+        });
+    }
+
+    // Round-trip through JSON so later changes to the live state can't leak
+    // into what subscribers were last sent
+    sample(name) {
+        return JSON.parse(JSON.stringify(this.topics[name].snapshot()));
+    }
+
+    send(ws, name, subscription, state) {
+        let message;
+        if (subscription.state === null) {
+            message = { type: 'topic_snapshot', topic: name, seq: subscription.seq, data: state };
+        } else {
+            const changes = diffState(subscription.state, state);
+            if (!changes) return;
+            message = { type: 'topic_diff', topic: name, seq: subscription.seq, changes };
+        }
+
+        if (ws.readyState !== WebSocket.OPEN) return;
+        ws.send(JSON.stringify({ ...message, timestamp: new Date().toISOString() }));
+        subscription.state = state;
+        subscription.seq++;
+        subscription.sentAt = Date.now();
+    }
+}
+
+module.exports = { TopicHub };
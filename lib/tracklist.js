@@ -0,0 +1,187 @@
+// What a DJ session actually played. A deck's track is on air while the
+// deck plays and enough of it reaches the master: deck volume x channel
+// volume x crossfader. It is logged once it has been on air for a few
+// seconds, so previews and quick cuts don't count, with the time it went
+// on air. The log lives on the session as `tracklist`.
+//
+// Events:
+//   'entry'   session, entry   a track went on air (new tracklist entry)
+//   'updated' session, entry   an entry went off air, or back on
+const { EventEmitter } = require('events');
+const { crossfaderGain } = require('./mixer');
+const { DECKS } = require('./deck-transport');
+
+const ON_AIR_GAIN = 0.1; // -20 dB
+const CONFIRM_MS = 5000;
+const CUE_FRAMES_PER_SECOND = 75;
+
+// How much of a deck reaches the master, 0 to 1
+function deckGain(session, deck) {
+    const state = session[DECKS[deck]];
+    const mixer = session.mixer || {};
+    if (!state || !state.playing || !state.track) return 0;
+    const channelVolume = mixer[`channel_${deck.toLowerCase()}_volume`];
+    return (state.volume === undefined ? 1 : state.volume) *
+        (channelVolume === undefined ? 1 : channelVolume) *
+        crossfaderGain(mixer.crossfader || 0, deck);
+}
+
+// The same track loaded again is a new play
+function sameLoad(entry, track) {
+    return entry.track_id === track.id && entry.loaded_at === track.loaded_at &&
+        entry.artist === track.artist && entry.title === track.title;
+}
+
+// CUE FILE types by extension; anything else is taken as MP3
+const CUE_FILE_TYPES = { wav: 'WAVE', aif: 'AIFF', aiff: 'AIFF' };
+
+function pad(value, width = 2) {
+    return String(value).padStart(width, '0');
+}
+
+// Track details come from clients; a line break in one would start a
+// new line (a CUE command, an M3U entry) in the export
+function clean(text) {
+    return String(text).replace(/[\u0000-\u001f\u007f]+/g, ' ');
+}
+
+function quote(text) {
+    return `"${clean(text).replace(/"/g, "'")}"`;
+}
+
+class TracklistRecorder extends EventEmitter {
+    constructor() {
+        super();
+        this.candidates = new Map(); // session id -> { A: { entry, since, position } }, not yet logged
+    }
+
+    // Check both decks of a session against the mixer at `time`
+    update(session, time) {
+        if (!session.tracklist) session.tracklist = [];
+        const candidates = this.candidates.get(session.id) || {};
+        this.candidates.set(session.id, candidates);
+
+        Object.keys(DECKS).forEach(deck => {
+            const state = session[DECKS[deck]];
+            const onAir = deckGain(session, deck) >= ON_AIR_GAIN;
+            const last = this.lastEntry(session, deck);
+            const open = last && !last.off_air_at ? last : null;
+
+            if (open && !(onAir && sameLoad(open, state.track))) {
+                open.off_air_at = new Date(time).toISOString();
+                this.emit('updated', session, open);
+            }
+            if (!onAir) {
+                delete candidates[deck];
+                return;
+            }
+            if (open && sameLoad(open, state.track)) return;
+
+            // Back on air after a cut: the same play carries on
+            if (last && sameLoad(last, state.track) && last !== open) {
+                last.off_air_at = null;
+                this.emit('updated', session, last);
+                return;
+            }
+
+            const candidate = candidates[deck];
+            if (!candidate || !sameLoad(candidate.entry, state.track)) {
+                candidates[deck] = {
+                    entry: { track_id: state.track.id, loaded_at: state.track.loaded_at, artist: state.track.artist, title: state.track.title },
+                    since: time,
+                    position: state.position
+                };
+                return;
+            }
+            if (time - candidate.since < CONFIRM_MS) return;
+
+            delete candidates[deck];
+            const entry = {
+                id: session.tracklist.length + 1,
+                deck: deck,
+                track_id: state.track.id,
+                artist: state.track.artist,
+                title: state.track.title,
+                bpm: state.bpm,
+                duration: state.track.duration || null,
+                location: state.track.url || null,
+                loaded_at: state.track.loaded_at,
+                start_position: Math.round(candidate.position * 1000) / 1000,
+                on_air_at: new Date(candidate.since).toISOString(),
+                off_air_at: null
+            };
+            session.tracklist.push(entry);
+            this.emit('entry', session, entry);
+        });
+    }
+
+    lastEntry(session, deck) {
+        for (let i = session.tracklist.length - 1; i >= 0; i--) {
+            if (session.tracklist[i].deck === deck) return session.tracklist[i];
+        }
+        return null;
+    }
+
+    forget(sessionId) {
+        this.candidates.delete(sessionId);
+    }
+
+    static describe(entry, time) {
+        const end = entry.off_air_at ? Date.parse(entry.off_air_at) : time;
+        return {
+            ...entry,
+            on_air_seconds: Math.max(0, Math.round((end - Date.parse(entry.on_air_at)) / 1000))
+        };
+    }
+
+    // CUE sheet for splitting a recording of the mix. Index times count
+    // from `start` (ms), by default the first entry going on air.
+    static toCueSheet(session, { file, start } = {}) {
+        const entries = session.tracklist || [];
+        const fileName = file || `${session.id}.mp3`;
+        const extension = fileName.split('.').pop().toLowerCase();
+        const origin = start === undefined && entries.length ? Date.parse(entries[0].on_air_at) : (start || 0);
+        const lines = [
+            `REM DATE ${new Date(origin || Date.parse(session.started_at)).toISOString().slice(0, 10)}`,
+            `PERFORMER ${quote(session.dj_id)}`,
+            `TITLE ${quote(session.session_name)}`,
+            `FILE ${quote(fileName)} ${CUE_FILE_TYPES[extension] || 'MP3'}`
+        ];
+        entries.forEach((entry, index) => {
+            const frames = Math.max(0, Math.round((Date.parse(entry.on_air_at) - origin) / 1000 * CUE_FRAMES_PER_SECOND));
+            const seconds = Math.floor(frames / CUE_FRAMES_PER_SECOND);
+            lines.push(
+                `  TRACK ${pad(index + 1)} AUDIO`,
+                `    TITLE ${quote(entry.title)}`,
+                `    PERFORMER ${quote(entry.artist)}`,
+                `    INDEX 01 ${pad(Math.floor(seconds / 60))}:${pad(seconds % 60)}:${pad(frames % CUE_FRAMES_PER_SECOND)}`
+            );
+        });
+        return lines.join('\r\n') + '\r\n';
+    }
+
+    // Extended M3U, UTF-8. Tracks without a URL are listed by id.
+    static toM3u8(session) {
+        const lines = ['#EXTM3U', `#PLAYLIST:${clean(session.session_name)}`];
+        (session.tracklist || []).forEach(entry => {
+            lines.push(
+                `#EXTINF:${entry.duration ? Math.round(entry.duration) : -1},${clean(entry.artist)} - ${clean(entry.title)}`,
+                clean(entry.location || entry.track_id || `${entry.artist} - ${entry.title}`)
+            );
+        });
+        return lines.join('\n') + '\n';
+    }
+
+    // "HH:MM Artist – Title" lines, timed from the first track
+    static toText(session) {
+        const entries = session.tracklist || [];
+        if (!entries.length) return '';
+        const origin = Date.parse(entries[0].on_air_at);
+        return entries.map(entry => {
+            const minutes = Math.floor((Date.parse(entry.on_air_at) - origin) / 60000);
+            return `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)} ${clean(entry.artist)} – ${clean(entry.title)}`;
+        }).join('\n') + '\n';
+    }
+}
+
+module.exports = { TracklistRecorder, deckGain };
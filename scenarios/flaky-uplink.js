@@ -0,0 +1,27 @@
+// Generated timeline: a steady audience and a connection that drops every
+// couple of minutes, each time needing a few more retries to come back.
+const DROPS = 5;
+
+module.exports = () => {
+    const events = [
+        { at: 0, type: 'stream_start' },
+        { at: 0, type: 'listeners', to: 75 }
+    ];
+
+    for (let i = 0; i < DROPS; i++) {
+        events.push({
+            at: 60 + i * 120,
+            type: 'connection_lost',
+            reason: `Uplink flap #${i + 1}`,
+            fail_attempts: i
+        });
+    }
+
+    return {
+        name: 'Flaky uplink',
+        description: `${DROPS} connection drops with increasing retry counts`,
+        seed: 'flaky-uplink',
+        duration: 60 + DROPS * 120,
+        events
+    };
+};
@@ -21,6 +21,29 @@ const express = require('express');
 const cors = require('cors');
 const http = require('http');
 const WebSocket = require('ws');
+const { StreamOutput } = require('./lib/stream-output');
+const { validateEncoderConfig, encoderConfigSchema, mergeSecrets } = require('./lib/encoder-config');
+const { PlayHistory, PLAY_SOURCES } = require('./lib/play-history');
+const { Recorder, listRecordingFiles, recordingFilePath } = require('./lib/recorder');
+const { statusJson, statsXml, listClientsXml, iceResponse, parseBasicAuth, icecastDate, icecastIsoDate } = require('./lib/icecast-status');
+const { contentTypeForCodec, formatSong } = require('./lib/sources/source-client');
+const { ScenarioEngine } = require('./lib/simulation/scenario-engine');
+const { random } = require('./lib/simulation/random');
+const { now } = require('./lib/simulation/clock');
+const { TopicHub } = require('./lib/topic-hub');
+const { PresetStore } = require('./lib/preset-store');
+const { Mixer } = require('./lib/mixer');
+const { DuckingEnvelope, applyTalkoverSettings } = require('./lib/ducking');
+const { MeterBank, decodePcm, toDb, METER_FLOOR_DB } = require('./lib/metering');
+const { LoudnessMeter } = require('./lib/loudness');
+const { LoudnessMonitor } = require('./lib/loudness-monitor');
+const { EngineClient } = require('./lib/engine-client');
+const { SessionStore } = require('./lib/session-store');
+const { SessionAccess } = require('./lib/session-access');
+const { DeckTransport } = require('./lib/deck-transport');
+const { engageSync, disengageSync, alignPhase, followLeaders, syncState, checkMasterTempo, isTempo } = require('./lib/beat-sync');
+const { DeckCues, emptyLoop } = require('./lib/deck-cues');
+const { TracklistRecorder } = require('./lib/tracklist');
 
 const app = express();
 const port = process.env.PORT || 5001;
@@ -46,29 +69,302 @@ app.use(cors({
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// Mock stream server state
-let streamState = {
-    status: 'disconnected', // disconnected, connecting, connected, streaming, error
-    statusMessage: 'Not connected',
-    connectedTime: 0,
-    bytesSent: 0,
-    currentBitrate: 0.0,
-    peakLevelLeft: 0.0,
-    peakLevelRight: 0.0,
-    currentListeners: 0,
-    reconnectCount: 0,
-    startTime: null,
-    config: null,
-    currentTrack: {
-        artist: 'Unknown Artist',
-        title: 'Unknown Track'
-    }
+// Track currently on air; shared by every output
+let currentTrack = {
+    artist: 'Unknown Artist',
+    title: 'Unknown Track'
+};
+
+// What has played, newest last; fed by every now-playing change
+const playHistory = new PlayHistory();
+
+// Built-in listener mounts, keyed by mount name without the leading slash
+const listenerMounts = new Map();
+
+// Encoder outputs (one per target mount). /api/audio/stream/* is a view of
+// the default output.
+const DEFAULT_OUTPUT_ID = 'default';
+const streamOutputs = new Map();
+
+// Active recordings, keyed by output id
+const recorders = new Map();
+
+// Station settings (GET/PUT /api/v1/stations/me)
+let stationSettings = {
+    isPublic: true,
+    allowChat: true,
+    autoRecord: false,
+    maxBitrate: 320
 };
 
+function createStreamOutput(id, name, config = null) {
+    const output = new StreamOutput(id, {
+        name,
+        config,
+        mounts: listenerMounts,
+        getTrack: () => currentTrack
+    });
+    
+    // Let every connected client follow connection state changes
+    output.on('transition', (transition) => {
+        broadcastToAll({
+            type: 'stream_transition',
+            data: transition
+        });
+        handleRecordingTransition(output, transition);
+        updateLoudnessShow();
+    });
+    
+    streamOutputs.set(id, output);
+    return output;
+}
+
+createStreamOutput(DEFAULT_OUTPUT_ID, 'Default output');
+
+function defaultOutput() {
+    return streamOutputs.get(DEFAULT_OUTPUT_ID);
+}
+
+// Change the track on air: record it, tell clients, and push the title to
+// every output. Resolves to the per-output metadata results.
+async function setNowPlaying(track, source) {
+    currentTrack = {
+        artist: track.artist || 'Unknown Artist',
+        title: track.title || 'Unknown Track'
+    };
+    const entry = playHistory.record(currentTrack, { source, listeners: totalListeners() });
+    
+    console.log(`🎵 Now playing (${source}): ${currentTrack.artist} - ${currentTrack.title}`);
+    broadcastToAll({
+        type: 'now_playing',
+        data: playHistory.describe(entry)
+    });
+    
+    // Every connected output pushes the title through its protocol's admin call
+    const outputUpdates = {};
+    await Promise.all(Array.from(streamOutputs.values()).map(async (output) => {
+        const result = await output.updateMetadata(currentTrack);
+        if (result) {
+            outputUpdates[output.id] = result;
+        }
+    }));
+    return { entry, outputUpdates };
+}
+
 // Real-time DJ session management
 let djSessions = new Map(); // sessionId -> session data
 let djConnections = new Map(); // sessionId -> Set of WebSocket connections
 
+// Sessions are journaled to disk and restored on boot, so a restart
+// doesn't end them; clients get them back by sending join_session again.
+// Connections aren't kept: they end with the process.
+const SESSIONS_DIR = process.env.SESSIONS_DIR || path.join(__dirname, 'data', 'sessions');
+const sessionStore = new SessionStore(SESSIONS_DIR, djSessions);
+
+const recoveredSessions = sessionStore.restore();
+if (recoveredSessions > 0) {
+    const recoveredAt = new Date().toISOString();
+    const bootTime = Date.now();
+    djSessions.forEach(session => {
+        session.recovered_at = recoveredAt;
+        // The recorder died with the old process
+        session.is_recording = false;
+        session.recording_id = null;
+        // Playing decks carry on from where they were journaled, not
+        // ahead by the downtime
+        ['deck_a', 'deck_b'].forEach(key => {
+            if (session[key] && session[key].playing) session[key].position_at = bootTime;
+        });
+    });
+    console.log(`💾 Recovered ${recoveredSessions} DJ session(s)`);
+}
+
+// Stamp a changed session and write it to the journal
+function sessionChanged(session) {
+    session.updated_at = new Date().toISOString();
+    sessionStore.put(session);
+}
+
+// Playing decks advance on the server, so late joiners and viewers see
+// where the set really is. Positions aren't journaled every tick; they
+// are written with the next change or snapshot.
+const deckTransport = new DeckTransport(djSessions);
+
+deckTransport.on('tick', (session, time) => {
+    broadcastToSession(session.id, {
+        type: 'deck_position',
+        server_time: time,
+        data: DeckTransport.positions(session),
+        sync: syncState(session)
+    });
+});
+
+deckTransport.on('ended', (session, deck, track) => {
+    sessionChanged(session);
+    broadcastToSession(session.id, {
+        type: 'track_ended',
+        deck: deck,
+        track: track,
+        total_tracks_played: session.stats.total_tracks_played
+    });
+    console.log(`🎵 "${track.title}" ended on deck ${deck} in session ${session.id}`);
+});
+
+deckTransport.start();
+
+// The tracklist follows what reaches the master, not what is loaded
+const tracklistRecorder = new TracklistRecorder();
+
+function tracklistChanged(session, entry) {
+    sessionChanged(session);
+    broadcastToSession(session.id, {
+        type: 'tracklist_updated',
+        data: TracklistRecorder.describe(entry, Date.now())
+    });
+}
+
+tracklistRecorder.on('entry', (session, entry) => {
+    tracklistChanged(session, entry);
+    console.log(`📝 On air in session ${session.id}: ${entry.artist} - ${entry.title} (deck ${entry.deck})`);
+});
+tracklistRecorder.on('updated', tracklistChanged);
+
+// Wall-clock time, like the deck transport: a scenario fast-forward
+// mustn't stretch on-air times
+setInterval(() => {
+    const time = Date.now();
+    djSessions.forEach(session => tracklistRecorder.update(session, time));
+}, 500);
+
+// Hot cues and saved loops, kept per track id across sessions
+const TRACK_CUES_FILE = process.env.TRACK_CUES_FILE || path.join(__dirname, 'data', 'track-cues.json');
+const deckCues = new DeckCues(TRACK_CUES_FILE);
+
+const CUE_ERROR_STATUS = {
+    INVALID_CUE_COMMAND: 400,
+    NO_TRACK: 400,
+    CUE_NOT_FOUND: 404,
+    LOOP_NOT_FOUND: 404,
+    BPM_UNKNOWN: 409,
+    LOOP_NOT_SET: 409
+};
+
+// Run the hot_cue, loop and beat_jump commands in a deck_update or REST
+// body against a deck. Throws with a CUE_ERROR_STATUS code.
+function applyDeckCommands(state, { hot_cue, loop, beat_jump }) {
+    if (hot_cue) deckCues.hotCue(state, hot_cue);
+    if (loop) deckCues.loop(state, loop);
+    if (beat_jump !== undefined) deckCues.beatJump(state, beat_jump);
+}
+
+// Beat sync is worked out here, so every client agrees on tempo and phase
+const SYNC_ERROR_STATUS = {
+    INVALID_SYNC: 400,
+    BPM_UNKNOWN: 409,
+    TEMPO_OUT_OF_RANGE: 409
+};
+
+function sendSyncError(res, action, err) {
+    res.status(SYNC_ERROR_STATUS[err.code] || 500).json({
+        success: false,
+        action: action,
+        code: err.code,
+        error: err.message
+    });
+}
+
+// Re-pitch followers after anything that may change a tempo. Tells the
+// session when a follower moved, or always with `announce`.
+function updateSync(session, { announce = false } = {}) {
+    deckTransport.settle(session);
+    const changed = followLeaders(session);
+    if (changed.length > 0 || announce) {
+        broadcastToSession(session.id, {
+            type: 'sync_updated',
+            data: syncState(session)
+        });
+    }
+}
+
+// Session tokens and roles (owner, controller, viewer). DJ_ADMIN_TOKEN
+// acts as owner everywhere, e.g. for sessions from before tokens existed.
+const sessionAccess = new SessionAccess(path.join(SESSIONS_DIR, 'tokens.json'), {
+    adminToken: process.env.DJ_ADMIN_TOKEN || null
+});
+const connectionRoles = new Map(); // WebSocket -> { session_id, role, grant_id }
+
+const ACCESS_ERROR_STATUS = {
+    UNAUTHORIZED: 401,
+    FORBIDDEN: 403
+};
+
+// Bearer token from the Authorization header, or ?token=
+function requestToken(req) {
+    const match = /^Bearer\s+(.+)$/i.exec(req.get('Authorization') || '');
+    return match ? match[1].trim() : (req.query.token || null);
+}
+
+// Check the caller has at least `required` in the session. Sends a 401
+// or 403 and returns null otherwise.
+function authorizeSession(req, res, sessionId, required) {
+    let access;
+    try {
+        access = sessionAccess.roleFor(sessionId, requestToken(req));
+    } catch (err) {
+        res.status(ACCESS_ERROR_STATUS[err.code] || 401).json({
+            success: false,
+            code: err.code,
+            error: err.message
+        });
+        return null;
+    }
+    if (!SessionAccess.allows(access.role, required)) {
+        res.status(403).json({
+            success: false,
+            code: 'FORBIDDEN',
+            error: `This needs the ${required} role; the token is ${access.role}`,
+            role: access.role
+        });
+        return null;
+    }
+    return access;
+}
+
+function sendWsError(ws, messageType, code, error) {
+    ws.send(JSON.stringify({ type: 'error', message_type: messageType, code, error }));
+}
+
+// Control messages need a joined session and a controller or owner role
+// (`required`)
+function canControl(ws, messageType, required = 'controller') {
+    const access = connectionRoles.get(ws);
+    if (!access) {
+        sendWsError(ws, messageType, 'NOT_JOINED', 'Send join_session before control messages');
+        return false;
+    }
+    if (!SessionAccess.allows(access.role, required)) {
+        sendWsError(ws, messageType, 'FORBIDDEN', required === 'controller' ? `Viewers can't send ${messageType}` : `${messageType} needs the ${required} role`);
+        return false;
+    }
+    return true;
+}
+
+// Take connections off a session, e.g. when their token is revoked
+function dropSessionConnections(sessionId, shouldDrop, reason) {
+    const connections = djConnections.get(sessionId);
+    if (!connections) return 0;
+    let dropped = 0;
+    connections.forEach(ws => {
+        const access = connectionRoles.get(ws);
+        if (!access || !shouldDrop(access)) return;
+        connectionRoles.delete(ws);
+        removeConnectionFromSession(sessionId, ws);
+        if (ws.readyState === WebSocket.OPEN) sendWsError(ws, null, reason.code, reason.error);
+        dropped++;
+    });
+    return dropped;
+}
+
 // DJ Session data structure
 function createDJSession(sessionId, djId, sessionName) {
     return {
@@ -78,6 +374,7 @@ function createDJSession(sessionId, djId, sessionName) {
         started_at: new Date().toISOString(),
         is_live: false,
         is_recording: false,
+        recording_id: null,
         
         // Current tracks on decks
         deck_a: {
@@ -87,7 +384,16 @@ function createDJSession(sessionId, djId, sessionName) {
             volume: 0.8,
             eq: { low: 0.0, mid: 0.0, high: 0.0 },
             bpm: null,
-            synced: false
+            synced: false,
+            sync_to: null,
+            beat_position: null,
+            speed: 1.0,
+            pitch: 0.0,
+            position_at: null,
+            tracks_played: 0,
+            hot_cues: [],
+            saved_loops: [],
+            loop: emptyLoop()
         },
         deck_b: {
             track: null,
@@ -96,7 +402,16 @@ function createDJSession(sessionId, djId, sessionName) {
             volume: 0.8,
             eq: { low: 0.0, mid: 0.0, high: 0.0 },
             bpm: null,
-            synced: false
+            synced: false,
+            sync_to: null,
+            beat_position: null,
+            speed: 1.0,
+            pitch: 0.0,
+            position_at: null,
+            tracks_played: 0,
+            hot_cues: [],
+            saved_loops: [],
+            loop: emptyLoop()
         },
         
         // Mixer state
@@ -105,7 +420,8 @@ function createDJSession(sessionId, djId, sessionName) {
             master_volume: 0.8,
             channel_a_volume: 0.8,
             channel_b_volume: 0.8,
-            sync_enabled: false
+            sync_enabled: false,
+            master_tempo: null
         },
         
         // Real-time audio levels
@@ -127,6 +443,9 @@ function createDJSession(sessionId, djId, sessionName) {
             session_duration: 0
         },
         
+        // Tracks that went on air (see lib/tracklist.js)
+        tracklist: [],
+        
         updated_at: new Date().toISOString()
     };
 }
@@ -144,6 +463,15 @@ function broadcastToSession(sessionId, message) {
     }
 }
 
+function broadcastToAll(message) {
+    const messageStr = JSON.stringify(message);
+    wss.clients.forEach(ws => {
+        if (ws.readyState === WebSocket.OPEN) {
+            ws.send(messageStr);
+        }
+    });
+}
+
 function addConnectionToSession(sessionId, ws) {
     if (!djConnections.has(sessionId)) {
         djConnections.set(sessionId, new Set());
@@ -170,28 +498,75 @@ wss.on('connection', (ws, req) => {
     console.log('🔗 New WebSocket connection established');
     
     let sessionId = null;
-    
-    ws.on('message', (data) => {
+    let loudnessInput = null; // PCM format for binary frames, after loudness_input
+    // Session token from ?token= on the handshake, or an auth message
+    let token = new URL(req.url, 'http://localhost').searchParams.get('token');
+    
+    ws.on('message', (data, isBinary) => {
+        // Binary frames are interleaved master PCM for the loudness meter
+        if (isBinary) {
+            if (!loudnessInput) {
+                ws.send(JSON.stringify({
+                    type: 'loudness_input_error',
+                    error: 'Send {"type": "loudness_input"} before binary PCM frames'
+                }));
+                return;
+            }
+            measureMasterPcm(decodePcm(data, loudnessInput), loudnessInput.sampleRate);
+            return;
+        }
+        
         try {
             const message = JSON.parse(data);
             
             switch (message.type) {
-                case 'join_session':
-                    sessionId = message.session_id;
-                    addConnectionToSession(sessionId, ws);
+                case 'auth': {
+                    const access = sessionAccess.lookup(message.token);
+                    if (!access) {
+                        sendWsError(ws, 'auth', 'UNAUTHORIZED', 'Unknown or revoked session token');
+                        break;
+                    }
+                    token = message.token;
+                    ws.send(JSON.stringify({ type: 'auth_ok', session_id: access.session_id, role: access.role }));
+                    break;
+                }
                     
-                    // Send current session state
-                    const session = djSessions.get(sessionId);
-                    if (session) {
+                case 'join_session': {
+                    if (message.token) token = message.token;
+                    const session = djSessions.get(message.session_id);
+                    if (!session) {
                         ws.send(JSON.stringify({
-                            type: 'session_state',
-                            data: session
+                            type: 'session_not_found',
+                            session_id: message.session_id
                         }));
+                        break;
+                    }
+                    
+                    let access;
+                    try {
+                        access = sessionAccess.roleFor(session.id, token);
+                    } catch (err) {
+                        sendWsError(ws, 'join_session', err.code, err.message);
+                        break;
                     }
+                    
+                    if (sessionId) removeConnectionFromSession(sessionId, ws);
+                    sessionId = session.id;
+                    connectionRoles.set(ws, { session_id: sessionId, ...access });
+                    addConnectionToSession(sessionId, ws);
+                    
+                    // Send current session state
+                    deckTransport.settle(session);
+                    ws.send(JSON.stringify({
+                        type: 'session_state',
+                        role: access.role,
+                        data: session
+                    }));
                     break;
+                }
                     
                 case 'audio_levels':
-                    if (sessionId) {
+                    if (canControl(ws, 'audio_levels')) {
                         const session = djSessions.get(sessionId);
                         if (session) {
                             session.audio_levels = {
@@ -209,11 +584,20 @@ wss.on('connection', (ws, req) => {
                     break;
                     
                 case 'mixer_update':
-                    if (sessionId) {
+                    if (canControl(ws, 'mixer_update')) {
                         const session = djSessions.get(sessionId);
                         if (session) {
+                            if (message.data.master_tempo !== undefined) {
+                                try {
+                                    checkMasterTempo(message.data.master_tempo);
+                                } catch (err) {
+                                    sendWsError(ws, 'mixer_update', err.code, err.message);
+                                    break;
+                                }
+                            }
                             session.mixer = { ...session.mixer, ...message.data };
-                            session.updated_at = new Date().toISOString();
+                            updateSync(session); // master_tempo
+                            sessionChanged(session);
                             
                             // Broadcast mixer update
                             broadcastToSession(sessionId, {
@@ -225,12 +609,48 @@ wss.on('connection', (ws, req) => {
                     break;
                     
                 case 'deck_update':
-                    if (sessionId) {
+                    if (canControl(ws, 'deck_update')) {
                         const session = djSessions.get(sessionId);
                         if (session && message.deck) {
                             const deck = message.deck === 'A' ? 'deck_a' : 'deck_b';
-                            session[deck] = { ...session[deck], ...message.data };
-                            session.updated_at = new Date().toISOString();
+                            deckTransport.settle(session);
+                            const wasPlaying = session[deck].playing;
+                            // Sync, cues and loops go through their engines rather than straight in
+                            const { synced, sync_to, hot_cue, loop, beat_jump, hot_cues, saved_loops, ...changes } = message.data;
+                            const trackId = session[deck].track && session[deck].track.id;
+                            // Work on a copy: a rejected command leaves the deck,
+                            // the journal and other clients untouched
+                            const updated = { ...JSON.parse(JSON.stringify(session[deck])), ...changes };
+                            if (changes.track && changes.track.id !== trackId) deckCues.load(updated);
+                            
+                            try {
+                                applyDeckCommands(updated, { hot_cue, loop, beat_jump });
+                            } catch (err) {
+                                sendWsError(ws, 'deck_update', err.code, err.message);
+                                break;
+                            }
+                            session[deck] = updated;
+                            
+                            const letter = message.deck === 'A' ? 'A' : 'B';
+                            if (synced === false) {
+                                disengageSync(session, letter);
+                            } else if (synced === true || sync_to) {
+                                try {
+                                    engageSync(session, letter, sync_to || undefined);
+                                } catch (err) {
+                                    sendWsError(ws, 'deck_update', err.code, err.message);
+                                }
+                            }
+                            updateSync(session, { announce: synced !== undefined || sync_to !== undefined });
+                            
+                            // A deck starting (or changing) a track puts it on air
+                            const { track, playing } = session[deck];
+                            if (playing && track && track.title && (!wasPlaying || message.data.track)) {
+                                setNowPlaying(track, 'dj_deck').catch(err => {
+                                    console.error('❌ Now playing update failed:', err.message);
+                                });
+                            }
+                            sessionChanged(session);
                             
                             // Broadcast deck update
                             broadcastToSession(sessionId, {
@@ -242,6 +662,62 @@ wss.on('connection', (ws, req) => {
                     }
                     break;
                     
+                case 'cue_update':
+                    // The cue bus is the audio system's, not the session's: only
+                    // owners (and DJ_ADMIN_TOKEN) change it. Every client hears of it.
+                    if (canControl(ws, 'cue_update', 'owner')) {
+                        try {
+                            updateCue(message.data || {});
+                        } catch (err) {
+                            ws.send(JSON.stringify({
+                                type: 'cue_error',
+                                code: err.code,
+                                error: err.message
+                            }));
+                        }
+                    }
+                    break;
+                    
+                case 'subscribe': {
+                    const topics = Array.isArray(message.topics) ? message.topics : [];
+                    const result = topicHub.subscribe(ws, topics, message.max_rate || {});
+                    ws.send(JSON.stringify({
+                        type: 'subscribed',
+                        topics: topicHub.subscriptionsOf(ws),
+                        rates: result.rates,
+                        unknown: result.unknown,
+                        available: topicHub.topicNames
+                    }));
+                    topicHub.sendSnapshots(ws);
+                    break;
+                }
+                    
+                case 'unsubscribe': {
+                    const topics = Array.isArray(message.topics) ? message.topics : topicHub.subscriptionsOf(ws);
+                    topicHub.unsubscribe(ws, topics);
+                    ws.send(JSON.stringify({
+                        type: 'unsubscribed',
+                        topics: topicHub.subscriptionsOf(ws)
+                    }));
+                    break;
+                }
+                    
+                case 'loudness_input': {
+                    const input = pcmInputFormat(message);
+                    if (input.error) {
+                        ws.send(JSON.stringify({ type: 'loudness_input_error', error: input.error }));
+                        break;
+                    }
+                    loudnessInput = input;
+                    ws.send(JSON.stringify({
+                        type: 'loudness_input_ready',
+                        format: input.format,
+                        channels: input.channels,
+                        sample_rate: input.sampleRate
+                    }));
+                    break;
+                }
+                    
                 case 'heartbeat':
                     ws.send(JSON.stringify({ type: 'heartbeat_ack' }));
                     break;
@@ -255,7 +731,8 @@ wss.on('connection', (ws, req) => {
     });
     
     ws.on('close', () => {
-        if (sessionId) {
+        topicHub.remove(ws);
+        if (connectionRoles.delete(ws)) {
             removeConnectionFromSession(sessionId, ws);
         }
         console.log('🔗 WebSocket connection closed');
@@ -272,6 +749,11 @@ wss.on('connection', (ws, req) => {
     }));
 });
 
+// Mixer channels; starts with the classic two decks
+const mixer = new Mixer();
+mixer.addChannel({ id: 'a', type: 'deck' });
+mixer.addChannel({ id: 'b', type: 'deck' });
+
 // Audio system state for microphone and talkover
 let audioSystemState = {
     microphone: {
@@ -289,6 +771,12 @@ let audioSystemState = {
         active: false,
         duck_level: 25.0,
         fade_time: 0.1,
+        curve: 'linear', // 'linear', 'exponential' or 's_curve'
+        attack: null, // seconds to duck; null = fade_time
+        release: null, // seconds to recover; null = fade_time
+        mode: 'manual', // 'voice' ducks only while the mic is above voice_threshold
+        voice_threshold: 20.0,
+        voice_hold: 0.5,
         auto_enable: true,
         original_volume: null
     },
@@ -297,102 +785,186 @@ let audioSystemState = {
         peak_left: 0.0,
         peak_right: 0.0
     },
-    channels: {
-        a: {
-            playing: false,
-            volume: 75.0,
-            peak_left: 0.0,
-            peak_right: 0.0
-        },
-        b: {
-            playing: false,
-            volume: 75.0,
-            peak_left: 0.0,
-            peak_right: 0.0
-        }
-    },
+    channels: mixer.channels, // id -> channel, kept by the mixer
+    cue: mixer.cue, // headphone cue bus, kept by the mixer
     backend_type: 'web_audio' // 'cpp_media_server' or 'web_audio'
 };
 
+// Ramps the music bus for talkover; keeps talkover.gain current
+const duckingEnvelope = new DuckingEnvelope(audioSystemState.talkover);
+
+// Level meters: 'master', 'mic' and one per mixer channel. Channel and mic
+// meters read the input; the master reads the mix.
+const meterBank = new MeterBank();
+
+// Random peak level in dBFS, with the odd hot peak around full scale
+function simulatedPeakDb(min, max) {
+    if (random() < 0.002) return random() * 0.6 - 0.3;
+    return min + random() * (max - min);
+}
+
+// Feed a meter simulated levels: RMS sits `crestDb` below the peak and
+// the true peak up to 0.5 dB above it
+function simulateMeter(meter, peakDb, crestDb) {
+    const rmsDb = {};
+    const truePeakDb = {};
+    ['left', 'right'].forEach(side => {
+        rmsDb[side] = peakDb[side] - crestDb;
+        truePeakDb[side] = peakDb[side] <= METER_FLOOR_DB ? METER_FLOOR_DB : peakDb[side] + random() * 0.5;
+    });
+    meter.simulate(peakDb, rmsDb, truePeakDb, now());
+}
+
+const SILENCE_DB = { left: METER_FLOOR_DB, right: METER_FLOOR_DB };
+
+// Program loudness (EBU R128) of the master bus. Outputs send encoded
+// audio, which isn't decoded here, so the meter reads master PCM sent in
+// over HTTP or WebSocket and otherwise follows the master meter.
+const LOUDNESS_LOG_FILE = process.env.LOUDNESS_LOG_FILE || path.join(__dirname, 'data', 'loudness-shows.json');
+const loudnessMeter = new LoudnessMeter();
+const loudnessMonitor = new LoudnessMonitor({ meter: loudnessMeter, file: LOUDNESS_LOG_FILE });
+loudnessMonitor.on('warning', warning => broadcastToAll({ type: 'loudness_warning', data: warning }));
+loudnessMonitor.on('summary', summary => broadcastToAll({ type: 'loudness_summary', data: summary }));
+
+// Real master samples feed both the master meter and the loudness meter
+function measureMasterPcm(samples, sampleRate) {
+    meterBank.get('master').measurePcm(samples, now());
+    loudnessMeter.configure(sampleRate, samples.length);
+    loudnessMeter.processPcm(samples);
+}
+
+// Loudness of one 100 ms block estimated from the master meter's RMS
+function simulateMasterLoudness(masterMeter) {
+    const energy = Math.pow(10, masterMeter.rms.left / 10) + Math.pow(10, masterMeter.rms.right / 10);
+    loudnessMeter.addSimulatedBlock(-0.691 + 10 * Math.log10(energy), Math.max(masterMeter.truePeak.left, masterMeter.truePeak.right));
+}
+
+// An output that lost its connection mid-stream is still on air while
+// it retries
+function isOnAir(output) {
+    if (output.state.status === 'streaming') return true;
+    const retrying = output.state.status === 'connecting' || Boolean(output.reconnectTimer);
+    return output.resumeStreaming && retrying;
+}
+
+// A show lasts from the first output going on air to the last one leaving
+function updateLoudnessShow() {
+    const onAir = Array.from(streamOutputs.values()).filter(isOnAir);
+    if (onAir.length > 0 && !loudnessMonitor.show) {
+        loudnessMonitor.startShow(now(), onAir.map(output => output.id));
+    } else if (onAir.length === 0 && loudnessMonitor.show) {
+        loudnessMonitor.endShow(now());
+    }
+}
+
 // Simulate streaming statistics updates
 function updateStreamStats() {
-    if (streamState.status === 'streaming') {
-        streamState.bytesSent += Math.floor(Math.random() * 2048) + 1024; // 1-3KB per update
-        streamState.currentBitrate = 128 + Math.random() * 10 - 5; // 123-133 kbps
-        streamState.peakLevelLeft = Math.random() * 0.4 + 0.3; // 0.3-0.7
-        streamState.peakLevelRight = Math.random() * 0.4 + 0.3; // 0.3-0.7
-        
-        // Simulate listener changes
-        if (Math.random() > 0.8) {
-            streamState.currentListeners += Math.floor(Math.random() * 3) - 1;
-            if (streamState.currentListeners < 0) streamState.currentListeners = 0;
-            if (streamState.currentListeners > 100) streamState.currentListeners = 100;
-        }
-        
-        // Update connected time
-        if (streamState.startTime) {
-            streamState.connectedTime = Date.now() - streamState.startTime;
-        }
-    }
+    streamOutputs.forEach(output => output.tick());
 }
 
 // Simulate audio system statistics updates
 function updateAudioStats() {
-    // Simulate microphone levels if enabled
-    if (audioSystemState.microphone.enabled) {
-        audioSystemState.microphone.peak_level = Math.random() * 0.8 + 0.1; // 0.1-0.9
-    } else {
-        audioSystemState.microphone.peak_level = 0.0;
-    }
-    
-    // Simulate channel levels if playing
-    if (audioSystemState.channels.a.playing) {
-        audioSystemState.channels.a.peak_left = Math.random() * 0.7 + 0.2; // 0.2-0.9
-        audioSystemState.channels.a.peak_right = Math.random() * 0.7 + 0.2;
-    } else {
-        audioSystemState.channels.a.peak_left = 0.0;
-        audioSystemState.channels.a.peak_right = 0.0;
+    const time = now();
+    
+    // Sources fed real PCM or engine levels keep their measured levels;
+    // the rest are simulated in dB space. Speech peaks lower and less
+    // steadily than music. On the C++ engine, a source it doesn't report
+    // reads silence rather than made-up levels.
+    const simulating = !usingEngine();
+    const micMeter = meterBank.get('mic');
+    if (!micMeter.isLive(time)) {
+        const peakDb = simulating && audioSystemState.microphone.enabled ? simulatedPeakDb(-18, -3) : METER_FLOOR_DB;
+        simulateMeter(micMeter, { left: peakDb, right: peakDb }, 12);
     }
+    audioSystemState.microphone.peak_level = micMeter.linearPeak('left');
+    
+    mixer.list().forEach(channel => {
+        const meter = meterBank.get(channel.id);
+        if (!meter.isLive(time)) {
+            const peakDb = simulating && channel.playing ?
+                { left: simulatedPeakDb(-20, -3), right: simulatedPeakDb(-20, -3) } : SILENCE_DB;
+            simulateMeter(meter, peakDb, 8 + random() * 6);
+        }
+        channel.peak_left = meter.linearPeak('left');
+        channel.peak_right = meter.linearPeak('right');
+    });
     
-    if (audioSystemState.channels.b.playing) {
-        audioSystemState.channels.b.peak_left = Math.random() * 0.7 + 0.2; // 0.2-0.9
-        audioSystemState.channels.b.peak_right = Math.random() * 0.7 + 0.2;
-    } else {
-        audioSystemState.channels.b.peak_left = 0.0;
-        audioSystemState.channels.b.peak_right = 0.0;
+    // Talkover ducks the music, not the voices on top of it
+    const micLevel = audioSystemState.microphone.enabled ?
+        audioSystemState.microphone.peak_level * (audioSystemState.microphone.gain / 100) : 0;
+    const musicGain = duckingEnvelope.update(now(), micLevel);
+    
+    // Calculate master levels based on the mixer and microphone
+    const mix = mixer.masterLevels(musicGain);
+    const masterMeter = meterBank.get('master');
+    if (!masterMeter.isLive(time)) {
+        // Trim and faders can push the mix past full scale; the meter shows it
+        simulateMeter(masterMeter, {
+            left: toDb(Math.max(mix.left, micLevel)),
+            right: toDb(Math.max(mix.right, micLevel))
+        }, 10);
     }
     
-    // Calculate master levels based on active channels and microphone
-    let masterLeft = Math.max(
-        audioSystemState.channels.a.peak_left * (audioSystemState.channels.a.volume / 100),
-        audioSystemState.channels.b.peak_left * (audioSystemState.channels.b.volume / 100)
-    );
-    let masterRight = Math.max(
-        audioSystemState.channels.a.peak_right * (audioSystemState.channels.a.volume / 100),
-        audioSystemState.channels.b.peak_right * (audioSystemState.channels.b.volume / 100)
-    );
-    
-    // Add microphone to master if enabled
-    if (audioSystemState.microphone.enabled) {
-        const micLevel = audioSystemState.microphone.peak_level * (audioSystemState.microphone.gain / 100);
-        masterLeft = Math.max(masterLeft, micLevel);
-        masterRight = Math.max(masterRight, micLevel);
-    }
+    audioSystemState.master.peak_left = masterMeter.linearPeak('left');
+    audioSystemState.master.peak_right = masterMeter.linearPeak('right');
     
-    // Apply talkover ducking if active
-    if (audioSystemState.talkover.active) {
-        const duckFactor = audioSystemState.talkover.duck_level / 100;
-        masterLeft *= duckFactor;
-        masterRight *= duckFactor;
+    // The cue bus only goes to the headphones, never the master
+    const cue = mixer.cueLevels();
+    const cueMeter = meterBank.get('cue');
+    if (!cueMeter.isLive(time)) {
+        simulateMeter(cueMeter, { left: toDb(cue.left), right: toDb(cue.right) }, 10);
     }
+    mixer.cue.peak_left = cueMeter.linearPeak('left');
+    mixer.cue.peak_right = cueMeter.linearPeak('right');
+    const headphones = mixer.headphoneLevels(
+        { left: mixer.cue.peak_left, right: mixer.cue.peak_right },
+        { left: audioSystemState.master.peak_left, right: audioSystemState.master.peak_right }
+    );
+    mixer.cue.headphones_left = headphones.left;
+    mixer.cue.headphones_right = headphones.right;
     
-    audioSystemState.master.peak_left = masterLeft;
-    audioSystemState.master.peak_right = masterRight;
+    // Master PCM feeds the loudness meter directly; otherwise it follows
+    // the master meter, simulated or from the engine
+    if (!masterMeter.isLive(time) || masterMeter.input !== 'pcm') simulateMasterLoudness(masterMeter);
+    loudnessMonitor.check(time);
 }
 
-// Start stats update intervals
-setInterval(updateStreamStats, 2000);
-setInterval(updateAudioStats, 100); // More frequent for audio levels
+// Start stats update intervals; a loaded scenario drives them instead
+setInterval(() => {
+    if (!scenarioEngine.active) updateStreamStats();
+}, 2000);
+setInterval(() => {
+    if (!scenarioEngine.active) updateAudioStats();
+}, 100); // More frequent for audio levels
+
+// WebSocket topics: clients subscribe instead of polling the REST routes
+const topicHub = new TopicHub({
+    'stream.status': {
+        snapshot: () => Object.fromEntries(Array.from(streamOutputs.values()).map(output => [output.id, output.toJSON()])),
+        intervalMs: 250,
+        maxRate: 4
+    },
+    'audio.levels': {
+        snapshot: audioLevels,
+        intervalMs: 100,
+        maxRate: 10
+    },
+    'audio.loudness': {
+        snapshot: () => loudnessMonitor.toJSON(),
+        intervalMs: 100,
+        maxRate: 10
+    },
+    'video.stats': {
+        snapshot: videoStatsSnapshot,
+        intervalMs: 1000,
+        maxRate: 1
+    }
+});
+
+// Video stats otherwise only advance when /api/video/stats is polled
+setInterval(() => {
+    if (!scenarioEngine.active && topicHub.subscriberCount('video.stats') > 0) updateVideoStats();
+}, 1000);
 
 // Request logging middleware
 app.use((req, res, next) => {
@@ -400,128 +972,910 @@ app.use((req, res, next) => {
     next();
 });
 
-// Routes
+// C++ media server backend. With backend_type 'cpp_media_server' the
+// audio routes listed below forward to the engine and mirror its replies
+// and pushes into audioSystemState; 'web_audio' keeps the in-process
+// simulation.
+const BACKEND_TYPES = ['web_audio', 'cpp_media_server'];
+const engineClient = new EngineClient({
+    url: process.env.CPP_ENGINE_URL || 'http://127.0.0.1:8090',
+    timeoutMs: Number(process.env.CPP_ENGINE_TIMEOUT_MS) || undefined
+});
 
-// Get stream status
-app.get('/api/audio/stream/status', (req, res) => {
-    res.json({
-        success: true,
-        stats: streamState
+function usingEngine() {
+    return audioSystemState.backend_type === 'cpp_media_server';
+}
+
+// Copy the engine's values for keys we already track, so a newer engine
+// can't add fields to our state
+function mirrorKnownKeys(target, source) {
+    if (!source || typeof source !== 'object') return;
+    Object.keys(target).forEach(key => {
+        if (source[key] !== undefined && (target[key] === null || typeof source[key] === typeof target[key])) {
+            target[key] = source[key];
+        }
+    });
+}
+
+// { microphone, talkover, master, channels: { id: channel } }, from a
+// state push or a status reply. Channel levels come from level pushes.
+function mirrorEngineState(state) {
+    mirrorKnownKeys(audioSystemState.microphone, state.microphone);
+    mirrorKnownKeys(audioSystemState.talkover, state.talkover);
+    mirrorKnownKeys(audioSystemState.master, state.master);
+    Object.entries(state.channels || {}).forEach(([id, engineChannel]) => {
+        const channel = mixer.get(id);
+        if (channel) {
+            const { peak_left, peak_right, ...settings } = engineChannel || {};
+            mirrorKnownKeys(channel, settings);
+        }
+    });
+}
+
+// Level pushes: { master, mic, channels: { id: ... } }, each with
+// peak_db / rms_db (and optionally true_peak_db) as { left, right }
+function applyEngineLevels(levels) {
+    if (!usingEngine()) return;
+    const sources = { master: levels.master, mic: levels.mic, ...(levels.channels || {}) };
+    Object.entries(sources).forEach(([source, reading]) => {
+        if (!reading || !reading.peak_db || !isMeterSource(source)) return;
+        meterBank.get(source).measureLevels(reading.peak_db, reading.rms_db || reading.peak_db, reading.true_peak_db, now());
     });
+}
+
+engineClient.on('levels', applyEngineLevels);
+engineClient.on('state', state => {
+    if (usingEngine()) mirrorEngineState(state);
+});
+engineClient.on('events', connected => {
+    broadcastToAll({ type: 'engine_status', data: { connected, engine: engineClient } });
 });
 
-// Connect to stream server
-app.post('/api/audio/stream/connect', (req, res) => {
-    const config = req.body;
+const ENGINE_ERROR_STATUS = {
+    ENGINE_UNAVAILABLE: 503,
+    ENGINE_TIMEOUT: 504,
+    ENGINE_BAD_RESPONSE: 502
+};
+
+// Engine refusals (bad input, wrong state) keep the engine's 4xx; its
+// own failures are a bad gateway
+function sendEngineError(res, action, err) {
+    let status = ENGINE_ERROR_STATUS[err.code] || 502;
+    if (err.code === 'ENGINE_ERROR' && err.status >= 400 && err.status < 500) status = err.status;
     
-    // Validate required fields
-    if (!config.serverHost || !config.serverPort || !config.password) {
-        return res.status(400).json({
-            success: false,
-            error: 'Missing required fields: serverHost, serverPort, password'
-        });
+    res.status(status).json({
+        success: false,
+        action: action,
+        backend_type: 'cpp_media_server',
+        code: err.code,
+        error: err.message,
+        engine_reply: err.body
+    });
+}
+
+// Send a route's request to the engine and mirror the reply, which has
+// the same shape as the web_audio response
+async function forwardToEngine(req, res, action) {
+    let body = req.method === 'GET' ? undefined : (req.body || {});
+    if (req.path === '/api/audio/stream/connect') {
+        // Presets live here, not in the engine
+        body = resolveEncoderConfig(req.body, res, action);
+        if (!body) return;
     }
     
-    // Store configuration
-    streamState.config = config;
-    streamState.status = 'connected';
-    streamState.statusMessage = `Connected to ${config.serverHost}:${config.serverPort}`;
-    streamState.startTime = Date.now();
-    streamState.connectedTime = 0;
-    streamState.bytesSent = 0;
+    let reply;
+    try {
+        reply = await engineClient.request(req.method, req.originalUrl, body);
+    } catch (err) {
+        console.error(`❌ C++ engine ${req.method} ${req.path}: ${err.message}`);
+        return sendEngineError(res, action, err);
+    }
     
-    console.log(`✅ Connected to ${config.protocol} server: ${config.serverHost}:${config.serverPort}`);
-    console.log(`🎵 Mount: ${config.mountPoint}, Codec: ${config.codec}, Bitrate: ${config.bitrate}kbps`);
+    mirrorEngineState({
+        microphone: req.path === '/api/audio/microphone/gain' ? { gain: reply.gain } : reply.microphone,
+        talkover: reply.talkover,
+        master: typeof reply.master_volume === 'number' ? { volume: reply.master_volume } : reply.master,
+        channels: reply.channel && reply.channel.id ? { [reply.channel.id]: reply.channel } : undefined
+    });
     
-    res.json({
-        success: true,
-        action: 'stream_connect',
-        status: 'connected'
+    res.json({ ...reply, backend_type: 'cpp_media_server' });
+}
+
+// Routes the engine takes over in cpp_media_server mode
+const ENGINE_ROUTES = [
+    ['post', '/api/audio/microphone/start', 'microphone_start'],
+    ['post', '/api/audio/microphone/stop', 'microphone_stop'],
+    ['post', '/api/audio/microphone/gain', 'microphone_gain_set'],
+    ['post', '/api/audio/talkover/enable', 'talkover_enable_failed'],
+    ['post', '/api/audio/talkover/disable', 'talkover_disable_failed'],
+    ['put', '/api/audio/talkover', 'talkover_update'],
+    ['post', '/api/audio/channel/:channel/play', 'channel_play'],
+    ['post', '/api/audio/channel/:channel/stop', 'channel_stop'],
+    ['post', '/api/audio/channel/:channel/volume', 'channel_volume_set'],
+    ['post', '/api/audio/master/volume', 'master_volume_set'],
+    ['get', '/api/audio/stream/status', 'stream_status'],
+    ['post', '/api/audio/stream/connect', 'stream_connect'],
+    ['post', '/api/audio/stream/disconnect', 'stream_disconnect'],
+    ['post', '/api/audio/stream/start', 'streaming_start'],
+    ['post', '/api/audio/stream/stop', 'streaming_stop']
+];
+
+const engineRoutes = express.Router();
+ENGINE_ROUTES.forEach(([method, route, action]) => {
+    engineRoutes[method](route, (req, res, next) => {
+        if (!usingEngine()) return next();
+        return forwardToEngine(req, res, action).catch(next);
     });
 });
+app.use(engineRoutes);
 
-// Disconnect from stream server
-app.post('/api/audio/stream/disconnect', (req, res) => {
-    streamState.status = 'disconnected';
-    streamState.statusMessage = 'Disconnected';
-    streamState.currentListeners = 0;
-    streamState.bytesSent = 0;
-    streamState.startTime = null;
-    streamState.config = null;
-    
-    console.log('🔌 Disconnected from stream server');
-    
+// Switch backends. Switching to the engine checks it answers and takes
+// its current state.
+async function setBackendType(type) {
+    if (type === 'cpp_media_server') {
+        const reply = await engineClient.request('GET', '/api/audio/system/status');
+        mirrorEngineState(reply.audio_system || {});
+        engineClient.start();
+    } else {
+        engineClient.stop();
+    }
+    audioSystemState.backend_type = type;
+    console.log(`🔌 Audio backend: ${type}`);
+}
+
+if (process.env.AUDIO_BACKEND === 'cpp_media_server') {
+    setBackendType('cpp_media_server').catch(err => {
+        // Start in engine mode anyway; commands fail cleanly until it's up
+        console.error(`❌ C++ engine not ready: ${err.message}`);
+        audioSystemState.backend_type = 'cpp_media_server';
+        engineClient.start();
+    });
+}
+
+app.get('/api/audio/backend', (req, res) => {
     res.json({
         success: true,
-        action: 'stream_disconnect',
-        status: 'disconnected'
+        backend_type: audioSystemState.backend_type,
+        available: BACKEND_TYPES,
+        engine: engineClient
     });
 });
 
-// Start streaming
-app.post('/api/audio/stream/start', (req, res) => {
-    if (streamState.status === 'connected') {
-        streamState.status = 'streaming';
-        streamState.statusMessage = 'Streaming live';
-        streamState.currentListeners = Math.floor(Math.random() * 20) + 5; // 5-25 initial listeners
-        
-        console.log('🔴 Started live streaming!');
-        console.log(`📊 Initial listeners: ${streamState.currentListeners}`);
-        
-        res.json({
-            success: true,
-            action: 'streaming_start',
-            status: 'streaming'
-        });
-    } else {
-        res.status(400).json({
+app.put('/api/audio/backend', async (req, res) => {
+    const { backend_type, engine_url, timeout_ms } = req.body || {};
+    
+    if (!BACKEND_TYPES.includes(backend_type)) {
+        return res.status(400).json({
             success: false,
-            action: 'streaming_start',
-            error: 'Not connected to server'
+            action: 'backend_update',
+            error: `backend_type must be one of: ${BACKEND_TYPES.join(', ')}`
         });
     }
-});
-
-// Stop streaming
-app.post('/api/audio/stream/stop', (req, res) => {
-    if (streamState.status === 'streaming') {
-        streamState.status = 'connected';
-        streamState.statusMessage = 'Streaming stopped, still connected';
-        streamState.currentListeners = 0;
-        
-        console.log('⏹️ Stopped streaming');
-        
-        res.json({
-            success: true,
-            action: 'streaming_stop',
-            status: 'connected'
+    if (engine_url !== undefined && !/^https?:\/\/[^/]+/.test(engine_url)) {
+        return res.status(400).json({
+            success: false,
+            action: 'backend_update',
+            error: 'engine_url must be an http:// URL'
         });
-    } else {
-        res.status(400).json({
+    }
+    if (timeout_ms !== undefined && !(typeof timeout_ms === 'number' && timeout_ms >= 100 && timeout_ms <= 30000)) {
+        return res.status(400).json({
             success: false,
-            action: 'streaming_stop',
-            error: 'Not currently streaming'
+            action: 'backend_update',
+            error: 'timeout_ms must be a number between 100 and 30000'
         });
     }
-});
-
-// Update metadata
-app.post('/api/audio/stream/metadata', (req, res) => {
-    const { artist, title } = req.body;
     
-    streamState.currentTrack.artist = artist || 'Unknown Artist';
-    streamState.currentTrack.title = title || 'Unknown Track';
+    if (engine_url !== undefined && engine_url !== engineClient.url) {
+        engineClient.stop();
+        engineClient.url = engine_url;
+    }
+    if (timeout_ms !== undefined) engineClient.timeoutMs = timeout_ms;
+    
+    try {
+        await setBackendType(backend_type);
+    } catch (err) {
+        if (usingEngine()) engineClient.start(); // still on the engine; keep its pushes
+        return sendEngineError(res, 'backend_update', err);
+    }
+    
+    res.json({
+        success: true,
+        action: 'backend_updated',
+        backend_type: audioSystemState.backend_type,
+        engine: engineClient
+    });
+});
+
+// Routes
+
+// Get stream status
+app.get('/api/audio/stream/status', (req, res) => {
+    res.json({
+        success: true,
+        stats: defaultOutput()
+    });
+});
+
+// Output errors carry a `code`; connection failures are upstream (502)
+const OUTPUT_ERROR_STATUS = {
+    INVALID_CONFIG: 400,
+    NOT_CONNECTED: 400,
+    NOT_STREAMING: 400,
+    MOUNT_IN_USE: 409,
+    CONNECT_CANCELLED: 409
+};
+
+function sendOutputError(res, action, output, err) {
+    res.status(OUTPUT_ERROR_STATUS[err.code] || 502).json({
+        success: false,
+        action: action,
+        status: output.state.status,
+        code: err.code,
+        error: err.message,
+        fields: err.fields,
+        retrying: Boolean(err.retrying),
+        nextReconnectAt: output.state.nextReconnectAt
+    });
+}
+
+async function connectOutput(output, config, res) {
+    try {
+        await output.connect(config);
+    } catch (err) {
+        return sendOutputError(res, 'stream_connect', output, err);
+    }
+    
+    res.json({
+        success: true,
+        action: 'stream_connect',
+        status: output.state.status,
+        live: output.state.live,
+        server: output.state.server
+    });
+}
+
+// Stream a request body into an output. The body is relayed as it arrives,
+// e.g. `curl -X POST -T show.mp3 .../api/audio/stream/data`
+function pipeAudioToOutput(output, req, res) {
+    if (!output.mount || output.state.status !== 'streaming') {
+        req.resume();
+        return res.status(409).json({
+            success: false,
+            action: 'stream_data',
+            error: 'Not currently streaming'
+        });
+    }
+    
+    let received = 0;
+    
+    const onDrain = () => req.resume();
+    output.on('drain', onDrain);
+    
+    req.on('data', (chunk) => {
+        received += chunk.length;
+        if (!output.write(chunk)) {
+            req.pause();
+        }
+    });
+    
+    req.on('end', () => {
+        output.off('drain', onDrain);
+        res.json({
+            success: true,
+            action: 'stream_data',
+            output_id: output.id,
+            bytes_received: received,
+            bytes_sent: output.bytesWritten,
+            listeners: output.state.currentListeners
+        });
+    });
+    
+    req.on('close', () => output.off('drain', onDrain));
+}
+
+function sendConfigError(res, action, fields) {
+    res.status(400).json({
+        success: false,
+        action: action,
+        code: 'INVALID_CONFIG',
+        error: `Invalid encoder configuration: ${Object.keys(fields).join(', ')}`,
+        fields: fields
+    });
+}
+
+// Encoder config schema, for client-side validation of the connect form
+app.get('/api/audio/config/schema', (req, res) => {
+    res.json({
+        success: true,
+        schema: encoderConfigSchema()
+    });
+});
+
+// Saved encoder presets, so clients can connect without resending passwords
+const PRESETS_FILE = process.env.PRESETS_FILE || path.join(__dirname, 'data', 'presets.json');
+const presetStore = new PresetStore(PRESETS_FILE);
+
+const PRESET_ERROR_STATUS = {
+    INVALID_NAME: 400,
+    NAME_TAKEN: 409
+};
+
+function sendPresetNotFound(res, action, id) {
+    res.status(404).json({
+        success: false,
+        action: action,
+        code: 'PRESET_NOT_FOUND',
+        error: `Preset "${id}" not found`
+    });
+}
+
+// Config for a connect/create body: either a full config or `{ preset_id }`
+// plus optional overrides. Sends a 404 and returns null for unknown presets.
+function resolveEncoderConfig(body, res, action) {
+    const { preset_id, ...overrides } = body || {};
+    if (!preset_id) return body;
+    
+    if (!presetStore.get(preset_id)) {
+        sendPresetNotFound(res, action, preset_id);
+        return null;
+    }
+    return presetStore.mergeConfig(preset_id, overrides);
+}
+
+// Connect to stream server
+app.post('/api/audio/stream/connect', (req, res) => {
+    const config = resolveEncoderConfig(req.body, res, 'stream_connect');
+    if (!config) return;
+    
+    return connectOutput(defaultOutput(), config, res);
+});
+
+// List presets (passwords masked)
+app.get('/api/audio/presets', (req, res) => {
+    const presets = presetStore.list().map(PresetStore.toJSON);
+    
+    res.json({
+        success: true,
+        presets: presets,
+        total: presets.length
+    });
+});
+
+// Save a preset
+app.post('/api/audio/presets', (req, res) => {
+    const { name, description, config } = req.body;
+    
+    if (!name || !config) {
+        return res.status(400).json({
+            success: false,
+            action: 'preset_create',
+            error: 'name and config are required'
+        });
+    }
+    
+    const validation = validateEncoderConfig(config);
+    if (!validation.valid) {
+        return sendConfigError(res, 'preset_create', validation.fields);
+    }
+    
+    let preset;
+    try {
+        preset = presetStore.create({ name, description, config: validation.config });
+    } catch (err) {
+        return sendPresetError(res, 'preset_create', err);
+    }
+    
+    console.log(`💾 Saved preset ${preset.name} (${preset.id})`);
+    
+    res.json({
+        success: true,
+        action: 'preset_created',
+        preset: PresetStore.toJSON(preset)
+    });
+});
+
+// Get preset by ID
+app.get('/api/audio/presets/:id', (req, res) => {
+    const preset = presetStore.get(req.params.id);
+    if (!preset) return sendPresetNotFound(res, 'preset_get', req.params.id);
+    
+    res.json({
+        success: true,
+        preset: PresetStore.toJSON(preset)
+    });
+});
+
+// Update a preset. Config fields are merged; sending back the masked
+// password keeps the saved one.
+app.put('/api/audio/presets/:id', (req, res) => {
+    const preset = presetStore.get(req.params.id);
+    if (!preset) return sendPresetNotFound(res, 'preset_update', req.params.id);
+    
+    const { name, description, config } = req.body;
+    let validConfig;
+    if (config) {
+        const validation = validateEncoderConfig(presetStore.mergeConfig(preset.id, config));
+        if (!validation.valid) {
+            return sendConfigError(res, 'preset_update', validation.fields);
+        }
+        validConfig = validation.config;
+    }
+    
+    try {
+        presetStore.update(preset.id, { name, description, config: validConfig });
+    } catch (err) {
+        return sendPresetError(res, 'preset_update', err);
+    }
+    
+    console.log(`💾 Updated preset ${preset.name} (${preset.id})`);
+    
+    res.json({
+        success: true,
+        action: 'preset_updated',
+        preset: PresetStore.toJSON(preset)
+    });
+});
+
+// Delete a preset; outputs already connected with it keep running
+app.delete('/api/audio/presets/:id', (req, res) => {
+    const preset = presetStore.get(req.params.id);
+    if (!preset) return sendPresetNotFound(res, 'preset_delete', req.params.id);
+    
+    try {
+        presetStore.delete(preset.id);
+    } catch (err) {
+        return sendPresetError(res, 'preset_delete', err);
+    }
+    
+    console.log(`💾 Deleted preset ${preset.name} (${preset.id})`);
+    
+    res.json({
+        success: true,
+        action: 'preset_deleted',
+        preset_id: preset.id
+    });
+});
+
+// Name problems are the client's; anything else is the presets file
+function sendPresetError(res, action, err) {
+    res.status(PRESET_ERROR_STATUS[err.code] || 500).json({
+        success: false,
+        action: action,
+        code: err.code,
+        error: err.message
+    });
+}
+
+// Disconnect from stream server
+app.post('/api/audio/stream/disconnect', (req, res) => {
+    defaultOutput().disconnect();
+    
+    res.json({
+        success: true,
+        action: 'stream_disconnect',
+        status: 'disconnected'
+    });
+});
+
+// Start streaming
+app.post('/api/audio/stream/start', (req, res) => {
+    const output = defaultOutput();
+    
+    try {
+        output.start();
+    } catch (err) {
+        return res.status(400).json({
+            success: false,
+            action: 'streaming_start',
+            error: err.message
+        });
+    }
+    
+    res.json({
+        success: true,
+        action: 'streaming_start',
+        status: 'streaming'
+    });
+});
+
+// Stop streaming
+app.post('/api/audio/stream/stop', (req, res) => {
+    const output = defaultOutput();
+    
+    try {
+        output.stop();
+    } catch (err) {
+        return res.status(400).json({
+            success: false,
+            action: 'streaming_stop',
+            error: err.message
+        });
+    }
+    
+    res.json({
+        success: true,
+        action: 'streaming_stop',
+        status: 'connected'
+    });
+});
+
+// Push encoded audio into the default output's mount. It is relayed to
+// listeners on /stream/:mount and, in live mode, to the remote server.
+app.post('/api/audio/stream/data', (req, res) => {
+    pipeAudioToOutput(defaultOutput(), req, res);
+});
+
+// Listener endpoint, playable in mpv/VLC: `mpv http://localhost:5001/stream/live`
+app.get('/stream/:mount', (req, res) => {
+    const mount = listenerMounts.get(req.params.mount);
+    const output = Array.from(streamOutputs.values()).find(o => o.mount === mount);
+    
+    if (!mount || !output) {
+        return res.status(404).json({
+            success: false,
+            error: 'Mount not found',
+            message: `No source is connected to /${req.params.mount}`
+        });
+    }
+    
+    const config = output.config || {};
+    mount.attachListener(req, res, {
+        codec: config.codec,
+        bitrate: config.bitrate,
+        name: config.name,
+        genre: config.genre,
+        description: config.description,
+        public: config.public
+    });
+    
+    console.log(`🎧 Listener joined /${mount.name} (${mount.clientCount} connected)`);
+});
+
+// HLS: live playlist and segments for each output's mount
+function findHlsOutput(req, res) {
+    const output = Array.from(streamOutputs.values()).find(o => o.hls && o.mountName === req.params.mount);
+    if (!output) {
+        res.status(404).json({
+            success: false,
+            error: 'HLS stream not found',
+            message: `No HLS output for /${req.params.mount} (needs a connected mp3 or aac output)`
+        });
+    }
+    return output;
+}
+
+// Players on web pages fetch these cross-origin
+function hlsHeaders(req, res, next) {
+    res.set('Access-Control-Allow-Origin', '*');
+    next();
+}
+
+app.get('/hls/:mount/index.m3u8', hlsHeaders, (req, res) => {
+    const output = findHlsOutput(req, res);
+    if (!output) return;
+    
+    res.set('Cache-Control', 'no-cache');
+    res.type('application/vnd.apple.mpegurl').send(output.hls.playlist());
+});
+
+app.get('/hls/:mount/:segment', hlsHeaders, (req, res) => {
+    const output = findHlsOutput(req, res);
+    if (!output) return;
+    
+    const segment = output.hls.segment(req.params.segment);
+    if (!segment) {
+        return res.status(404).json({
+            success: false,
+            error: 'Segment not found',
+            message: 'The segment is outside the DVR window'
+        });
+    }
+    
+    // Segments never change once published
+    res.set('Cache-Control', `public, max-age=${output.hls.dvrSeconds}`);
+    res.type(output.hls.contentType).send(segment.data);
+});
+
+// Update metadata
+app.post('/api/audio/stream/metadata', async (req, res) => {
+    const { artist, title, source = 'manual' } = req.body;
+    
+    if (!PLAY_SOURCES.includes(source)) {
+        return res.status(400).json({
+            success: false,
+            error: `source must be one of: ${PLAY_SOURCES.join(', ')}`
+        });
+    }
+    
+    const { entry, outputUpdates } = await setNowPlaying({ artist, title }, source);
+    
+    res.json({
+        success: true,
+        action: 'metadata_update',
+        artist: currentTrack.artist,
+        title: currentTrack.title,
+        history_entry: playHistory.describe(entry),
+        server_update: outputUpdates[DEFAULT_OUTPUT_ID] || null,
+        outputs: outputUpdates
+    });
+});
+
+// Now-playing history
+// ===================
+
+const HISTORY_PAGE_SIZE = 20;
+const HISTORY_MAX_PAGE_SIZE = 100;
+
+function queryCount(value, fallback, max) {
+    const count = parseInt(value, 10);
+    return count > 0 ? Math.min(count, max) : fallback;
+}
+
+// Feeds are fetched straight from station websites and apps
+function publicFeed(req, res, next) {
+    res.set('Access-Control-Allow-Origin', '*');
+    res.set('Cache-Control', 'public, max-age=10');
+    next();
+}
+
+function stationName() {
+    return process.env.STATION_NAME || 'OneStopRadio';
+}
+
+// Paged play history, newest first
+app.get('/api/audio/history', (req, res) => {
+    const limit = queryCount(req.query.limit, HISTORY_PAGE_SIZE, HISTORY_MAX_PAGE_SIZE);
+    const offset = Math.max(0, parseInt(req.query.offset, 10) || 0);
+    
+    res.json({
+        success: true,
+        history: playHistory.page(offset, limit),
+        total: playHistory.total,
+        limit,
+        offset,
+        has_more: offset + limit < playHistory.total
+    });
+});
+
+// RSS 2.0 "recently played" feed
+app.get('/api/audio/history/rss', publicFeed, (req, res) => {
+    const base = `${req.protocol}://${req.get('host')}`;
+    
+    res.type('application/rss+xml').send(playHistory.toRss({
+        title: `${stationName()} - Recently Played`,
+        link: base,
+        selfUrl: `${base}${req.originalUrl}`,
+        description: `Tracks recently played on ${stationName()}`,
+        count: queryCount(req.query.limit, HISTORY_PAGE_SIZE, HISTORY_MAX_PAGE_SIZE)
+    }));
+});
+
+// Compact widget feed: what's on now plus the last N tracks
+app.get('/api/audio/now-playing', publicFeed, (req, res) => {
+    const count = queryCount(req.query.count, 5, 50);
+    const current = playHistory.current;
+    const recent = playHistory.recent(count + 1)
+        .filter(entry => !current || entry.id !== current.id)
+        .slice(0, count)
+        .map(({ artist, title, started_at, ended_at }) => ({ artist, title, started_at, ended_at }));
+    
+    res.json({
+        station: stationName(),
+        now_playing: current ? {
+            artist: current.artist,
+            title: current.title,
+            started_at: current.started_at,
+            elapsed_seconds: playHistory.describe(current).duration_seconds
+        } : null,
+        recent,
+        listeners: totalListeners(),
+        live: defaultOutput().state.status === 'streaming'
+    });
+});
+
+// Encoder Output Endpoints
+// ========================
+
+function findOutput(req, res) {
+    const output = streamOutputs.get(req.params.id);
+    if (!output) {
+        res.status(404).json({
+            success: false,
+            error: 'Output not found'
+        });
+    }
+    return output;
+}
+
+// List all outputs
+app.get('/api/audio/outputs', (req, res) => {
+    const outputs = Array.from(streamOutputs.values());
+    
+    res.json({
+        success: true,
+        outputs: outputs,
+        total_outputs: outputs.length,
+        streaming_outputs: outputs.filter(o => o.state.status === 'streaming').length
+    });
+});
+
+// Create output
+app.post('/api/audio/outputs', (req, res) => {
+    const { id = `output_${Date.now()}`, preset_id } = req.body;
+    const preset = preset_id ? presetStore.get(preset_id) : null;
+    const name = req.body.name || (preset && preset.name);
+    
+    if (preset_id && !preset) {
+        return sendPresetNotFound(res, 'output_create', preset_id);
+    }
+    const config = preset ? presetStore.mergeConfig(preset.id, req.body.config || {}) : req.body.config;
+    
+    if (!name || !config) {
+        return res.status(400).json({
+            success: false,
+            error: 'name and config (or preset_id) are required'
+        });
+    }
+    
+    if (streamOutputs.has(id)) {
+        return res.status(409).json({
+            success: false,
+            error: `Output "${id}" already exists`
+        });
+    }
+    
+    const validation = validateEncoderConfig(config);
+    if (!validation.valid) {
+        return sendConfigError(res, 'output_create', validation.fields);
+    }
+    
+    const output = createStreamOutput(id, name, validation.config);
+    
+    const { codec, bitrate, serverHost, serverPort, mountPoint = '' } = validation.config;
+    console.log(`🎚️ Created output ${name} (${id}): ${codec}${bitrate ? ` ${bitrate}kbps` : ''} -> ${serverHost}:${serverPort}${mountPoint}`);
+    
+    res.json({
+        success: true,
+        action: 'output_created',
+        output: output
+    });
+});
+
+// Get output by ID
+app.get('/api/audio/outputs/:id', (req, res) => {
+    const output = findOutput(req, res);
+    if (!output) return;
+    
+    res.json({
+        success: true,
+        output: output
+    });
+});
+
+// Update output name/config; a new config applies on the next connect
+app.put('/api/audio/outputs/:id', (req, res) => {
+    const output = findOutput(req, res);
+    if (!output) return;
+    
+    const { name, config } = req.body;
+    if (config) {
+        const validation = validateEncoderConfig(mergeSecrets(output.config, config));
+        if (!validation.valid) {
+            return sendConfigError(res, 'output_update', validation.fields);
+        }
+        output.config = validation.config;
+    }
+    if (name) output.name = name;
+    
+    console.log(`🎚️ Updated output ${output.id}`);
+    
+    res.json({
+        success: true,
+        action: 'output_updated',
+        output: output,
+        restart_required: Boolean(config) && output.state.status !== 'disconnected'
+    });
+});
+
+// Remove output
+app.delete('/api/audio/outputs/:id', (req, res) => {
+    const output = findOutput(req, res);
+    if (!output) return;
+    
+    if (output.id === DEFAULT_OUTPUT_ID) {
+        return res.status(400).json({
+            success: false,
+            error: 'The default output cannot be removed'
+        });
+    }
+    
+    output.disconnect();
+    streamOutputs.delete(output.id);
+    
+    console.log(`🎚️ Removed output ${output.id}`);
+    
+    res.json({
+        success: true,
+        action: 'output_removed',
+        output_id: output.id
+    });
+});
+
+// Connect (if needed) and start streaming an output
+app.post('/api/audio/outputs/:id/start', async (req, res) => {
+    const output = findOutput(req, res);
+    if (!output) return;
+    
+    if (output.state.status === 'streaming') {
+        return res.json({
+            success: true,
+            action: 'output_start',
+            output: output
+        });
+    }
+    
+    try {
+        if (output.state.status !== 'connected') {
+            await output.connect();
+        }
+        output.start();
+    } catch (err) {
+        return sendOutputError(res, 'output_start', output, err);
+    }
+    
+    res.json({
+        success: true,
+        action: 'output_start',
+        output: output
+    });
+});
+
+// Stop streaming and disconnect an output
+app.post('/api/audio/outputs/:id/stop', (req, res) => {
+    const output = findOutput(req, res);
+    if (!output) return;
     
-    console.log(`🎵 Metadata updated: ${streamState.currentTrack.artist} - ${streamState.currentTrack.title}`);
+    output.disconnect();
     
     res.json({
         success: true,
-        action: 'metadata_update',
-        artist: streamState.currentTrack.artist,
-        title: streamState.currentTrack.title
+        action: 'output_stop',
+        output: output
+    });
+});
+
+// Drop an output's connection to exercise the reconnect flow; `fail_attempts`
+// makes that many mock reconnects fail before one succeeds
+app.post('/api/audio/outputs/:id/simulate-drop', (req, res) => {
+    const output = findOutput(req, res);
+    if (!output) return;
+    
+    const { reason, fail_attempts = 0 } = req.body;
+    
+    try {
+        output.simulateDrop(reason, fail_attempts);
+    } catch (err) {
+        return sendOutputError(res, 'output_simulate_drop', output, err);
+    }
+    
+    console.log(`💥 Simulated connection drop on output ${output.id}`);
+    
+    res.json({
+        success: true,
+        action: 'output_simulate_drop',
+        output: output
     });
 });
 
+// Push encoded audio into an output's mount
+app.post('/api/audio/outputs/:id/data', (req, res) => {
+    const output = findOutput(req, res);
+    if (!output) return req.resume();
+    
+    pipeAudioToOutput(output, req, res);
+});
+
 // Audio System Endpoints
 // ======================
 
@@ -536,7 +1890,9 @@ app.get('/api/audio/system/status', (req, res) => {
             talkover: audioSystemState.talkover,
             master: audioSystemState.master,
             channels: audioSystemState.channels,
+            mixer: mixer,
             backend_type: audioSystemState.backend_type,
+            engine: usingEngine() ? engineClient : null,
             timestamp: new Date().toISOString()
         }
     });
@@ -620,8 +1976,6 @@ app.post('/api/audio/microphone/gain', (req, res) => {
 
 // Talkover control endpoints
 app.post('/api/audio/talkover/enable', (req, res) => {
-    const { duck_level = 25.0, fade_time = 0.1 } = req.body;
-    
     if (!audioSystemState.microphone.enabled) {
         return res.status(400).json({
             success: false,
@@ -630,17 +1984,26 @@ app.post('/api/audio/talkover/enable', (req, res) => {
         });
     }
     
+    try {
+        applyTalkoverSettings(audioSystemState.talkover, req.body);
+    } catch (err) {
+        return res.status(400).json({
+            success: false,
+            action: 'talkover_enable_failed',
+            code: err.code,
+            error: err.message
+        });
+    }
+    
     // Store original volume before ducking
     if (audioSystemState.talkover.original_volume === null) {
         audioSystemState.talkover.original_volume = audioSystemState.master.volume;
     }
     
     audioSystemState.talkover.enabled = true;
-    audioSystemState.talkover.active = true;
-    audioSystemState.talkover.duck_level = Math.max(0, Math.min(100, duck_level));
-    audioSystemState.talkover.fade_time = Math.max(0.0, fade_time);
+    audioSystemState.talkover.active = audioSystemState.talkover.mode !== 'voice';
     
-    console.log(`🎤 Talkover enabled - Ducking to ${audioSystemState.talkover.duck_level}%`);
+    console.log(`🎤 Talkover enabled (${audioSystemState.talkover.mode}) - Ducking to ${audioSystemState.talkover.duck_level}%`);
     
     res.json({
         success: true,
@@ -664,110 +2027,532 @@ app.post('/api/audio/talkover/disable', (req, res) => {
     
     res.json({
         success: true,
-        action: 'talkover_disabled',
-        talkover: audioSystemState.talkover,
-        master_volume: audioSystemState.master.volume
+        action: 'talkover_disabled',
+        talkover: audioSystemState.talkover,
+        master_volume: audioSystemState.master.volume
+    });
+});
+
+// Change ducking settings without engaging talkover; a running fade keeps
+// its shape and the new settings apply from the next one
+app.put('/api/audio/talkover', (req, res) => {
+    try {
+        applyTalkoverSettings(audioSystemState.talkover, req.body);
+    } catch (err) {
+        return res.status(400).json({
+            success: false,
+            action: 'talkover_update',
+            code: err.code,
+            error: err.message
+        });
+    }
+    
+    res.json({
+        success: true,
+        action: 'talkover_updated',
+        talkover: audioSystemState.talkover
+    });
+});
+
+// Channel control endpoints (for mixer integration)
+function findChannel(req, res) {
+    const channel = mixer.get(req.params.channel);
+    if (!channel) {
+        res.status(404).json({
+            success: false,
+            error: `Channel "${req.params.channel}" not found`,
+            channels: Object.keys(mixer.channels)
+        });
+    }
+    return channel;
+}
+
+// Mixer errors are bad input, except a clashing id or a missing channel
+const MIXER_ERROR_STATUS = {
+    CHANNEL_EXISTS: 409,
+    CHANNEL_NOT_FOUND: 404
+};
+
+function sendMixerError(res, action, err) {
+    res.status(MIXER_ERROR_STATUS[err.code] || 400).json({
+        success: false,
+        action: action,
+        code: err.code,
+        error: err.message
+    });
+}
+
+app.post('/api/audio/channel/:channel/play', (req, res) => {
+    const channel = findChannel(req, res);
+    if (!channel) return;
+    
+    mixer.updateChannel(channel.id, { playing: true });
+    
+    console.log(`▶️ Channel ${channel.id.toUpperCase()} started playing`);
+    
+    res.json({
+        success: true,
+        action: `channel_${channel.id}_play`,
+        channel: channel
+    });
+});
+
+app.post('/api/audio/channel/:channel/stop', (req, res) => {
+    const channel = findChannel(req, res);
+    if (!channel) return;
+    
+    mixer.updateChannel(channel.id, { playing: false });
+    
+    console.log(`⏹️ Channel ${channel.id.toUpperCase()} stopped`);
+    
+    res.json({
+        success: true,
+        action: `channel_${channel.id}_stop`,
+        channel: channel
+    });
+});
+
+app.post('/api/audio/channel/:channel/volume', (req, res) => {
+    const channel = findChannel(req, res);
+    if (!channel) return;
+    const { volume } = req.body;
+    
+    if (typeof volume !== 'number' || volume < 0 || volume > 100) {
+        return res.status(400).json({
+            success: false,
+            error: 'Volume must be a number between 0 and 100'
+        });
+    }
+    
+    mixer.updateChannel(channel.id, { volume });
+    
+    console.log(`🔊 Channel ${channel.id.toUpperCase()} volume set to ${volume}%`);
+    
+    res.json({
+        success: true,
+        action: `channel_${channel.id}_volume_set`,
+        channel: channel
+    });
+});
+
+// Headphone cue bus: PFL channels, cue/master mix, split cue, volume.
+// Every change goes to all clients as cue_updated.
+function updateCue(changes) {
+    mixer.setCue(changes);
+    const cue = mixer.cueState();
+    broadcastToAll({ type: 'cue_updated', data: cue });
+    console.log(`🎧 Cue: ${cue.channels.join(', ') || 'no channels'} (mix ${cue.mix}${cue.split ? ', split' : ''}, volume ${cue.volume}%)`);
+    return cue;
+}
+
+app.get('/api/audio/cue', (req, res) => {
+    res.json({
+        success: true,
+        cue: mixer.cueState()
+    });
+});
+
+app.put('/api/audio/cue', (req, res) => {
+    let cue;
+    try {
+        cue = updateCue(req.body || {});
+    } catch (err) {
+        return sendMixerError(res, 'cue_update', err);
+    }
+    
+    res.json({
+        success: true,
+        action: 'cue_updated',
+        cue: cue
+    });
+});
+
+// Toggle a channel's PFL, or set it with { "enabled": true|false }
+app.post('/api/audio/channel/:channel/cue', (req, res) => {
+    const channel = findChannel(req, res);
+    if (!channel) return;
+    const { enabled = !channel.pfl } = req.body || {};
+    
+    let cue;
+    try {
+        cue = updateCue({ channels: { [channel.id]: enabled } });
+    } catch (err) {
+        return sendMixerError(res, `channel_${channel.id}_cue`, err);
+    }
+    
+    res.json({
+        success: true,
+        action: `channel_${channel.id}_cue_${channel.pfl ? 'on' : 'off'}`,
+        channel: channel,
+        cue: cue
+    });
+});
+
+// Mixer layout and crossfader
+app.get('/api/audio/mixer', (req, res) => {
+    const master = mixer.masterLevels();
+    
+    res.json({
+        success: true,
+        mixer: mixer,
+        master_levels: { left: master.left * 100, right: master.right * 100 }
+    });
+});
+
+app.put('/api/audio/mixer', (req, res) => {
+    try {
+        if (req.body.crossfader !== undefined) mixer.setCrossfader(req.body.crossfader);
+    } catch (err) {
+        return sendMixerError(res, 'mixer_update', err);
+    }
+    
+    res.json({
+        success: true,
+        action: 'mixer_updated',
+        mixer: mixer
+    });
+});
+
+// Mixer channel CRUD
+app.get('/api/audio/mixer/channels', (req, res) => {
+    res.json({
+        success: true,
+        channels: mixer.list(),
+        total_channels: mixer.list().length
+    });
+});
+
+app.post('/api/audio/mixer/channels', (req, res) => {
+    let channel;
+    try {
+        channel = mixer.addChannel(req.body);
+    } catch (err) {
+        return sendMixerError(res, 'channel_create', err);
+    }
+    
+    console.log(`🎚️ Added ${channel.type} channel ${channel.id} (${channel.label})`);
+    
+    res.json({
+        success: true,
+        action: 'channel_created',
+        channel: channel
+    });
+});
+
+app.get('/api/audio/mixer/channels/:channel', (req, res) => {
+    const channel = findChannel(req, res);
+    if (!channel) return;
+    
+    res.json({
+        success: true,
+        channel: channel
+    });
+});
+
+// Update type, label, volume, gain, muted, solo, crossfader or playing
+app.put('/api/audio/mixer/channels/:channel', (req, res) => {
+    const channel = findChannel(req, res);
+    if (!channel) return;
+    
+    try {
+        mixer.updateChannel(channel.id, req.body);
+    } catch (err) {
+        return sendMixerError(res, 'channel_update', err);
+    }
+    
+    res.json({
+        success: true,
+        action: 'channel_updated',
+        channel: channel
+    });
+});
+
+app.delete('/api/audio/mixer/channels/:channel', (req, res) => {
+    const channel = findChannel(req, res);
+    if (!channel) return;
+    
+    mixer.removeChannel(channel.id);
+    meterBank.remove(channel.id);
+    
+    console.log(`🎚️ Removed channel ${channel.id}`);
+    
+    res.json({
+        success: true,
+        action: 'channel_removed',
+        channel_id: channel.id
+    });
+});
+
+// Master volume control
+app.post('/api/audio/master/volume', (req, res) => {
+    const { volume } = req.body;
+    
+    if (typeof volume !== 'number' || volume < 0 || volume > 100) {
+        return res.status(400).json({
+            success: false,
+            error: 'Volume must be a number between 0 and 100'
+        });
+    }
+    
+    audioSystemState.master.volume = volume;
+    
+    // Update original volume for talkover if not currently ducking
+    if (!audioSystemState.talkover.active) {
+        audioSystemState.talkover.original_volume = volume;
+    }
+    
+    console.log(`🔊 Master volume set to ${volume}%`);
+    
+    res.json({
+        success: true,
+        action: 'master_volume_set',
+        master: audioSystemState.master
+    });
+});
+
+// Current meter levels as percentages; also the audio.levels topic
+function audioLevels() {
+    const levels = {
+        microphone: audioSystemState.microphone.peak_level * 100, // Convert to percentage
+        master_left: audioSystemState.master.peak_left * 100,
+        master_right: audioSystemState.master.peak_right * 100,
+        talkover_gain: audioSystemState.talkover.gain,
+        cue_left: mixer.cue.peak_left * 100,
+        cue_right: mixer.cue.peak_right * 100,
+        headphones_left: mixer.cue.headphones_left * 100,
+        headphones_right: mixer.cue.headphones_right * 100
+    };
+    mixer.list().forEach(channel => {
+        levels[`channel_${channel.id}_left`] = channel.peak_left * 100;
+        levels[`channel_${channel.id}_right`] = channel.peak_right * 100;
+    });
+    levels.meters = meterReadings();
+    return levels;
+}
+
+// Full meter state for every source
+function meterReadings() {
+    const channels = {};
+    mixer.list().forEach(channel => {
+        channels[channel.id] = meterBank.get(channel.id);
+    });
+    return {
+        master: meterBank.get('master'),
+        mic: meterBank.get('mic'),
+        cue: meterBank.get('cue'),
+        channels: channels
+    };
+}
+
+function isMeterSource(source) {
+    return ['master', 'mic', 'cue'].includes(source) || Boolean(mixer.get(source));
+}
+
+// Meters in dBFS, with hold, true peak and clip counters
+app.get('/api/audio/meters', (req, res) => {
+    res.json({
+        success: true,
+        settings: meterBank.settings,
+        meters: meterReadings(),
+        timestamp: new Date().toISOString()
+    });
+});
+
+// Clear clip/over counters, true-peak maximum and peak holds
+app.post('/api/audio/meters/reset', (req, res) => {
+    const { source = null } = req.body || {};
+    
+    if (source !== null && !isMeterSource(source)) {
+        return res.status(404).json({
+            success: false,
+            action: 'meters_reset',
+            error: `Unknown meter source "${source}"`
+        });
+    }
+    
+    meterBank.reset(source);
+    console.log(`📊 Meter counters reset (${source || 'all sources'})`);
+    
+    res.json({
+        success: true,
+        action: 'meters_reset',
+        source: source || 'all',
+        meters: meterReadings()
+    });
+});
+
+app.put('/api/audio/meters/settings', (req, res) => {
+    try {
+        meterBank.updateSettings(req.body);
+    } catch (err) {
+        return res.status(400).json({
+            success: false,
+            action: 'meter_settings_update',
+            code: err.code,
+            error: err.message
+        });
+    }
+    
+    res.json({
+        success: true,
+        action: 'meter_settings_updated',
+        settings: meterBank.settings
+    });
+});
+
+// format / channels / sample_rate of raw PCM, from a query string or a
+// WebSocket message, or an error message
+function pcmInputFormat(options) {
+    const format = options.format || 's16le';
+    const channels = Number(options.channels || 2);
+    const sampleRate = Number(options.sample_rate || 48000);
+    
+    if (!['s16le', 'f32le'].includes(format) || ![1, 2].includes(channels)) {
+        return { error: 'format must be s16le or f32le, and channels 1 or 2' };
+    }
+    if (!Number.isInteger(sampleRate) || sampleRate < 8000 || sampleRate > 192000) {
+        return { error: 'sample_rate must be a whole number of Hz between 8000 and 192000' };
+    }
+    return { format, channels, sampleRate };
+}
+
+// Measure real samples: interleaved PCM (s16le or f32le) for 'master',
+// 'mic' or a mixer channel. The source stays on measured levels while
+// blocks keep arriving; master samples also feed the loudness meter.
+app.post('/api/audio/meters/:source/pcm', express.raw({ type: () => true, limit: '10mb' }), (req, res) => {
+    const { source } = req.params;
+    const input = pcmInputFormat(req.query);
+    
+    if (!isMeterSource(source)) {
+        return res.status(404).json({
+            success: false,
+            action: 'meter_pcm',
+            error: `Unknown meter source "${source}"`
+        });
+    }
+    if (input.error) {
+        return res.status(400).json({
+            success: false,
+            action: 'meter_pcm',
+            error: input.error
+        });
+    }
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return res.status(400).json({
+            success: false,
+            action: 'meter_pcm',
+            error: 'Send raw PCM with Content-Type: application/octet-stream'
+        });
+    }
+    
+    const meter = meterBank.get(source);
+    const samples = decodePcm(req.body, input);
+    if (source === 'master') {
+        measureMasterPcm(samples, input.sampleRate);
+    } else {
+        meter.measurePcm(samples, now());
+    }
+    
+    res.json({
+        success: true,
+        action: 'meter_pcm',
+        source: source,
+        frames: samples[0].length,
+        meter: meter
+    });
+});
+
+// Program loudness: momentary, short-term and integrated LUFS, loudness
+// range and true peak of the master, with the target status
+app.get('/api/audio/loudness', (req, res) => {
+    res.json({
+        success: true,
+        loudness: loudnessMonitor,
+        timestamp: new Date().toISOString()
+    });
+});
+
+// Start the measurement again (the running show carries on)
+app.post('/api/audio/loudness/reset', (req, res) => {
+    loudnessMonitor.reset();
+    console.log('📏 Loudness measurement reset');
+    
+    res.json({
+        success: true,
+        action: 'loudness_reset',
+        loudness: loudnessMonitor
     });
 });
 
-// Channel control endpoints (for mixer integration)
-app.post('/api/audio/channel/:channel/play', (req, res) => {
-    const { channel } = req.params;
+// Close the gate to leave a stretch (ads, station IDs) out of the
+// integrated loudness and loudness range; momentary and short-term keep
+// reading
+app.post('/api/audio/loudness/gate', (req, res) => {
+    const { open } = req.body || {};
     
-    if (!['a', 'b'].includes(channel)) {
+    if (typeof open !== 'boolean') {
         return res.status(400).json({
             success: false,
-            error: 'Channel must be "a" or "b"'
+            action: 'loudness_gate',
+            error: 'open must be true or false'
         });
     }
     
-    audioSystemState.channels[channel].playing = true;
-    
-    console.log(`▶️ Channel ${channel.toUpperCase()} started playing`);
+    loudnessMeter.integrating = open;
+    console.log(`📏 Loudness integration ${open ? 'resumed' : 'paused'}`);
     
     res.json({
         success: true,
-        action: `channel_${channel}_play`,
-        channel: audioSystemState.channels[channel]
+        action: open ? 'loudness_gate_opened' : 'loudness_gate_closed',
+        loudness: loudnessMonitor
     });
 });
 
-app.post('/api/audio/channel/:channel/stop', (req, res) => {
-    const { channel } = req.params;
-    
-    if (!['a', 'b'].includes(channel)) {
+app.put('/api/audio/loudness/settings', (req, res) => {
+    try {
+        loudnessMonitor.updateSettings(req.body || {});
+    } catch (err) {
         return res.status(400).json({
             success: false,
-            error: 'Channel must be "a" or "b"'
+            action: 'loudness_settings_update',
+            code: err.code,
+            error: err.message
         });
     }
     
-    audioSystemState.channels[channel].playing = false;
-    audioSystemState.channels[channel].peak_left = 0.0;
-    audioSystemState.channels[channel].peak_right = 0.0;
-    
-    console.log(`⏹️ Channel ${channel.toUpperCase()} stopped`);
-    
     res.json({
         success: true,
-        action: `channel_${channel}_stop`,
-        channel: audioSystemState.channels[channel]
+        action: 'loudness_settings_updated',
+        settings: loudnessMonitor.settings
     });
 });
 
-app.post('/api/audio/channel/:channel/volume', (req, res) => {
-    const { channel } = req.params;
-    const { volume } = req.body;
-    
-    if (!['a', 'b'].includes(channel)) {
-        return res.status(400).json({
-            success: false,
-            error: 'Channel must be "a" or "b"'
-        });
-    }
-    
-    if (typeof volume !== 'number' || volume < 0 || volume > 100) {
-        return res.status(400).json({
-            success: false,
-            error: 'Volume must be a number between 0 and 100'
-        });
-    }
-    
-    audioSystemState.channels[channel].volume = volume;
-    
-    console.log(`🔊 Channel ${channel.toUpperCase()} volume set to ${volume}%`);
+// Saved per-show summaries, newest first
+app.get('/api/audio/loudness/shows', (req, res) => {
+    const limit = Math.max(1, Math.min(200, parseInt(req.query.limit, 10) || 50));
+    const shows = loudnessMonitor.shows.slice(-limit).reverse();
     
     res.json({
         success: true,
-        action: `channel_${channel}_volume_set`,
-        channel: audioSystemState.channels[channel]
+        shows: shows,
+        count: shows.length,
+        total: loudnessMonitor.shows.length
     });
 });
 
-// Master volume control
-app.post('/api/audio/master/volume', (req, res) => {
-    const { volume } = req.body;
+app.get('/api/audio/loudness/shows/:id', (req, res) => {
+    const show = loudnessMonitor.getShow(req.params.id);
     
-    if (typeof volume !== 'number' || volume < 0 || volume > 100) {
-        return res.status(400).json({
+    if (!show) {
+        return res.status(404).json({
             success: false,
-            error: 'Volume must be a number between 0 and 100'
+            error: 'Show not found'
         });
     }
     
-    audioSystemState.master.volume = volume;
-    
-    // Update original volume for talkover if not currently ducking
-    if (!audioSystemState.talkover.active) {
-        audioSystemState.talkover.original_volume = volume;
-    }
-    
-    console.log(`🔊 Master volume set to ${volume}%`);
-    
     res.json({
         success: true,
-        action: 'master_volume_set',
-        master: audioSystemState.master
+        show: show
     });
 });
 
@@ -776,13 +2561,7 @@ app.get('/api/audio/levels', (req, res) => {
     res.json({
         success: true,
         levels: {
-            microphone: audioSystemState.microphone.peak_level * 100, // Convert to percentage
-            master_left: audioSystemState.master.peak_left * 100,
-            master_right: audioSystemState.master.peak_right * 100,
-            channel_a_left: audioSystemState.channels.a.peak_left * 100,
-            channel_a_right: audioSystemState.channels.a.peak_right * 100,
-            channel_b_left: audioSystemState.channels.b.peak_left * 100,
-            channel_b_right: audioSystemState.channels.b.peak_right * 100,
+            ...audioLevels(),
             timestamp: new Date().toISOString()
         }
     });
@@ -806,13 +2585,17 @@ app.post('/api/dj/sessions', (req, res) => {
     const session = createDJSession(sessionId, dj_id, session_name);
     
     djSessions.set(sessionId, session);
+    sessionStore.put(session);
+    // Shown this once; it's the only way in as owner besides DJ_ADMIN_TOKEN
+    const ownerAccess = sessionAccess.issue(sessionId, 'owner', dj_id);
     
     console.log(`🎧 Created DJ session: ${session_name} (${sessionId})`);
     
     res.json({
         success: true,
         action: 'session_created',
-        session: session
+        session: session,
+        access: ownerAccess
     });
 });
 
@@ -827,6 +2610,8 @@ app.get('/api/dj/sessions/:sessionId', (req, res) => {
             error: 'DJ session not found'
         });
     }
+    if (!authorizeSession(req, res, sessionId, 'viewer')) return;
+    deckTransport.settle(session);
     
     res.json({
         success: true,
@@ -834,6 +2619,14 @@ app.get('/api/dj/sessions/:sessionId', (req, res) => {
     });
 });
 
+// What PATCH may change, and the type each takes
+const SESSION_SETTINGS = {
+    dj_id: 'string',
+    session_name: 'string',
+    is_live: 'boolean',
+    is_recording: 'boolean'
+};
+
 // Update DJ session settings
 app.patch('/api/dj/sessions/:sessionId', (req, res) => {
     const { sessionId } = req.params;
@@ -845,15 +2638,33 @@ app.patch('/api/dj/sessions/:sessionId', (req, res) => {
             error: 'DJ session not found'
         });
     }
+    if (!authorizeSession(req, res, sessionId, 'owner')) return;
+    
+    // is_recording drives a real recording of the default output
+    if (typeof req.body.is_recording === 'boolean' && req.body.is_recording !== session.is_recording) {
+        const output = defaultOutput();
+        if (req.body.is_recording) {
+            if (!output.mount || recorders.has(output.id)) {
+                return res.status(409).json({
+                    success: false,
+                    error: output.mount ? 'The stream is already being recorded' : 'Connect the stream before recording'
+                });
+            }
+            session.recording_id = startRecording(output, { trigger: 'dj_session' }).id;
+        } else if (recorders.has(output.id) && recorders.get(output.id).id === session.recording_id) {
+            stopRecording(output.id);
+        }
+    }
     
-    // Update session properties
-    Object.keys(req.body).forEach(key => {
-        if (key in session) {
+    // Update session properties; decks, mixer, tracklist and the rest
+    // have their own routes
+    Object.keys(SESSION_SETTINGS).forEach(key => {
+        if (req.body[key] !== undefined && typeof req.body[key] === SESSION_SETTINGS[key]) {
             session[key] = req.body[key];
         }
     });
     
-    session.updated_at = new Date().toISOString();
+    sessionChanged(session);
     
     // Broadcast session update
     broadcastToSession(sessionId, {
@@ -881,9 +2692,14 @@ app.delete('/api/dj/sessions/:sessionId', (req, res) => {
             error: 'DJ session not found'
         });
     }
+    if (!authorizeSession(req, res, sessionId, 'owner')) return;
     
     session.ended_at = new Date().toISOString();
     session.is_live = false;
+    // Whatever was still on air goes off with the session
+    (session.tracklist || []).forEach(entry => {
+        if (!entry.off_air_at) entry.off_air_at = session.ended_at;
+    });
     
     // Broadcast session ended
     broadcastToSession(sessionId, {
@@ -892,15 +2708,108 @@ app.delete('/api/dj/sessions/:sessionId', (req, res) => {
     });
     
     // Clean up connections
+    (djConnections.get(sessionId) || []).forEach(ws => connectionRoles.delete(ws));
     djConnections.delete(sessionId);
     djSessions.delete(sessionId);
+    sessionStore.delete(sessionId);
+    sessionAccess.dropSession(sessionId);
+    tracklistRecorder.forget(sessionId);
     
     console.log(`🎧 Ended DJ session ${sessionId}`);
     
     res.json({
         success: true,
         action: 'session_ended',
-        session_id: sessionId
+        session_id: sessionId,
+        tracklist: session.tracklist || []
+    });
+});
+
+// List a session's tokens (without the tokens themselves)
+app.get('/api/dj/sessions/:sessionId/tokens', (req, res) => {
+    const { sessionId } = req.params;
+    const session = djSessions.get(sessionId);
+    
+    if (!session) {
+        return res.status(404).json({
+            success: false,
+            error: 'DJ session not found'
+        });
+    }
+    if (!authorizeSession(req, res, sessionId, 'owner')) return;
+    
+    res.json({
+        success: true,
+        tokens: sessionAccess.list(sessionId)
+    });
+});
+
+// Issue a token: a co-host controller, a read-only viewer, or another owner
+app.post('/api/dj/sessions/:sessionId/tokens', (req, res) => {
+    const { sessionId } = req.params;
+    const { role, label = null } = req.body || {};
+    const session = djSessions.get(sessionId);
+    
+    if (!session) {
+        return res.status(404).json({
+            success: false,
+            error: 'DJ session not found'
+        });
+    }
+    if (!authorizeSession(req, res, sessionId, 'owner')) return;
+    
+    if (!SessionAccess.isRole(role)) {
+        return res.status(400).json({
+            success: false,
+            action: 'token_issued',
+            code: 'INVALID_ROLE',
+            error: 'role must be "owner", "controller" or "viewer"'
+        });
+    }
+    
+    const access = sessionAccess.issue(sessionId, role, label);
+    console.log(`🔑 Issued ${role} token ${access.id} for DJ session ${sessionId}`);
+    
+    res.json({
+        success: true,
+        action: 'token_issued',
+        access: access
+    });
+});
+
+// Revoke a token; connections that joined with it are taken off the session
+app.delete('/api/dj/sessions/:sessionId/tokens/:tokenId', (req, res) => {
+    const { sessionId, tokenId } = req.params;
+    const session = djSessions.get(sessionId);
+    
+    if (!session) {
+        return res.status(404).json({
+            success: false,
+            error: 'DJ session not found'
+        });
+    }
+    if (!authorizeSession(req, res, sessionId, 'owner')) return;
+    
+    const revoked = sessionAccess.revoke(sessionId, tokenId);
+    if (!revoked) {
+        return res.status(404).json({
+            success: false,
+            action: 'token_revoked',
+            code: 'TOKEN_NOT_FOUND',
+            error: `Token "${tokenId}" not found in this session`
+        });
+    }
+    const disconnected = dropSessionConnections(sessionId, access => access.grant_id === tokenId, {
+        code: 'TOKEN_REVOKED',
+        error: 'Your session token was revoked'
+    });
+    console.log(`🔑 Revoked token ${tokenId} for DJ session ${sessionId}`);
+    
+    res.json({
+        success: true,
+        action: 'token_revoked',
+        token: revoked,
+        disconnected: disconnected
     });
 });
 
@@ -923,8 +2832,10 @@ app.post('/api/dj/sessions/:sessionId/tracks/:deck', (req, res) => {
             error: 'DJ session not found'
         });
     }
+    if (!authorizeSession(req, res, sessionId, 'controller')) return;
     
     const deckKey = deck === 'A' ? 'deck_a' : 'deck_b';
+    deckTransport.settle(session);
     
     // Stop current track if playing
     if (session[deckKey].playing) {
@@ -942,7 +2853,9 @@ app.post('/api/dj/sessions/:sessionId/tracks/:deck', (req, res) => {
     
     session[deckKey].position = 0.0;
     session[deckKey].bpm = bpm || null;
-    session.updated_at = new Date().toISOString();
+    deckCues.load(session[deckKey]);
+    updateSync(session);
+    sessionChanged(session);
     
     // Broadcast track loaded
     broadcastToSession(sessionId, {
@@ -964,7 +2877,7 @@ app.post('/api/dj/sessions/:sessionId/tracks/:deck', (req, res) => {
 // Playback control (play, pause, cue, etc.)
 app.post('/api/dj/sessions/:sessionId/playback/:deck', (req, res) => {
     const { sessionId, deck } = req.params;
-    const { action, position, speed } = req.body;
+    const { action, position, speed, pitch, to, enabled } = req.body;
     
     if (!['A', 'B'].includes(deck)) {
         return res.status(400).json({
@@ -980,6 +2893,18 @@ app.post('/api/dj/sessions/:sessionId/playback/:deck', (req, res) => {
             error: `Action must be one of: ${validActions.join(', ')}`
         });
     }
+    if (speed !== undefined && !(typeof speed === 'number' && speed >= 0 && speed <= 4)) {
+        return res.status(400).json({
+            success: false,
+            error: 'speed must be a number between 0 and 4'
+        });
+    }
+    if (pitch !== undefined && !(typeof pitch === 'number' && pitch >= -100 && pitch <= 100)) {
+        return res.status(400).json({
+            success: false,
+            error: 'pitch must be a percentage between -100 and 100'
+        });
+    }
     
     const session = djSessions.get(sessionId);
     if (!session) {
@@ -988,6 +2913,7 @@ app.post('/api/dj/sessions/:sessionId/playback/:deck', (req, res) => {
             error: 'DJ session not found'
         });
     }
+    if (!authorizeSession(req, res, sessionId, 'controller')) return;
     
     const deckKey = deck === 'A' ? 'deck_a' : 'deck_b';
     
@@ -998,12 +2924,24 @@ app.post('/api/dj/sessions/:sessionId/playback/:deck', (req, res) => {
         });
     }
     
-    // Apply playback action
+    // Apply playback action from where the transport has got to
+    deckTransport.settle(session);
+    if (speed !== undefined) session[deckKey].speed = speed;
+    if (pitch !== undefined) {
+        // Moving the pitch fader by hand takes a deck out of sync
+        disengageSync(session, deck);
+        session[deckKey].pitch = pitch;
+    }
     switch (action) {
-        case 'play':
+        case 'play': {
+            // Playing a finished track starts it again
+            const { duration } = session[deckKey].track;
+            if (duration > 0 && session[deckKey].position >= duration) session[deckKey].position = 0.0;
             session[deckKey].playing = true;
-            if (speed) session[deckKey].speed = speed;
+            // A synced deck comes in on the beat
+            if (session[deckKey].sync_to) alignPhase(session, deck);
             break;
+        }
         case 'pause':
             session[deckKey].playing = false;
             break;
@@ -1016,11 +2954,22 @@ app.post('/api/dj/sessions/:sessionId/playback/:deck', (req, res) => {
             if (position !== undefined) session[deckKey].position = position;
             break;
         case 'sync':
-            session[deckKey].synced = !session[deckKey].synced;
+            // Toggles, or { enabled }; syncs to the other deck unless `to` says
+            // another deck or 'master' (mixer.master_tempo)
+            if (enabled === false || (enabled === undefined && session[deckKey].sync_to)) {
+                disengageSync(session, deck);
+            } else {
+                try {
+                    engageSync(session, deck, to);
+                } catch (err) {
+                    return sendSyncError(res, 'playback_sync', err);
+                }
+            }
             break;
     }
     
-    session.updated_at = new Date().toISOString();
+    updateSync(session, { announce: action === 'sync' || speed !== undefined || pitch !== undefined });
+    sessionChanged(session);
     
     // Broadcast playback control
     broadcastToSession(sessionId, {
@@ -1036,10 +2985,71 @@ app.post('/api/dj/sessions/:sessionId/playback/:deck', (req, res) => {
         success: true,
         action: `playback_${action}`,
         deck: deck,
-        deck_state: session[deckKey]
+        deck_state: session[deckKey],
+        sync_state: syncState(session)
     });
 });
 
+// Hot cue, loop and beat-jump routes differ only in the command they run
+function deckCommandRoute(action, toCommands) {
+    return (req, res) => {
+        const { sessionId, deck } = req.params;
+        
+        if (!['A', 'B'].includes(deck)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Deck must be "A" or "B"'
+            });
+        }
+        
+        const session = djSessions.get(sessionId);
+        if (!session) {
+            return res.status(404).json({
+                success: false,
+                error: 'DJ session not found'
+            });
+        }
+        if (!authorizeSession(req, res, sessionId, 'controller')) return;
+        
+        const deckKey = deck === 'A' ? 'deck_a' : 'deck_b';
+        deckTransport.settle(session);
+        try {
+            applyDeckCommands(session[deckKey], toCommands(req.body || {}));
+        } catch (err) {
+            return res.status(CUE_ERROR_STATUS[err.code] || 500).json({
+                success: false,
+                action: action,
+                code: err.code,
+                error: err.message
+            });
+        }
+        sessionChanged(session);
+        
+        broadcastToSession(sessionId, {
+            type: 'deck_updated',
+            deck: deck,
+            action: action,
+            data: session[deckKey]
+        });
+        
+        res.json({
+            success: true,
+            action: action,
+            deck: deck,
+            deck_state: session[deckKey]
+        });
+    };
+}
+
+// Hot cues: { action: 'set'|'edit'|'jump'|'delete', slot: 1-8, position?, label?, color? }
+app.post('/api/dj/sessions/:sessionId/hot-cues/:deck', deckCommandRoute('hot_cue', body => ({ hot_cue: body })));
+
+// Loops: { action: 'in'|'out'|'beat'|'roll'|'exit'|'reloop'|'save'|'load'|'delete', beats?, index?, label? }
+app.post('/api/dj/sessions/:sessionId/loops/:deck', deckCommandRoute('loop', body => ({ loop: body })));
+
+// Beat-jump: { beats } forward, or back when negative
+app.post('/api/dj/sessions/:sessionId/beat-jump/:deck', deckCommandRoute('beat_jump', body => ({ beat_jump: body.beats === undefined ? null : body.beats })));
+
 // Mixer controls
 app.post('/api/dj/sessions/:sessionId/mixer', (req, res) => {
     const { sessionId } = req.params;
@@ -1051,6 +3061,15 @@ app.post('/api/dj/sessions/:sessionId/mixer', (req, res) => {
             error: 'DJ session not found'
         });
     }
+    if (!authorizeSession(req, res, sessionId, 'controller')) return;
+    
+    if (req.body.master_tempo !== undefined) {
+        try {
+            checkMasterTempo(req.body.master_tempo);
+        } catch (err) {
+            return sendSyncError(res, 'mixer_updated', err);
+        }
+    }
     
     // Update mixer controls
     Object.keys(req.body).forEach(key => {
@@ -1059,7 +3078,8 @@ app.post('/api/dj/sessions/:sessionId/mixer', (req, res) => {
         }
     });
     
-    session.updated_at = new Date().toISOString();
+    updateSync(session, { announce: req.body.master_tempo !== undefined });
+    sessionChanged(session);
     
     // Broadcast mixer update
     broadcastToSession(sessionId, {
@@ -1076,6 +3096,35 @@ app.post('/api/dj/sessions/:sessionId/mixer', (req, res) => {
     });
 });
 
+// Headphone cue from a DJ session; same body as PUT /api/audio/cue
+app.post('/api/dj/sessions/:sessionId/cue', (req, res) => {
+    const { sessionId } = req.params;
+    const session = djSessions.get(sessionId);
+    
+    if (!session) {
+        return res.status(404).json({
+            success: false,
+            error: 'DJ session not found'
+        });
+    }
+    // The cue bus is shared by the whole audio system
+    if (!authorizeSession(req, res, sessionId, 'owner')) return;
+    
+    let cue;
+    try {
+        cue = updateCue(req.body || {});
+    } catch (err) {
+        return sendMixerError(res, 'cue_update', err);
+    }
+    sessionChanged(session);
+    
+    res.json({
+        success: true,
+        action: 'cue_updated',
+        cue: cue
+    });
+});
+
 // Get current mixer state
 app.get('/api/dj/sessions/:sessionId/mixer', (req, res) => {
     const { sessionId } = req.params;
@@ -1087,10 +3136,12 @@ app.get('/api/dj/sessions/:sessionId/mixer', (req, res) => {
             error: 'DJ session not found'
         });
     }
+    if (!authorizeSession(req, res, sessionId, 'viewer')) return;
     
     res.json({
         success: true,
-        mixer_state: session.mixer
+        mixer_state: session.mixer,
+        cue: mixer.cueState()
     });
 });
 
@@ -1105,6 +3156,9 @@ app.get('/api/dj/sessions/:sessionId/stats', (req, res) => {
             error: 'DJ session not found'
         });
     }
+    if (!authorizeSession(req, res, sessionId, 'viewer')) return;
+    
+    deckTransport.settle(session);
     
     // Calculate uptime
     const startTime = new Date(session.started_at);
@@ -1117,6 +3171,8 @@ app.get('/api/dj/sessions/:sessionId/stats', (req, res) => {
         uptime_seconds: uptime,
         deck_a_track: session.deck_a.track,
         deck_b_track: session.deck_b.track,
+        transport: DeckTransport.positions(session),
+        sync: syncState(session),
         mixer_state: session.mixer,
         audio_levels: session.audio_levels,
         performance: {
@@ -1132,6 +3188,77 @@ app.get('/api/dj/sessions/:sessionId/stats', (req, res) => {
     });
 });
 
+// Tracks that went on air, oldest first
+app.get('/api/dj/sessions/:sessionId/tracklist', (req, res) => {
+    const { sessionId } = req.params;
+    const session = djSessions.get(sessionId);
+    
+    if (!session) {
+        return res.status(404).json({
+            success: false,
+            error: 'DJ session not found'
+        });
+    }
+    if (!authorizeSession(req, res, sessionId, 'viewer')) return;
+    
+    const time = Date.now();
+    const tracklist = (session.tracklist || []).map(entry => TracklistRecorder.describe(entry, time));
+    res.json({
+        success: true,
+        session_id: sessionId,
+        tracklist: tracklist,
+        total: tracklist.length
+    });
+});
+
+const TRACKLIST_FORMATS = {
+    cue: { type: 'application/x-cue; charset=utf-8', render: (session, query) => TracklistRecorder.toCueSheet(session, query) },
+    m3u8: { type: 'application/vnd.apple.mpegurl', render: session => TracklistRecorder.toM3u8(session) },
+    txt: { type: 'text/plain; charset=utf-8', render: session => TracklistRecorder.toText(session) }
+};
+
+// Tracklist as a CUE sheet (?file=, ?start= the recording's start time),
+// M3U8 or "HH:MM Artist – Title" text
+app.get('/api/dj/sessions/:sessionId/tracklist/:format', (req, res) => {
+    const { sessionId, format } = req.params;
+    const exporter = Object.hasOwn(TRACKLIST_FORMATS, format) ? TRACKLIST_FORMATS[format] : null;
+    
+    if (!exporter) {
+        return res.status(404).json({
+            success: false,
+            error: `Format must be one of: ${Object.keys(TRACKLIST_FORMATS).join(', ')}`
+        });
+    }
+    
+    const session = djSessions.get(sessionId);
+    if (!session) {
+        return res.status(404).json({
+            success: false,
+            error: 'DJ session not found'
+        });
+    }
+    if (!authorizeSession(req, res, sessionId, 'viewer')) return;
+    
+    const start = req.query.start === undefined ? undefined : Date.parse(req.query.start);
+    if (Number.isNaN(start)) {
+        return res.status(400).json({
+            success: false,
+            error: 'start must be an ISO 8601 time, such as the recording\'s started_at'
+        });
+    }
+    const { file } = req.query;
+    if (file !== undefined && (typeof file !== 'string' || !file)) {
+        return res.status(400).json({
+            success: false,
+            error: 'file must be one file name, the recording\'s'
+        });
+    }
+    
+    res.type(exporter.type)
+        .set('Content-Disposition', `attachment; filename="${sessionId}-tracklist.${format}"`)
+        .send(exporter.render(session, { file, start }));
+});
+
 // Update audio levels (real-time from audio engine)
 app.post('/api/dj/sessions/:sessionId/audio-levels', (req, res) => {
     const { sessionId } = req.params;
@@ -1143,6 +3270,7 @@ app.post('/api/dj/sessions/:sessionId/audio-levels', (req, res) => {
             error: 'DJ session not found'
         });
     }
+    if (!authorizeSession(req, res, sessionId, 'controller')) return;
     
     session.audio_levels = {
         ...req.body,
@@ -1161,13 +3289,21 @@ app.post('/api/dj/sessions/:sessionId/audio-levels', (req, res) => {
     });
 });
 
-// List all active DJ sessions
+// List all active DJ sessions: a summary of each, or the full sessions
+// for DJ_ADMIN_TOKEN
 app.get('/api/dj/sessions', (req, res) => {
     const sessions = Array.from(djSessions.values());
+    const access = sessionAccess.lookup(requestToken(req));
+    const admin = Boolean(access) && access.grant_id === 'admin';
+    if (admin) sessions.forEach(session => deckTransport.settle(session));
     
     res.json({
         success: true,
-        sessions: sessions,
+        sessions: admin ? sessions : sessions.map(session => ({
+            id: session.id,
+            session_name: session.session_name,
+            is_live: session.is_live
+        })),
         total_sessions: sessions.length,
         active_sessions: sessions.filter(s => s.is_live).length
     });
@@ -1176,7 +3312,7 @@ app.get('/api/dj/sessions', (req, res) => {
 // BPM detection and beat matching
 app.post('/api/dj/sessions/:sessionId/bpm/:deck', (req, res) => {
     const { sessionId, deck } = req.params;
-    const { bpm, sync_enabled, beat_position } = req.body;
+    const { bpm, sync_enabled, sync_to, beat_position } = req.body;
     
     if (!['A', 'B'].includes(deck)) {
         return res.status(400).json({
@@ -1192,14 +3328,41 @@ app.post('/api/dj/sessions/:sessionId/bpm/:deck', (req, res) => {
             error: 'DJ session not found'
         });
     }
+    if (!authorizeSession(req, res, sessionId, 'controller')) return;
+    
+    if (bpm !== undefined && !isTempo(bpm)) {
+        return res.status(400).json({
+            success: false,
+            error: 'bpm must be a positive number'
+        });
+    }
+    if (beat_position !== undefined && !(typeof beat_position === 'number' && beat_position >= 0)) {
+        return res.status(400).json({
+            success: false,
+            error: 'beat_position must be a number of seconds, 0 or more'
+        });
+    }
     
     const deckKey = deck === 'A' ? 'deck_a' : 'deck_b';
     
-    if (bpm) session[deckKey].bpm = bpm;
-    if (sync_enabled !== undefined) session[deckKey].synced = sync_enabled;
-    if (beat_position !== undefined) session[deckKey].beat_position = beat_position;
+    deckTransport.settle(session);
+    // Try the sync on the updated deck; nothing changes if it fails
+    const updated = { ...session[deckKey] };
+    if (bpm !== undefined) updated.bpm = bpm;
+    if (beat_position !== undefined) updated.beat_position = beat_position;
+    if (sync_enabled === true) {
+        try {
+            engageSync({ ...session, [deckKey]: updated }, deck, sync_to);
+        } catch (err) {
+            return sendSyncError(res, 'bpm_updated', err);
+        }
+    }
+    Object.assign(session[deckKey], updated);
+    if (sync_enabled === false) disengageSync(session, deck);
     
-    session.updated_at = new Date().toISOString();
+    // A new BPM on a leader carries through to its followers
+    updateSync(session, { announce: true });
+    sessionChanged(session);
     
     // Broadcast BPM update
     broadcastToSession(sessionId, {
@@ -1222,7 +3385,8 @@ app.post('/api/dj/sessions/:sessionId/bpm/:deck', (req, res) => {
             bpm: session[deckKey].bpm,
             synced: session[deckKey].synced,
             beat_position: session[deckKey].beat_position
-        }
+        },
+        sync_state: syncState(session)
     });
 });
 
@@ -1621,7 +3785,7 @@ app.post('/api/video/stream/start', (req, res) => {
     
     if (started_platforms.length > 0 || started_rtmp.length > 0) {
         videoState.streaming.is_live = true;
-        videoState.streaming.start_time = Date.now();
+        videoState.streaming.start_time = now();
         
         console.log(`🔴 Live streaming started: ${started_platforms.join(', ')} ${started_rtmp.length > 0 ? `+ ${started_rtmp.length} RTMP` : ''}`);
     }
@@ -1742,43 +3906,63 @@ app.post('/api/video/overlay/clear', (req, res) => {
     });
 });
 
+// Scenario overrides for the video stats simulation
+let videoSimulation = {
+    droppedFrameRate: null // fraction of frames dropped, null = normal jitter
+};
+
+// Simulate one second of streaming statistics
+function updateVideoStats() {
+    if (!videoState.streaming.is_live) return;
+    
+    // Simulate realistic streaming stats
+    const frames = Math.floor(random() * 5) + 28; // ~30 FPS
+    const dropped = videoSimulation.droppedFrameRate !== null ?
+        Math.round(frames * videoSimulation.droppedFrameRate) : Math.floor(random() * 3);
+    videoState.stats.total_frames += frames;
+    videoState.stats.dropped_frames += dropped;
+    videoState.stats.encoded_frames = videoState.stats.total_frames - videoState.stats.dropped_frames;
+    videoState.stats.current_bitrate = 2400000 + (random() - 0.5) * 200000; // ~2.5 Mbps ±100k
+    videoState.stats.total_bytes += videoState.stats.current_bitrate / 8; // Convert bits to bytes per second
+    
+    // Update platform stats
+    Object.keys(videoState.streaming.platforms).forEach(platform => {
+        if (videoState.streaming.platforms[platform].streaming) {
+            const stats = videoState.streaming.platforms[platform].stats;
+            stats.bytes_sent += Math.floor(videoState.stats.current_bitrate / 8);
+            stats.frames_sent = videoState.stats.encoded_frames;
+            stats.current_bitrate = videoState.stats.current_bitrate;
+            stats.viewers = Math.floor(random() * 50) + 10; // Random viewer count
+        }
+    });
+}
+
 // Video streaming statistics (with real-time simulation)
 app.get('/api/video/stats', (req, res) => {
-    // Simulate real-time statistics if streaming is active
-    if (videoState.streaming.is_live) {
-        const uptime = (Date.now() - videoState.streaming.start_time) / 1000;
-        
-        // Simulate realistic streaming stats
-        videoState.stats.total_frames += Math.floor(Math.random() * 5) + 28; // ~30 FPS
-        videoState.stats.encoded_frames = videoState.stats.total_frames - Math.floor(Math.random() * 3);
-        videoState.stats.dropped_frames = videoState.stats.total_frames - videoState.stats.encoded_frames;
-        videoState.stats.current_bitrate = 2400000 + (Math.random() - 0.5) * 200000; // ~2.5 Mbps ±100k
-        videoState.stats.total_bytes += videoState.stats.current_bitrate / 8; // Convert bits to bytes per second
-        
-        // Update platform stats
-        Object.keys(videoState.streaming.platforms).forEach(platform => {
-            if (videoState.streaming.platforms[platform].streaming) {
-                const stats = videoState.streaming.platforms[platform].stats;
-                stats.bytes_sent += Math.floor(videoState.stats.current_bitrate / 8);
-                stats.frames_sent = videoState.stats.encoded_frames;
-                stats.current_bitrate = videoState.stats.current_bitrate;
-                stats.viewers = Math.floor(Math.random() * 50) + 10; // Random viewer count
-            }
-        });
+    // Each request advances the simulation unless a scenario owns the clock
+    if (!scenarioEngine.active) {
+        updateVideoStats();
     }
     
     res.json({
         success: true,
+        ...videoStatsSnapshot()
+    });
+});
+
+// Body of /api/video/stats; also the video.stats topic
+function videoStatsSnapshot() {
+    return {
         stats: videoState.stats,
         streaming: {
             is_live: videoState.streaming.is_live,
             uptime_seconds: videoState.streaming.start_time ? 
-                Math.floor((Date.now() - videoState.streaming.start_time) / 1000) : 0,
+                Math.floor((now() - videoState.streaming.start_time) / 1000) : 0,
             platform_stats: videoState.streaming.platforms,
             rtmp_stats: videoState.streaming.custom_rtmp
         }
-    });
-});
+    };
+}
 
 // Helper function to get platform RTMP URLs
 function getPlatformRtmpUrl(platform) {
@@ -1793,6 +3977,11 @@ function getPlatformRtmpUrl(platform) {
     return rtmpUrls[platform] || '';
 }
 
+// Listeners across every output's mount
+function totalListeners() {
+    return Array.from(streamOutputs.values()).reduce((sum, output) => sum + output.state.currentListeners, 0);
+}
+
 // Station management endpoints (for Dashboard)
 app.get('/api/v1/stations/me', (req, res) => {
     console.log('📊 Station info requested');
@@ -1812,19 +4001,43 @@ app.get('/api/v1/stations/me', (req, res) => {
             instagram: null,
             twitter: null
         },
-        settings: {
-            isPublic: true,
-            allowChat: true,
-            autoRecord: false,
-            maxBitrate: 320
-        },
+        settings: stationSettings,
         stats: {
-            totalListeners: streamState.currentListeners,
-            peakListeners: Math.max(streamState.currentListeners, 50),
-            totalHours: Math.floor(Math.random() * 100) + 20,
+            totalListeners: totalListeners(),
+            peakListeners: Math.max(totalListeners(), 50),
+            totalHours: Math.floor(random() * 100) + 20,
             createdAt: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000), // 30 days ago
-            lastStream: streamState.startTime ? new Date(streamState.startTime) : null
+            lastStream: defaultOutput().state.startTime ? new Date(defaultOutput().state.startTime) : null
+        }
+    });
+});
+
+// Update station settings; only the known keys, with their types
+app.put('/api/v1/stations/me/settings', (req, res) => {
+    const updates = req.body || {};
+    
+    for (const key of Object.keys(updates)) {
+        if (!(key in stationSettings)) {
+            return res.status(400).json({
+                success: false,
+                error: `Unknown setting "${key}"`
+            });
+        }
+        if (typeof updates[key] !== typeof stationSettings[key]) {
+            return res.status(400).json({
+                success: false,
+                error: `${key} must be a ${typeof stationSettings[key]}`
+            });
         }
+    }
+    
+    stationSettings = { ...stationSettings, ...updates };
+    console.log('📊 Station settings updated');
+    
+    res.json({
+        success: true,
+        action: 'settings_updated',
+        settings: stationSettings
     });
 });
 
@@ -1867,6 +4080,658 @@ app.get('/api/v1/streams/history', (req, res) => {
     res.json(sessions);
 });
 
+// Recordings
+// ==========
+
+const RECORDINGS_DIR = process.env.RECORDINGS_DIR || path.join(__dirname, 'recordings');
+
+function activeRecordingFiles() {
+    return new Set(Array.from(recorders.values(), recorder => recorder.currentSegment));
+}
+
+function startRecording(output, options) {
+    const recorder = new Recorder(RECORDINGS_DIR, output, options);
+    
+    recorder.on('segment', () => {
+        broadcastToAll({ type: 'recording_status', data: recorder.toJSON() });
+    });
+    recorder.on('stopped', (recording) => {
+        recorders.delete(output.id);
+        broadcastToAll({ type: 'recording_status', data: recording });
+        
+        // DJ sessions that started this recording are no longer recording
+        djSessions.forEach(session => {
+            if (session.recording_id === recording.id) {
+                session.is_recording = false;
+                session.recording_id = null;
+                sessionChanged(session);
+                broadcastToSession(session.id, { type: 'session_updated', data: session });
+            }
+        });
+    });
+    
+    recorder.start();
+    recorders.set(output.id, recorder);
+    broadcastToAll({ type: 'recording_status', data: recorder.toJSON() });
+    return recorder;
+}
+
+function stopRecording(outputId) {
+    const recorder = recorders.get(outputId);
+    if (recorder) {
+        recorder.stop();
+    }
+    return recorder;
+}
+
+// Auto-recordings follow the stream; any recording ends with the connection
+function handleRecordingTransition(output, { from, to }) {
+    const recorder = recorders.get(output.id);
+    
+    if (to === 'streaming' && !recorder && stationSettings.autoRecord && output.mount) {
+        startRecording(output, { trigger: 'auto' });
+    } else if (recorder && (to === 'disconnected' || (from === 'streaming' && to === 'connected' && recorder.trigger === 'auto'))) {
+        recorder.stop();
+    }
+}
+
+// segment_seconds / segment_mb from a request body, or an error message
+function segmentOptions(body) {
+    const options = {};
+    if (body.segment_seconds !== undefined) {
+        options.segmentSeconds = Number(body.segment_seconds);
+        if (!(options.segmentSeconds >= 1)) return { error: 'segment_seconds must be a number >= 1' };
+    }
+    if (body.segment_mb !== undefined) {
+        const megabytes = Number(body.segment_mb);
+        if (!(megabytes > 0)) return { error: 'segment_mb must be a positive number' };
+        options.segmentBytes = Math.round(megabytes * 1024 * 1024);
+    }
+    return { options };
+}
+
+// Start recording what an output sends to its mount
+app.post('/api/recordings/start', (req, res) => {
+    const body = req.body || {};
+    const output = streamOutputs.get(body.output_id || DEFAULT_OUTPUT_ID);
+    
+    if (!output) {
+        return res.status(404).json({
+            success: false,
+            error: 'Output not found'
+        });
+    }
+    if (!output.mount) {
+        return res.status(400).json({
+            success: false,
+            action: 'recording_start',
+            code: 'NOT_CONNECTED',
+            error: 'Output is not connected, there is nothing to record'
+        });
+    }
+    if (recorders.has(output.id)) {
+        return res.status(409).json({
+            success: false,
+            action: 'recording_start',
+            code: 'ALREADY_RECORDING',
+            error: `Output "${output.id}" is already recording`,
+            recording: recorders.get(output.id)
+        });
+    }
+    
+    const { options, error } = segmentOptions(body);
+    if (error) {
+        return res.status(400).json({
+            success: false,
+            action: 'recording_start',
+            code: 'INVALID_SEGMENT',
+            error: error
+        });
+    }
+    
+    res.json({
+        success: true,
+        action: 'recording_start',
+        recording: startRecording(output, { ...options, trigger: 'manual' })
+    });
+});
+
+app.post('/api/recordings/stop', (req, res) => {
+    const outputId = (req.body || {}).output_id || DEFAULT_OUTPUT_ID;
+    const recorder = stopRecording(outputId);
+    
+    if (!recorder) {
+        return res.status(400).json({
+            success: false,
+            action: 'recording_stop',
+            code: 'NOT_RECORDING',
+            error: `Output "${outputId}" is not recording`
+        });
+    }
+    
+    res.json({
+        success: true,
+        action: 'recording_stop',
+        recording: recorder
+    });
+});
+
+// Segment files on disk, newest recording first
+app.get('/api/recordings', (req, res) => {
+    const files = listRecordingFiles(RECORDINGS_DIR, activeRecordingFiles());
+    
+    res.json({
+        success: true,
+        recordings: files,
+        active: Array.from(recorders.values()),
+        total_files: files.length,
+        total_bytes: files.reduce((sum, file) => sum + file.size, 0)
+    });
+});
+
+// Download a segment; Range requests are supported for resuming and seeking
+app.get('/api/recordings/:id', (req, res, next) => {
+    const file = recordingFilePath(RECORDINGS_DIR, req.params.id);
+    if (!file) {
+        return res.status(404).json({
+            success: false,
+            error: 'Recording not found'
+        });
+    }
+    
+    res.download(file, req.params.id, (err) => {
+        if (err && !res.headersSent) next(err);
+    });
+});
+
+app.delete('/api/recordings/:id', (req, res) => {
+    const file = recordingFilePath(RECORDINGS_DIR, req.params.id);
+    if (!file) {
+        return res.status(404).json({
+            success: false,
+            error: 'Recording not found'
+        });
+    }
+    if (activeRecordingFiles().has(req.params.id)) {
+        return res.status(409).json({
+            success: false,
+            code: 'RECORDING_ACTIVE',
+            error: 'This segment is still being written; stop the recording first'
+        });
+    }
+    
+    fs.unlinkSync(file);
+    console.log(`🗑️ Deleted recording ${req.params.id}`);
+    
+    res.json({
+        success: true,
+        action: 'recording_deleted',
+        id: req.params.id
+    });
+});
+
+// Icecast emulation
+// =================
+// status-json.xsl and the /admin/* commands Icecast tools rely on, backed
+// by the encoder outputs and their built-in mounts
+
+const ICECAST_ADMIN_USER = process.env.ICECAST_ADMIN_USER || 'admin';
+const SERVER_STARTED_AT = Date.now();
+
+function icecastServerInfo(req) {
+    return {
+        admin: process.env.ICECAST_ADMIN_EMAIL || 'icemaster@localhost',
+        host: req.hostname,
+        location: process.env.ICECAST_LOCATION || 'Earth',
+        startedAt: SERVER_STARTED_AT,
+        baseUrl: `${req.protocol}://${req.get('host')}`
+    };
+}
+
+// Every output with an open mount is an Icecast "source"
+function icecastSources(mountName) {
+    return Array.from(streamOutputs.values())
+        .filter(output => output.mount && (!mountName || output.mountName === mountName))
+        .map(output => {
+            const config = output.config || {};
+            const bitrate = Number(config.bitrate) || 128;
+            const startedAt = output.state.startTime || Date.now();
+            return {
+                output,
+                mount: { name: `/${output.mountName}`, url: `/stream/${output.mountName}` },
+                stats: {
+                    audio_info: `ice-samplerate=${config.sampleRate || 44100};ice-bitrate=${bitrate};ice-channels=${config.channels || 2}`,
+                    bitrate,
+                    genre: config.genre || '',
+                    listener_peak: output.state.listenerPeak,
+                    listeners: output.state.currentListeners,
+                    public: config.public ? 1 : 0,
+                    server_description: config.description || '',
+                    server_name: config.name || output.name,
+                    server_type: contentTypeForCodec(config.codec),
+                    server_url: config.url || '',
+                    stream_start: icecastDate(startedAt),
+                    stream_start_iso8601: icecastIsoDate(startedAt),
+                    title: formatSong(currentTrack),
+                    total_bytes_read: output.bytesWritten
+                }
+            };
+        });
+}
+
+// `mount` query values look like "/stream"
+function mountFromQuery(req) {
+    return String(req.query.mount || '').replace(/^\/+/, '');
+}
+
+// Admin credentials work everywhere; mount-level commands also accept the
+// source credentials of the output feeding that mount
+function icecastAuthorized(req, output) {
+    const credentials = parseBasicAuth(req.get('Authorization'));
+    if (!credentials) return false;
+    
+    const adminPasswords = [process.env.ICECAST_ADMIN_PASSWORD]
+        .concat(Array.from(streamOutputs.values(), o => o.config && o.config.adminPassword))
+        .filter(Boolean);
+    if (credentials.username === ICECAST_ADMIN_USER && adminPasswords.includes(credentials.password)) {
+        return true;
+    }
+    
+    return Boolean(output && output.config && output.config.password &&
+        credentials.username === (output.config.username || 'source') &&
+        credentials.password === output.config.password);
+}
+
+function requireIcecastAuth(req, res, output) {
+    if (icecastAuthorized(req, output)) return true;
+    res.status(401)
+        .set('WWW-Authenticate', 'Basic realm="Icecast2 Server"')
+        .type('text/plain')
+        .send('You need to authenticate\n');
+    return false;
+}
+
+function sendIceResponse(res, status, message) {
+    res.status(status).type('text/xml').send(iceResponse(message, status === 200));
+}
+
+// Public server and mount status, as polled by players and dashboards
+app.get('/status-json.xsl', publicFeed, (req, res) => {
+    const mountName = req.query.mount ? mountFromQuery(req) : null;
+    res.json(statusJson(icecastServerInfo(req), icecastSources(mountName)));
+});
+
+app.get(['/admin/stats', '/admin/stats.xml'], (req, res) => {
+    if (!requireIcecastAuth(req, res, null)) return;
+    
+    const mountName = req.query.mount ? mountFromQuery(req) : null;
+    res.type('text/xml').send(statsXml(icecastServerInfo(req), icecastSources(mountName), {
+        listeners: totalListeners()
+    }));
+});
+
+// What BUTT, Mixxx and Liquidsoap call to set the song title
+app.get('/admin/metadata', async (req, res) => {
+    const output = Array.from(streamOutputs.values()).find(o => o.mount && o.mountName === mountFromQuery(req));
+    if (!requireIcecastAuth(req, res, output)) return;
+    
+    if (!req.query.mount) {
+        return sendIceResponse(res, 400, 'Missing parameter: mount');
+    }
+    if (!output) {
+        return sendIceResponse(res, 400, 'Source does not exist');
+    }
+    if (req.query.mode !== 'updinfo') {
+        return sendIceResponse(res, 400, 'No such action');
+    }
+    
+    // Either song=Artist - Title or separate artist/title parameters
+    let track = { artist: req.query.artist, title: req.query.title };
+    if (req.query.song !== undefined) {
+        const song = String(req.query.song);
+        const separator = song.indexOf(' - ');
+        track = separator === -1 ?
+            { artist: '', title: song } :
+            { artist: song.slice(0, separator), title: song.slice(separator + 3) };
+    }
+    
+    await setNowPlaying(track, 'automation');
+    sendIceResponse(res, 200, 'Metadata update successful');
+});
+
+app.get('/admin/listclients', (req, res) => {
+    if (!requireIcecastAuth(req, res, null)) return;
+    
+    const mountName = mountFromQuery(req);
+    const mount = listenerMounts.get(mountName);
+    if (!mountName || !mount) {
+        return sendIceResponse(res, 400, 'Source does not exist');
+    }
+    
+    res.type('text/xml').send(listClientsXml(`/${mountName}`, mount.listClients()));
+});
+
+// Simulation scenarios
+// ====================
+// A loaded scenario owns the clock and the random seed: the stats
+// intervals stand down and the engine ticks audio (100ms), video (1s) and
+// stream (2s) stats itself, so a given seed always yields the same numbers.
+
+const SCENARIO_DIR = path.join(__dirname, 'scenarios');
+
+const SCENARIO_EVENT_TYPES = [
+    'stream_start',     // { output?, config? } connect + start an output
+    'stream_stop',      // { output? }
+    'connection_lost',  // { output?, reason?, fail_attempts? }
+    'listeners',        // { output?, to, from?, duration? } ramps when duration is set
+    'bitrate',          // { output?, to, from?, duration? } to: null restores the configured bitrate
+    'metadata',         // { artist, title }
+    'channel',          // { channel: mixer channel id, playing?, volume? }
+    'microphone',       // { enabled?, gain? }
+    'video_live',       // { live }
+    'dropped_frames'    // { rate, duration? } fraction of frames dropped, reverts after duration
+];
+
+// Mock-mode target used when a stream_start event brings no config
+const SCENARIO_STREAM_CONFIG = {
+    protocol: 'icecast2',
+    serverHost: 'localhost',
+    serverPort: 8000,
+    mountPoint: '/stream',
+    password: 'scenario',
+    codec: 'mp3',
+    bitrate: 128
+};
+
+// Value of a ramped event at `progress` (0..1); instant events jump to `to`
+function rampValue(event, progress) {
+    if (!event.duration || typeof event.from !== 'number') {
+        return event.to;
+    }
+    return event.from + (event.to - event.from) * progress;
+}
+
+function resetSimulatedState() {
+    playHistory.clear();
+    streamOutputs.forEach(output => {
+        if (output.state.status !== 'disconnected') {
+            output.disconnect();
+        }
+        output.clearSimulation();
+    });
+    
+    audioSystemState.microphone.enabled = false;
+    audioSystemState.talkover.enabled = false;
+    audioSystemState.talkover.active = false;
+    duckingEnvelope.reset();
+    meterBank.reset();
+    loudnessMonitor.reset();
+    mixer.list().forEach(channel => mixer.updateChannel(channel.id, { playing: false, pfl: false }));
+    
+    videoState.streaming.is_live = false;
+    videoState.streaming.start_time = null;
+    videoState.stats = {
+        total_frames: 0,
+        encoded_frames: 0,
+        dropped_frames: 0,
+        current_bitrate: 0,
+        total_bytes: 0
+    };
+    videoSimulation.droppedFrameRate = null;
+}
+
+function applyScenarioEvent(event, phase, progress) {
+    const output = streamOutputs.get(event.output || DEFAULT_OUTPUT_ID);
+    const once = phase === 'start';
+    
+    if (['stream_start', 'stream_stop', 'connection_lost', 'listeners', 'bitrate'].includes(event.type) && !output) {
+        if (once) console.warn(`⚠️ Scenario event ${event.type}: no output "${event.output}"`);
+        return;
+    }
+    
+    switch (event.type) {
+        case 'stream_start':
+            if (!once) break;
+            output.connect({ ...SCENARIO_STREAM_CONFIG, ...output.config, ...event.config })
+                .then(() => output.start())
+                .catch(err => console.error(`❌ Scenario stream_start failed (${err.code}): ${err.message}`));
+            break;
+            
+        case 'stream_stop':
+            if (once) output.disconnect();
+            break;
+            
+        case 'connection_lost':
+            if (!once) break;
+            try {
+                output.simulateDrop(event.reason || 'Scenario: connection lost', event.fail_attempts);
+            } catch (err) {
+                console.warn(`⚠️ Scenario connection_lost ignored: ${err.message}`);
+            }
+            break;
+            
+        case 'listeners':
+            output.setSimulatedListeners(rampValue(event, progress));
+            break;
+            
+        case 'bitrate':
+            output.setSimulatedBitrate(event.to === null ? null : rampValue(event, progress));
+            break;
+            
+        case 'metadata':
+            if (once) {
+                setNowPlaying(event, 'automation').catch(err => {
+                    console.error('❌ Scenario metadata failed:', err.message);
+                });
+            }
+            break;
+            
+        case 'channel': {
+            const channel = mixer.get(event.channel);
+            if (!once || !channel) break;
+            if (event.playing !== undefined) channel.playing = Boolean(event.playing);
+            if (typeof event.volume === 'number') channel.volume = event.volume;
+            break;
+        }
+            
+        case 'microphone':
+            if (!once) break;
+            if (event.enabled !== undefined) audioSystemState.microphone.enabled = Boolean(event.enabled);
+            if (typeof event.gain === 'number') audioSystemState.microphone.gain = event.gain;
+            break;
+            
+        case 'video_live':
+            if (!once) break;
+            videoState.streaming.is_live = event.live !== false;
+            videoState.streaming.start_time = videoState.streaming.is_live ? now() : null;
+            break;
+            
+        case 'dropped_frames':
+            videoSimulation.droppedFrameRate = phase === 'end' ? null : event.rate;
+            break;
+    }
+}
+
+const scenarioEngine = new ScenarioEngine({
+    eventTypes: SCENARIO_EVENT_TYPES,
+    onReset: resetSimulatedState,
+    onTick: (timeMs) => {
+        updateAudioStats();
+        if (timeMs % 1000 === 0) updateVideoStats();
+        if (timeMs % 2000 === 0) updateStreamStats();
+    },
+    onEvent: applyScenarioEvent
+});
+
+scenarioEngine.on('status', (status) => {
+    broadcastToAll({
+        type: 'simulation_status',
+        data: status
+    });
+});
+
+// Scenario files are scenarios/<name>.json or scenarios/<name>.js (which
+// exports the scenario object or a function returning it)
+function readScenarioFile(name) {
+    if (!/^[\w-]+$/.test(name)) {
+        return null;
+    }
+    const jsonFile = path.join(SCENARIO_DIR, `${name}.json`);
+    if (fs.existsSync(jsonFile)) {
+        return JSON.parse(fs.readFileSync(jsonFile, 'utf8'));
+    }
+    const jsFile = path.join(SCENARIO_DIR, `${name}.js`);
+    if (fs.existsSync(jsFile)) {
+        delete require.cache[require.resolve(jsFile)]; // pick up edits
+        const exported = require(jsFile);
+        return typeof exported === 'function' ? exported() : exported;
+    }
+    return null;
+}
+
+function simulationResponse(action) {
+    return {
+        success: true,
+        action,
+        simulation: scenarioEngine.toJSON()
+    };
+}
+
+function requireLoadedScenario(res) {
+    if (!scenarioEngine.scenario) {
+        res.status(400).json({
+            success: false,
+            error: 'No scenario loaded',
+            code: 'NO_SCENARIO'
+        });
+        return false;
+    }
+    return true;
+}
+
+app.get('/api/simulation', (req, res) => {
+    res.json({
+        success: true,
+        simulation: scenarioEngine.toJSON(),
+        event_types: SCENARIO_EVENT_TYPES
+    });
+});
+
+app.get('/api/simulation/scenarios', (req, res) => {
+    const files = fs.existsSync(SCENARIO_DIR) ? fs.readdirSync(SCENARIO_DIR) : [];
+    const scenarios = files
+        .filter(file => /^[\w-]+\.(json|js)$/.test(file))
+        .map(file => {
+            const name = file.replace(/\.(json|js)$/, '');
+            try {
+                const scenario = readScenarioFile(name);
+                return { name, file, title: scenario.name || name, description: scenario.description || '' };
+            } catch (err) {
+                return { name, file, error: err.message };
+            }
+        });
+    
+    res.json({
+        success: true,
+        scenarios
+    });
+});
+
+app.post('/api/simulation/load', (req, res) => {
+    const { name, scenario, seed } = req.body || {};
+    let definition = scenario;
+    
+    if (!definition && name) {
+        try {
+            definition = readScenarioFile(String(name));
+        } catch (err) {
+            return res.status(400).json({
+                success: false,
+                error: `Could not read scenario "${name}": ${err.message}`,
+                code: 'INVALID_SCENARIO'
+            });
+        }
+        if (!definition) {
+            return res.status(404).json({
+                success: false,
+                error: `Scenario "${name}" not found in scenarios/`,
+                code: 'SCENARIO_NOT_FOUND'
+            });
+        }
+    }
+    
+    if (!definition) {
+        return res.status(400).json({
+            success: false,
+            error: 'Provide a scenario name or an inline scenario object',
+            code: 'MISSING_FIELDS'
+        });
+    }
+    
+    try {
+        scenarioEngine.load(definition, seed);
+    } catch (err) {
+        return res.status(400).json({
+            success: false,
+            error: err.message,
+            code: err.code || 'INVALID_SCENARIO'
+        });
+    }
+    
+    console.log(`🎬 Scenario loaded: ${scenarioEngine.scenario.name} (seed ${scenarioEngine.seed})`);
+    res.json(simulationResponse('scenario_loaded'));
+});
+
+app.post('/api/simulation/start', (req, res) => {
+    if (!requireLoadedScenario(res)) return;
+    const speed = Number((req.body || {}).speed);
+    if ((req.body || {}).speed !== undefined && !(speed > 0)) {
+        return res.status(400).json({
+            success: false,
+            error: 'speed must be a positive number',
+            code: 'INVALID_SPEED'
+        });
+    }
+    
+    scenarioEngine.start(speed || undefined);
+    console.log(`▶️ Scenario running at ${scenarioEngine.speed}x`);
+    res.json(simulationResponse('scenario_started'));
+});
+
+app.post('/api/simulation/pause', (req, res) => {
+    if (!requireLoadedScenario(res)) return;
+    scenarioEngine.pause();
+    res.json(simulationResponse('scenario_paused'));
+});
+
+app.post('/api/simulation/fast-forward', async (req, res) => {
+    if (!requireLoadedScenario(res)) return;
+    const seconds = Number((req.body || {}).seconds);
+    if (!(seconds > 0)) {
+        return res.status(400).json({
+            success: false,
+            error: 'seconds must be a positive number',
+            code: 'INVALID_DURATION'
+        });
+    }
+    
+    await scenarioEngine.fastForward(seconds);
+    console.log(`⏩ Scenario fast-forwarded to ${scenarioEngine.time / 1000}s`);
+    res.json(simulationResponse('scenario_fast_forwarded'));
+});
+
+app.post('/api/simulation/reset', (req, res) => {
+    if (!requireLoadedScenario(res)) return;
+    scenarioEngine.reset();
+    res.json(simulationResponse('scenario_reset'));
+});
+
+app.post('/api/simulation/unload', (req, res) => {
+    scenarioEngine.unload();
+    console.log('⏹️ Scenario unloaded, back to free-running simulation');
+    res.json(simulationResponse('scenario_unloaded'));
+});
+
 // List all available endpoints
 app.get('/api/endpoints', (req, res) => {
     res.json({
@@ -1879,10 +4744,79 @@ app.get('/api/endpoints', (req, res) => {
             // Audio streaming
             'GET /api/audio/stream/status - Get audio stream status',
             'POST /api/audio/stream/connect - Connect to audio stream server',
+            'GET /api/audio/config/schema - Encoder config schema for form validation',
+            'GET /api/audio/presets - List saved encoder presets',
+            'POST /api/audio/presets - Save an encoder preset',
+            'GET /api/audio/presets/:id - Get an encoder preset',
+            'PUT /api/audio/presets/:id - Update an encoder preset',
+            'DELETE /api/audio/presets/:id - Delete an encoder preset',
             'POST /api/audio/stream/disconnect - Disconnect from audio stream server',
             'POST /api/audio/stream/start - Start audio streaming',
             'POST /api/audio/stream/stop - Stop audio streaming',
+            'POST /api/audio/stream/data - Push encoded audio into the default output',
+            'GET /stream/:mount - Listen to the built-in mount (supports Icy-MetaData)',
+            'GET /hls/:mount/index.m3u8 - HLS live playlist with DVR window',
+            'GET /hls/:mount/:segment - HLS audio segment',
+            
+            // Encoder outputs
+            'GET /api/audio/outputs - List encoder outputs',
+            'POST /api/audio/outputs - Create encoder output',
+            'GET /api/audio/outputs/:id - Get encoder output',
+            'PUT /api/audio/outputs/:id - Update encoder output',
+            'DELETE /api/audio/outputs/:id - Remove encoder output',
+            'POST /api/audio/outputs/:id/start - Connect and start an output',
+            'POST /api/audio/outputs/:id/stop - Stop and disconnect an output',
+            'POST /api/audio/outputs/:id/data - Push encoded audio into an output',
+            'POST /api/audio/outputs/:id/simulate-drop - Drop the connection to test reconnects',
             'POST /api/audio/stream/metadata - Update track metadata',
+            'GET /api/audio/history - Play history, newest first (limit, offset)',
+            'GET /api/audio/history/rss - Recently played RSS 2.0 feed',
+            'GET /api/audio/now-playing - Now playing + last N widget feed (count)',
+            
+            // Audio mixer
+            'GET /api/audio/mixer - Mixer channels, crossfader and master levels',
+            'PUT /api/audio/mixer - Set the crossfader (-1 = A, 1 = B)',
+            'GET /api/audio/mixer/channels - List mixer channels',
+            'POST /api/audio/mixer/channels - Add a channel (deck, aux, sampler, mic)',
+            'GET /api/audio/mixer/channels/:channel - Get a mixer channel',
+            'PUT /api/audio/mixer/channels/:channel - Update volume, gain, mute, solo, crossfader side',
+            'DELETE /api/audio/mixer/channels/:channel - Remove a mixer channel',
+            'POST /api/audio/channel/:channel/play - Start a channel',
+            'POST /api/audio/channel/:channel/stop - Stop a channel',
+            'POST /api/audio/channel/:channel/volume - Set a channel fader (0-100)',
+            'POST /api/audio/channel/:channel/cue - Toggle a channel\'s PFL (or set it with enabled)',
+            'GET /api/audio/cue - Headphone cue bus: PFL channels, mix, split cue, volume, levels',
+            'PUT /api/audio/cue - Change cue mix, split cue, headphone volume or PFL channels',
+            'POST /api/audio/talkover/enable - Duck the music for the mic (fade curve, attack/release, voice mode)',
+            'POST /api/audio/talkover/disable - Release talkover',
+            'PUT /api/audio/talkover - Change ducking settings',
+            'GET /api/audio/backend - Audio backend (web_audio or cpp_media_server) and engine health',
+            'PUT /api/audio/backend - Switch backend (backend_type, engine_url, timeout_ms)',
+            'GET /api/audio/levels - Meter levels (percentages plus dBFS meters)',
+            'GET /api/audio/meters - dBFS peak, RMS, peak hold, true peak and clip counters',
+            'POST /api/audio/meters/reset - Reset clip/over counters and holds',
+            'PUT /api/audio/meters/settings - Peak hold time, decay and true-peak limit',
+            'POST /api/audio/meters/:source/pcm - Meter real PCM samples (master PCM also feeds loudness)',
+            'GET /api/audio/loudness - Momentary, short-term and integrated LUFS, loudness range, true peak',
+            'POST /api/audio/loudness/reset - Restart the loudness measurement',
+            'POST /api/audio/loudness/gate - Pause or resume integrated loudness (open)',
+            'PUT /api/audio/loudness/settings - Target loudness, tolerance and true-peak limit',
+            'GET /api/audio/loudness/shows - Saved per-show loudness summaries',
+            'GET /api/audio/loudness/shows/:id - One show summary with its warnings',
+            
+            // Recordings
+            'POST /api/recordings/start - Start recording an output (output_id, segment_seconds, segment_mb)',
+            'POST /api/recordings/stop - Stop recording an output',
+            'GET /api/recordings - List recording segments and active recordings',
+            'GET /api/recordings/:id - Download a segment (supports Range)',
+            'DELETE /api/recordings/:id - Delete a segment',
+            'PUT /api/v1/stations/me/settings - Update station settings (autoRecord, ...)',
+            
+            // Icecast emulation
+            'GET /status-json.xsl - Icecast server/mount status (JSON)',
+            'GET /admin/stats - Icecast stats XML (admin auth)',
+            'GET /admin/metadata - Icecast metadata update, mode=updinfo (source or admin auth)',
+            'GET /admin/listclients - Icecast listener list for a mount (admin auth)',
             
             // Video streaming
             'GET /api/video/status - Get video streaming status',
@@ -1909,7 +4843,17 @@ app.get('/api/endpoints', (req, res) => {
             
             // Video overlay
             'POST /api/video/overlay/text - Add text overlay',
-            'POST /api/video/overlay/clear - Clear text overlay'
+            'POST /api/video/overlay/clear - Clear text overlay',
+            
+            // Simulation scenarios
+            'GET /api/simulation - Scenario engine status',
+            'GET /api/simulation/scenarios - List scenario files',
+            'POST /api/simulation/load - Load a scenario by name or inline, with optional seed',
+            'POST /api/simulation/start - Run the loaded scenario (optional speed multiplier)',
+            'POST /api/simulation/pause - Pause the scenario clock',
+            'POST /api/simulation/fast-forward - Advance the scenario by N seconds',
+            'POST /api/simulation/reset - Rewind the scenario to t=0 with the same seed',
+            'POST /api/simulation/unload - Return to free-running simulation'
         ],
         documentation: 'https://github.com/onestopradio/api-docs'
     });
@@ -1957,11 +4901,16 @@ server.listen(port, () => {
     console.log('Press Ctrl+C to stop server');
 });
 
-// Graceful shutdown
-process.on('SIGINT', () => {
+// Graceful shutdown (Ctrl+C locally, SIGTERM from Railway): snapshot
+// sessions so the next boot doesn't need to replay the log
+function shutdown() {
     console.log('\n🛑 Shutting down OneStopRadio Mock API Server...');
+    sessionStore.close();
     process.exit(0);
-});
+}
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
 
 // Handle uncaught exceptions
 process.on('uncaughtException', (err) => {
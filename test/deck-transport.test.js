@@ -0,0 +1,39 @@
+// DJ decks play in real time whatever the scenario clock is doing
+const test = require('node:test');
+const assert = require('node:assert');
+const { DeckTransport } = require('../lib/deck-transport');
+const { ScenarioEngine } = require('../lib/simulation/scenario-engine');
+
+function playingSession() {
+    const deck = (playing) => ({ playing, position: 0, position_at: Date.now(), speed: 1, pitch: 0, track: { id: 't', duration: 3600 } });
+    return { id: 'dj_session_test', deck_a: deck(true), deck_b: deck(false), stats: { total_tracks_played: 0 } };
+}
+
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+test('deck positions follow real time while a scenario is loaded', async () => {
+    const scenario = new ScenarioEngine();
+    scenario.load({ name: 'Idle', events: [] });
+    try {
+        const session = playingSession();
+        const transport = new DeckTransport(new Map([[session.id, session]]));
+        const started = Date.now();
+
+        // A loaded but paused scenario doesn't stop the deck
+        await wait(300);
+        transport.settle(session);
+        const elapsed = (Date.now() - started) / 1000;
+        assert.ok(Math.abs(session.deck_a.position - elapsed) < 0.05, `position ${session.deck_a.position}, expected about ${elapsed}`);
+
+        // Fast-forwarding the scenario doesn't move it either
+        await scenario.fastForward(600);
+        transport.settle(session);
+        assert.ok(session.deck_a.position < 60, `position jumped to ${session.deck_a.position}`);
+        assert.ok(Math.abs(session.deck_a.position_at - Date.now()) < 1000);
+        assert.strictEqual(session.deck_b.position, 0);
+    } finally {
+        scenario.unload();
+    }
+});